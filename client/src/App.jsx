@@ -16,6 +16,10 @@ import DownloadPage from "./components/DownloadPage";
 import Download from "./components/Download";
 import GuestHomePage from "./components/Guest/GuestHomePage";
 import GuestHome from "./components/Guest/Download/GuestHome";
+import BundleHome from "./components/Bundle/BundleHome";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import VerifyEmail from "./components/VerifyEmail";
 
 function App() {
   const [count, setCount] = useState(0);
@@ -41,10 +45,16 @@ function App() {
         <Route path="/" element={<GuestHomePage />} />
           <Route path="/login" element={<Login />} />
           <Route path="/signup" element={<Signup />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
            <Route path="/f/:shortCode" element={<Download />} />
           <Route path="/g/:shortCode" element={<GuestHome />} />
           {/* <Route path="/g" element={<GuestHomePage />} /> */}
         </Route>
+
+        {/* Public Routes */}
+        <Route path="/b/:shortCode" element={<BundleHome />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
       </Routes>
     </>
   );
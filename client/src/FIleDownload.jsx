@@ -9,7 +9,7 @@ const FileDownload = () => {
   const [password, setPassword] = useState('');
   const [showPasswordPrompt, setShowPasswordPrompt] = useState(false);
   const [error, setError] = useState('');
-  const [downloadLink, setDownloadLink] = useState('');
+  const [downloadToken, setDownloadToken] = useState(null);
 
   useEffect(() => {
     const fetchDetails = async () => {
@@ -28,10 +28,11 @@ const FileDownload = () => {
 
   const handlePasswordSubmit = async () => {
     try {
-      await axiosInstance.post(`files/verifyFilePassword`, {
-        fileId: fileData.fileId,
+      const res = await axiosInstance.post(`files/verifyFilePassword`, {
+        shortCode: code,
         password,
       });
+      setDownloadToken(res.data.token);
       setShowPasswordPrompt(false);
     } catch (err) {
       setError(err.response?.data?.error || 'Incorrect password');
@@ -40,8 +41,8 @@ const FileDownload = () => {
 
   const handleDownload = async () => {
     try {
-      const res = await axiosInstance.post(`files/download/${fileData.fileId}`, {
-        password,
+      const res = await axiosInstance.get(`files/download/${fileData.fileId}`, {
+        headers: downloadToken ? { "X-Download-Token": downloadToken } : {},
       });
       window.open(res.data.downloadUrl, '_blank');
     } catch (err) {
@@ -0,0 +1,21 @@
+import Header from "../HeaderComp";
+import BundlePage from "./BundlePage";
+
+
+const BundleHome = () => {
+
+    return (
+        <>
+          <div className="min-h-screen flex bg-[var(--primary-bg)] text-[var(--text-color)]">
+          <Header />
+            <main className="flex-1 p-6 mt-20 max-w-screen-lg bg-[var(--primary-bg)] text-[var(--text-color)] mx-auto">
+            <h2 className="text-2xl font-bold text-[var(--primary-text)] mb-4">Shared Bundle</h2>
+            <p className="text-gray-700 mb-4">Here you can download the files shared with you.</p>
+            <BundlePage />
+            </main>
+
+          </div>
+        </>
+    );
+};
+export default BundleHome;
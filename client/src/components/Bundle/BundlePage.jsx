@@ -0,0 +1,161 @@
+import { useParams } from "react-router-dom";
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import axiosInstance from "../../config/axiosInstance";
+
+const formatSize = (size) =>
+  size > 1024 * 1024
+    ? `${(size / (1024 * 1024)).toFixed(2)} MB`
+    : `${(size / 1024).toFixed(2)} KB`;
+
+const BundlePage = () => {
+  const { shortCode } = useParams();
+  const [bundle, setBundle] = useState(null);
+  const [error, setError] = useState("");
+  const [password, setPassword] = useState("");
+  const [downloadToken, setDownloadToken] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchBundle = async () => {
+      try {
+        const res = await axiosInstance.get(`/bundles/b/${shortCode}`, {
+          signal: controller.signal,
+          headers: downloadToken ? { "X-Download-Token": downloadToken } : {},
+        });
+        setBundle(res.data);
+      } catch (err) {
+        if (err.name !== "CanceledError") {
+          setError(err.response?.data?.error || "Bundle not found");
+        }
+      }
+    };
+
+    fetchBundle();
+
+    return () => controller.abort();
+  }, [shortCode, downloadToken]);
+
+  const verifyBundle = async () => {
+    if (!password) {
+      toast.warn("Please enter a password.");
+      return;
+    }
+
+    try {
+      const res = await axiosInstance.post("/bundles/verifyBundlePassword", { shortCode, password });
+      toast.success("✅ Password verified!");
+      setDownloadToken(res.data.token);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "❌ Incorrect password. Try again.");
+    }
+  };
+
+  const downloadFile = (file) => {
+    const link = document.createElement("a");
+    link.href = file.streamUrl ? `${file.streamUrl}?download=1` : file.downloadUrl;
+    link.setAttribute("download", file.name);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const downloadZip = () => {
+    window.location.href = axiosInstance.getUri({
+      url: `/bundles/b/${shortCode}/zip`,
+      params: downloadToken ? { token: downloadToken } : {},
+    });
+  };
+
+  if (error) return <div className="text-red-500">{error}</div>;
+  if (!bundle) return <div className="text-gray-500">Loading...</div>;
+
+  const locked = !bundle.files;
+
+  return (
+    <div className="w-full max-w-screen-lg mx-auto bg-[var(--bg-color)] rounded shadow-md p-4 sm:p-6 flex flex-col gap-4">
+      <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
+        <p className="text-[var(--text-color)] text-sm sm:text-base">
+          <strong>📦 {bundle.name}</strong> · {bundle.fileCount} file{bundle.fileCount !== 1 && "s"}
+        </p>
+        <p className="text-[var(--text-color)] text-sm">
+          <strong>Shared by:</strong> {bundle.uploadedBy}
+          {bundle.expiresAt && (
+            <> · <strong>Expires:</strong> {new Date(bundle.expiresAt).toLocaleDateString()}</>
+          )}
+        </p>
+      </div>
+
+      {locked ? (
+        <div className="w-full flex flex-col items-center gap-3 border-2 border-dashed border-gray-400 p-6 rounded bg-gray-100 dark:bg-gray-800 text-center">
+          <p className="text-gray-700 dark:text-gray-200 text-base">
+            🔒 This bundle is password protected. Please verify to see its files.
+          </p>
+          <input
+            type="password"
+            placeholder="Enter Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)] focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={verifyBundle}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+          >
+            🔐 Verify Password
+          </button>
+        </div>
+      ) : (
+        <>
+        <button
+          onClick={downloadZip}
+          className="self-end bg-green-600 text-white text-sm px-4 py-2 rounded hover:bg-green-700"
+        >
+          🗜️ Download all as ZIP
+        </button>
+        <ul className="divide-y divide-[var(--border-color)]">
+          {bundle.files.map((file) => (
+            <li key={file.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 py-3">
+              <div className="flex items-center gap-3">
+                {file.thumbnailUrl && (
+                  <img
+                    src={file.thumbnailUrl}
+                    alt=""
+                    loading="lazy"
+                    className="w-12 h-12 object-cover rounded"
+                    onError={(e) => { e.currentTarget.style.display = "none"; }}
+                  />
+                )}
+                <div>
+                  <p className="text-[var(--text-color)] text-sm sm:text-base break-all">{file.name}</p>
+                  <p className="text-xs text-gray-400">{file.type} | {formatSize(file.size)}</p>
+                </div>
+              </div>
+              {file.status !== "active" ? (
+                <span className="text-sm text-red-500">Unavailable</span>
+              ) : file.downloadUrl ? (
+                <button
+                  onClick={() => downloadFile(file)}
+                  className="bg-green-600 text-white text-sm px-4 py-2 rounded hover:bg-green-700"
+                >
+                  ⬇️ Download
+                </button>
+              ) : (
+                <a
+                  href={file.shortUrl}
+                  className="text-sm text-blue-500 underline"
+                >
+                  🔒 Open protected file
+                </a>
+              )}
+            </li>
+          ))}
+        </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BundlePage;
@@ -0,0 +1,128 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { getDownloadAnalytics } from "../../redux/slice/analytics/analyticsThunk";
+
+const PERIODS = [7, 30, 90];
+
+const OUTCOMES = [
+  { key: "success", label: "Downloads", color: "bg-green-500" },
+  { key: "wrong_password", label: "Wrong password", color: "bg-amber-500" },
+  { key: "expired", label: "Expired", color: "bg-red-500" },
+  { key: "exhausted", label: "Limit reached", color: "bg-gray-500" },
+];
+
+const renderCard = (title, children) => (
+  <div className="relative p-5 rounded-xl bg-white dark:bg-gray-900 shadow-md">
+    <div className="absolute top-0 left-0 w-full h-1 rounded-t-xl bg-[var(--primary-gradient)]" />
+    <h3 className="text-sm font-semibold text-[var(--primary-text)] mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+const empty = <p className="text-sm text-gray-500">No downloads in this period yet.</p>;
+
+// Stacked column per day, one segment per outcome
+const renderDailyChart = (series) => {
+  const totals = series.map((day) => OUTCOMES.reduce((acc, o) => acc + day[o.key], 0));
+  const max = Math.max(...totals, 1);
+  if (!totals.some(Boolean)) return empty;
+
+  return (
+    <>
+      <div className="flex items-end gap-[2px] h-40">
+        {series.map((day, i) => (
+          <div
+            key={day.date}
+            className="flex-1 flex flex-col-reverse h-full"
+            title={`${day.date}: ${OUTCOMES.map((o) => `${o.label} ${day[o.key]}`).join(", ")}`}
+          >
+            {OUTCOMES.map((o) =>
+              day[o.key] ? (
+                <div key={o.key} className={o.color} style={{ height: `${(day[o.key] / max) * 100}%` }} />
+              ) : null
+            )}
+            {!totals[i] && <div className="h-[1px] bg-gray-300 dark:bg-gray-700" />}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{series[0]?.date}</span>
+        <span>{series[series.length - 1]?.date}</span>
+      </div>
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600 dark:text-gray-300">
+        {OUTCOMES.map((o) => (
+          <span key={o.key} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded-sm ${o.color}`} />
+            {o.label}
+          </span>
+        ))}
+      </div>
+    </>
+  );
+};
+
+// Horizontal bars for a ranked list
+const renderBarList = (rows, label, value) => {
+  if (!rows.length) return empty;
+  const max = Math.max(...rows.map(value), 1);
+  return (
+    <ul className="flex flex-col gap-2">
+      {rows.map((row, i) => (
+        <li key={i} className="text-sm">
+          <div className="flex justify-between gap-2 text-gray-700 dark:text-gray-200">
+            <span className="truncate" title={label(row)}>{label(row)}</span>
+            <span className="font-medium">{value(row)}</span>
+          </div>
+          <div className="h-2 mt-1 rounded bg-gray-200 dark:bg-gray-700">
+            <div className="h-2 rounded bg-blue-500" style={{ width: `${(value(row) / max) * 100}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const DownloadCharts = () => {
+  const dispatch = useDispatch();
+  const { daily, topFiles, countries, referrers, loading, error } = useSelector((state) => state.analytics);
+  const [days, setDays] = useState(30);
+
+  useEffect(() => {
+    dispatch(getDownloadAnalytics(days));
+  }, [dispatch, days]);
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex items-center justify-end gap-2">
+        {PERIODS.map((p) => (
+          <button
+            key={p}
+            onClick={() => setDays(p)}
+            className={`px-3 py-1 rounded text-sm ${
+              days === p ? "bg-blue-600 text-white" : "bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-gray-200"
+            }`}
+          >
+            {p} days
+          </button>
+        ))}
+      </div>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      {loading && !daily.length ? (
+        <p className="text-sm text-gray-500">Loading analytics...</p>
+      ) : (
+        <>
+          {renderCard("Downloads per day", renderDailyChart(daily))}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {renderCard("Top files", renderBarList(topFiles, (r) => r.name, (r) => r.downloads))}
+            {renderCard("Countries", renderBarList(countries, (r) => r.country, (r) => r.count))}
+            {renderCard("Referrers", renderBarList(referrers, (r) => r.referrer, (r) => r.count))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DownloadCharts;
@@ -1,19 +1,96 @@
 import React, { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
-import { getUserFiles } from "../../redux/slice/file/fileThunk";
+import {
+  addFileAlias,
+  createShareLink,
+  deleteShareLink,
+  generateShareShortenLink,
+  getShareLinks,
+  getUserFiles,
+  removeFileAlias,
+  updateShareLink,
+} from "../../redux/slice/file/fileThunk";
+import { createBundle } from "../../redux/slice/bundle/bundleThunk";
+import { clearCreatedBundle } from "../../redux/slice/bundle/bundleSlice";
 import { formatDistanceToNowStrict, differenceInDays } from "date-fns";
 import { FaWhatsapp, FaTelegramPlane, FaInstagram, FaEnvelope, FaHeadset,FaDownload } from "react-icons/fa"
 import { toast } from "react-toastify";
+import axiosInstance from "../../config/axiosInstance";
+import { keyFor, rememberKey, withKey } from "../../utils/e2eCrypto";
+import { useFilePreview } from "../Preview/useFilePreview";
+
+// Files the malware scanner hasn't cleared can't be previewed or shared yet
+const SCAN_STATES = {
+  pending_scan: { label: "🔍 Scanning", className: "text-amber-500", note: "This file is still being checked for malware." },
+  quarantined: { label: "⚠️ Quarantined", className: "text-red-600", note: "This file was quarantined because it may contain malware." },
+};
+
+// Status text for the table and cards; quarantined files show what the scanner found on hover
+const renderStatus = (file, activeClass, inactiveClass) => {
+  const scanState = SCAN_STATES[file.status];
+  if (!scanState) {
+    return <span className={file.status === "active" ? activeClass : inactiveClass}>{file.status}</span>;
+  }
+  return (
+    <span className={scanState.className} title={file.scan?.signature ? `Detected: ${file.scan.signature}` : scanState.note}>
+      {scanState.label}
+    </span>
+  );
+};
+
+// Small preview next to the name once the server has made one; hidden if it can't load
+const renderThumbnail = (file) =>
+  file.thumbnailUrl ? (
+    <img
+      src={file.thumbnailUrl}
+      alt=""
+      loading="lazy"
+      className="inline-block w-10 h-10 object-cover rounded mr-2 align-middle"
+      onError={(e) => { e.currentTarget.style.display = "none"; }}
+    />
+  ) : null;
+
+const EMPTY_LINK_FORM = { label: "", password: "", expiryDate: "", maxDownloads: "", burnAfterReading: false };
+
+// Status and counts shown for each share link
+const shareLinkSummary = (link) => {
+  const parts = [];
+  if (!link.enabled) parts.push("⏸ Off");
+  else if (link.status === "exhausted") parts.push("⛔ Limit reached");
+  else if (link.expiresAt && new Date(link.expiresAt) < new Date()) parts.push("⌛ Expired");
+  else parts.push("✅ Active");
+  if (link.isPasswordProtected) parts.push("🔒");
+  if (link.expiresAt) parts.push(`expires ${new Date(link.expiresAt).toLocaleString()}`);
+  if (link.maxDownloads) parts.push(`${link.downloadsRemaining} of ${link.maxDownloads} left`);
+  parts.push(`${link.downloadedContent} downloads`);
+  if (link.events?.wrong_password) parts.push(`${link.events.wrong_password} wrong passwords`);
+  if (link.lastAccessedAt) {
+    parts.push(`last opened ${formatDistanceToNowStrict(new Date(link.lastAccessedAt), { addSuffix: true })}`);
+  }
+  return parts.join(" · ");
+};
 
 const FileShow = () => {
   const dispatch = useDispatch();
   const { user } = useSelector((state) => state.auth);
   const { files } = useSelector((state) => state.file);
   const [previewFile, setPreviewFile] = useState(null);
+  const preview = useFilePreview(
+    previewFile,
+    previewFile?.encryption || SCAN_STATES[previewFile?.status] ? null : previewFile?.path
+  );
   const [shareFile, setShareFile] = useState(null);
+  const [linkSlug, setLinkSlug] = useState("");
+  const [aliasSlug, setAliasSlug] = useState("");
+  const [shareLinks, setShareLinks] = useState([]);
+  const [linkForm, setLinkForm] = useState(EMPTY_LINK_FORM);
   const [searchTerm, setSearchTerm] = useState("");
 const [filterType, setFilterType] = useState("");
 const [filterStatus, setFilterStatus] = useState("");
+  const { createdBundle, loading: bundleLoading } = useSelector((state) => state.bundle);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bundleModalOpen, setBundleModalOpen] = useState(false);
+  const [bundleForm, setBundleForm] = useState({ name: "", password: "", expiryDate: "" });
 
 
   // Pagination state
@@ -26,6 +103,16 @@ const [filterStatus, setFilterStatus] = useState("");
     }
   }, [user, dispatch]);
 
+  // Refresh while uploads are waiting for the malware scan or a thumbnail, so they update
+  const awaitingUpdate = files?.some(
+    (file) => file.status === "pending_scan" || file.thumbnail?.status === "pending"
+  );
+  useEffect(() => {
+    if (!awaitingUpdate || !user?._id) return undefined;
+    const timer = setInterval(() => dispatch(getUserFiles(user._id)), 10000);
+    return () => clearInterval(timer);
+  }, [awaitingUpdate, user, dispatch]);
+
   const sortFileName = (filename)=>{
     // Sort the file name to ensure consistent display
     return filename.length > 20 ? `${filename.slice(0, 20)}...` : filename;
@@ -44,7 +131,9 @@ const [filterStatus, setFilterStatus] = useState("");
 
   function handleShare(shortUrl) {
   const frontendBaseUrl = window.location.origin; // Automatically picks http://localhost:5173 or your deployed domain
-  const fullUrl = `${frontendBaseUrl}${shortUrl}`;
+  // Links to end-to-end encrypted files carry their key, when this browser uploaded them.
+  // The QR image comes from a third-party service, so it gets the link without the key
+  const fullUrl = withKey(`${frontendBaseUrl}${shortUrl}`, keyFor(shortUrl));
 
   return {
     whatsapp: `https://wa.me/?text=${encodeURIComponent("Download file: " + fullUrl)}`,
@@ -52,9 +141,107 @@ const [filterStatus, setFilterStatus] = useState("");
     twitter: `https://twitter.com/intent/tweet?url=${encodeURIComponent(fullUrl)}&text=Check this out!`,
     email: `mailto:?subject=Shared File&body=${encodeURIComponent("Here’s your file: " + fullUrl)}`,
     copy: fullUrl,
-    qr: `https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(fullUrl)}&size=150x150`
+    qr: `https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(`${frontendBaseUrl}${shortUrl}`)}&size=150x150`
   };
 }
+// Aliases open the same file, so they carry the same key
+const aliasLink = (file, alias) => withKey(`${window.location.origin}${alias.shortUrl}`, keyFor(file.shortUrl));
+
+  // Link changes come back with the file's current code and aliases
+  const changeLink = async (thunk, args, message) => {
+    try {
+      const links = await dispatch(thunk({ fileId: shareFile._id, ...args })).unwrap();
+      // This browser's key for an encrypted file follows it to the new code
+      const key = keyFor(shareFile.shortUrl);
+      if (key && links.shortUrl !== shareFile.shortUrl) rememberKey(links.shortUrl, key);
+      setShareFile((prev) => ({ ...prev, ...links }));
+      toast.success(message);
+      return true;
+    } catch (err) {
+      toast.error(err?.error || "Could not update the link");
+      return false;
+    }
+  };
+
+  const handleChangeLink = async (slug) => {
+    const changed = await changeLink(generateShareShortenLink, { slug: slug || undefined }, "Link changed. The old link now redirects to it.");
+    if (changed) setLinkSlug("");
+  };
+
+  const handleAddAlias = async () => {
+    if (await changeLink(addFileAlias, { slug: aliasSlug.trim() }, "Alias added")) setAliasSlug("");
+  };
+
+  const closeShare = () => {
+    setShareFile(null);
+    setLinkSlug("");
+    setAliasSlug("");
+    setShareLinks([]);
+    setLinkForm(EMPTY_LINK_FORM);
+  };
+
+  // Share links: extra links to the file, each with its own password, expiry and limit
+  const shareFileId = shareFile?._id;
+  useEffect(() => {
+    if (!shareFileId) return;
+    dispatch(getShareLinks(shareFileId))
+      .unwrap()
+      .then(setShareLinks)
+      .catch(() => toast.error("Could not load the share links"));
+  }, [shareFileId, dispatch]);
+
+  // They open the same file, so encrypted files' links carry the same key
+  const shareLinkUrl = (link) => withKey(`${window.location.origin}${link.shortUrl}`, keyFor(shareFile.shortUrl));
+
+  const handleCreateShareLink = async () => {
+    const payload = {
+      fileId: shareFile._id,
+      label: linkForm.label,
+      isPassword: !!linkForm.password,
+      password: linkForm.password || undefined,
+      hasExpiry: !!linkForm.expiryDate,
+      maxDownloads: linkForm.maxDownloads || undefined,
+      burnAfterReading: linkForm.burnAfterReading,
+    };
+    if (linkForm.expiryDate) {
+      payload.expiresAt = Math.ceil(
+        (new Date(linkForm.expiryDate) - new Date()) / (1000 * 60 * 60)
+      );
+    }
+
+    try {
+      const { link } = await dispatch(createShareLink(payload)).unwrap();
+      setShareLinks((prev) => [...prev, link]);
+      setLinkForm(EMPTY_LINK_FORM);
+      toast.success("Share link created");
+    } catch (err) {
+      toast.error(err?.error || "Could not create the share link");
+    }
+  };
+
+  const handleToggleShareLink = async (link) => {
+    try {
+      const { link: updated } = await dispatch(
+        updateShareLink({ fileId: shareFile._id, linkId: link.id, enabled: !link.enabled })
+      ).unwrap();
+      // Keep the stats the list was loaded with; updates don't recount them
+      setShareLinks((prev) => prev.map((l) => (l.id === link.id ? { ...updated, events: l.events } : l)));
+      toast.success(updated.enabled ? "Link turned on" : "Link turned off");
+    } catch (err) {
+      toast.error(err?.error || "Could not update the share link");
+    }
+  };
+
+  const handleDeleteShareLink = async (link) => {
+    try {
+      await dispatch(deleteShareLink({ fileId: shareFile._id, linkId: link.id })).unwrap();
+      setShareLinks((prev) => prev.filter((l) => l.id !== link.id));
+      toast.success("Share link deleted");
+    } catch (err) {
+      toast.error(err?.error || "Could not delete the share link");
+    }
+  };
+
 const downloadQRCode = async (shortUrl) => {
   const qrUrl = handleShare(shortUrl).qr;
 
@@ -78,6 +265,55 @@ const downloadQRCode = async (shortUrl) => {
   }
 };
 
+  const toggleSelected = (fileId) => {
+    setSelectedIds((prev) =>
+      prev.includes(fileId) ? prev.filter((id) => id !== fileId) : [...prev, fileId]
+    );
+  };
+
+  const handleCreateBundle = async () => {
+    const payload = {
+      name: bundleForm.name,
+      fileIds: selectedIds,
+      isPassword: !!bundleForm.password,
+      password: bundleForm.password,
+      hasExpiry: !!bundleForm.expiryDate,
+    };
+    if (bundleForm.expiryDate) {
+      payload.expiresAt = Math.ceil(
+        (new Date(bundleForm.expiryDate) - new Date()) / (1000 * 60 * 60)
+      );
+    }
+
+    try {
+      await dispatch(createBundle(payload)).unwrap();
+      toast.success("Bundle created!");
+      setSelectedIds([]);
+    } catch (err) {
+      toast.error(err?.error || "Could not create bundle");
+    }
+  };
+
+  // Navigating to the ZIP endpoint lets the browser stream it straight to disk;
+  // the navigation can't carry our auth header, so ask for a one-off token first
+  const downloadSelectedZip = async () => {
+    try {
+      const res = await axiosInstance.post("/files/zip", { fileIds: selectedIds });
+      window.location.href = axiosInstance.getUri({
+        url: "/files/zip",
+        params: { token: res.data.token },
+      });
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not prepare the ZIP");
+    }
+  };
+
+  const closeBundleModal = () => {
+    setBundleModalOpen(false);
+    setBundleForm({ name: "", password: "", expiryDate: "" });
+    dispatch(clearCreatedBundle());
+  };
+
 // Filter logic
 const filteredFiles = files?.filter((file) => {
   const nameMatch = file.name.toLowerCase().includes(searchTerm.toLowerCase());
@@ -144,6 +380,24 @@ const paginatedFiles = filteredFiles?.slice(
     <option value="expired">Expired</option>
   </select>
 
+  {selectedIds.length > 0 && (
+    <button
+      onClick={() => setBundleModalOpen(true)}
+      className="px-3 py-2 bg-purple-100 text-purple-600 rounded hover:bg-purple-200"
+    >
+      📦 Create bundle ({selectedIds.length})
+    </button>
+  )}
+
+  {selectedIds.length > 0 && (
+    <button
+      onClick={downloadSelectedZip}
+      className="px-3 py-2 bg-green-100 text-green-600 rounded hover:bg-green-200"
+    >
+      🗜️ Download selected as ZIP
+    </button>
+  )}
+
   {(filterType || filterStatus || searchTerm) && (
     <button
       onClick={() => {
@@ -169,6 +423,24 @@ const paginatedFiles = filteredFiles?.slice(
              <table className="min-w-full divide-y divide-[var(--border-color)] text-[var(--text-color)]">
   <thead className="bg-[var(--primary-text)] text-[var(--text-on-primary)] hidden md:table-header-group">
                 <tr>
+                  <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-wider">
+                    <input
+                      type="checkbox"
+                      aria-label="Select all files on this page"
+                      checked={
+                        paginatedFiles?.length > 0 &&
+                        paginatedFiles.every((f) => selectedIds.includes(f._id))
+                      }
+                      onChange={(e) => {
+                        const pageIds = paginatedFiles.map((f) => f._id);
+                        setSelectedIds((prev) =>
+                          e.target.checked
+                            ? [...new Set([...prev, ...pageIds])]
+                            : prev.filter((id) => !pageIds.includes(id))
+                        );
+                      }}
+                    />
+                  </th>
                   {[
                     "File Name",
                     "Size",
@@ -211,15 +483,11 @@ const paginatedFiles = filteredFiles?.slice(
                         {file.type}
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-400">
-                        {file.downloadedContent}
+                        {file.downloadedContent}{file.maxDownloads ? ` / ${file.maxDownloads}` : ""}
                       </td>
                       <td className="px-6 py-4 text-sm">
-                        <span
-                          className={`font-medium ${
-                            file.status === "Active" ? "text-green-500" : "text-red-500"
-                          }`}
-                        >
-                          {file.status}
+                        <span className="font-medium">
+                          {renderStatus(file, "text-green-500", "text-red-500")}
                         </span>
                       </td>
                       <td className="px-6 py-4 text-sm space-x-3">
@@ -274,19 +542,23 @@ const paginatedFiles = filteredFiles?.slice(
           key={file._id}
           className="hover:bg-[var(--hover-bg-color)] hidden md:table-row"
         >
-          <td className="px-6 py-4 text-sm">{sortFileName(file.name)}</td>
+          <td className="px-6 py-4 text-sm">
+            <input
+              type="checkbox"
+              aria-label={`Select ${file.name}`}
+              checked={selectedIds.includes(file._id)}
+              onChange={() => toggleSelected(file._id)}
+            />
+          </td>
+          <td className="px-6 py-4 text-sm">{renderThumbnail(file)}{sortFileName(file.name)}</td>
           <td className="px-6 py-4 text-sm text-gray-400">{formattedSize}</td>
           <td className="px-6 py-4 text-sm text-gray-400">{file.type}</td>
           <td className="px-6 py-4 text-sm text-gray-400">
-            {file.downloadedContent}
+            {file.downloadedContent}{file.maxDownloads ? ` / ${file.maxDownloads}` : ""}
           </td>
           <td className="px-6 py-4 text-sm">
-            <span
-              className={`font-medium ${
-                file.status === "active" ? "text-green-500" : "text-red-500"
-              }`}
-            >
-              {file.status}
+            <span className="font-medium">
+              {renderStatus(file, "text-green-500", "text-red-500")}
             </span>
           </td>
           <td className="px-6 py-4 text-sm space-x-3">
@@ -323,17 +595,22 @@ const paginatedFiles = filteredFiles?.slice(
         <tr key={`mobile-${file._id}`} className="block md:hidden border-b border-gray-200">
           <td className="block px-4 py-4">
             <div className="mb-2">
-              <strong className="text-gray-700 dark:text-gray-200">📄 {sortFileName(file.name)}</strong>
+              <input
+                type="checkbox"
+                className="mr-2"
+                aria-label={`Select ${file.name}`}
+                checked={selectedIds.includes(file._id)}
+                onChange={() => toggleSelected(file._id)}
+              />
+              <strong className="text-gray-700 dark:text-gray-200">{renderThumbnail(file) || (file.kind === "paste" ? "📝 " : "📄 ")}{sortFileName(file.name)}</strong>
               <div className="text-xs text-gray-400">{file.type} | {formattedSize}</div>
             </div>
             <div className="text-sm text-gray-500 mb-1">
               <span className="font-medium">Status: </span>
-              <span className={file.status === "active" ? "text-green-600" : "text-red-500"}>
-                {file.status}
-              </span>
+              {renderStatus(file, "text-green-600", "text-red-500")}
             </div>
             <div className="text-sm text-gray-500 mb-1">
-              <span className="font-medium">Downloaded:</span> {file.downloadedContent}
+              <span className="font-medium">Downloaded:</span> {file.downloadedContent}{file.maxDownloads ? ` / ${file.maxDownloads}` : ""}
             </div>
             <div className="text-sm text-gray-500 mb-1">
               <span className="font-medium">Expiry:</span>{" "}
@@ -406,24 +683,17 @@ const paginatedFiles = filteredFiles?.slice(
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white dark:bg-gray-800 p-6 rounded shadow-lg max-w-2xl w-full">
             <h3 className="text-lg font-bold mb-2">{previewFile.name}</h3>
-              {/* File Preview */}
-          {previewFile.type.startsWith("image/") && (
-            <img src={previewFile.path} alt={previewFile.name} className="w-full h-auto rounded mb-4" />
-          )}
-          {previewFile.type.startsWith("video/") && (
-            <video controls className="w-full h-auto rounded mb-4">
-              <source src={previewFile.path} type={previewFile.type} />
-              Your browser does not support the video tag.
-            </video>
-          )}
-          {previewFile.type.startsWith("audio/") && (
-            <audio controls className="w-full h-auto rounded mb-4">
-              <source src={previewFile.path} type={previewFile.type} />
-              Your browser does not support the audio element.
-            </audio>
-          )}
-          {previewFile.type === "application/pdf" && (
-            <iframe src={previewFile.path} title="PDF Preview" className="w-full h-[400px] rounded mb-4"></iframe>
+          {previewFile.encryption ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+              🔒 This file is end-to-end encrypted, so it can only be opened from its share link.
+            </p>
+          ) : SCAN_STATES[previewFile.status] ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+              {SCAN_STATES[previewFile.status].note}
+              {previewFile.scan?.signature && ` Detected: ${previewFile.scan.signature}`}
+            </p>
+          ) : (
+            preview
           )}
             <div className="mt-4 text-right">
               <button
@@ -437,12 +707,82 @@ const paginatedFiles = filteredFiles?.slice(
         </div>
       )}
 
+      {/* Bundle Modal */}
+      {bundleModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white dark:bg-[--bg-color] p-6 rounded shadow-lg w-full max-w-md">
+            <h3 className="text-lg font-bold mb-4 text-center">
+              📦 Bundle {createdBundle ? "created" : `${selectedIds.length} file${selectedIds.length !== 1 ? "s" : ""}`}
+            </h3>
+
+            {createdBundle ? (
+              <div className="flex flex-col items-center gap-3">
+                <p className="text-sm text-gray-600 break-all">
+                  {handleShare(createdBundle.shortUrl).copy}
+                </p>
+                <button
+                  onClick={() => {
+                    navigator.clipboard.writeText(handleShare(createdBundle.shortUrl).copy);
+                    toast.success("Link copied to clipboard!");
+                  }}
+                  className="inline-flex items-center gap-2 px-4 py-2 bg-blue-100 text-blue-500 rounded hover:bg-blue-200 transition"
+                >
+                  <span className="font-semibold">Copy Link</span>
+                </button>
+              </div>
+            ) : (
+              <div className="flex flex-col gap-3">
+                <input
+                  type="text"
+                  className="px-3 py-2 border rounded-lg"
+                  placeholder="Bundle name (optional)"
+                  value={bundleForm.name}
+                  onChange={(e) => setBundleForm({ ...bundleForm, name: e.target.value })}
+                />
+                <input
+                  type="password"
+                  className="px-3 py-2 border rounded-lg"
+                  placeholder="Password (optional)"
+                  value={bundleForm.password}
+                  onChange={(e) => setBundleForm({ ...bundleForm, password: e.target.value })}
+                />
+                <label className="text-sm text-gray-600">
+                  Expires at (optional)
+                  <input
+                    type="datetime-local"
+                    className="mt-1 px-3 py-2 border rounded-lg w-full"
+                    value={bundleForm.expiryDate}
+                    onChange={(e) => setBundleForm({ ...bundleForm, expiryDate: e.target.value })}
+                  />
+                </label>
+                <button
+                  onClick={handleCreateBundle}
+                  disabled={bundleLoading}
+                  className="px-4 py-2 text-white bg-[var(--primary-text)] rounded hover:opacity-90 disabled:opacity-50"
+                >
+                  {bundleLoading ? "Creating..." : "Create Bundle"}
+                </button>
+              </div>
+            )}
+
+            <div className="mt-6 text-center">
+              <button
+                onClick={closeBundleModal}
+                className="px-4 py-2 bg-gray-800 text-white rounded hover:bg-gray-900"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Share Modal */}
       {shareFile && (
       
         
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-  <div className="bg-white dark:bg-[--bg-color] p-6 rounded shadow-lg w-full max-w-md md:max-w-2xl">
+  <div className="bg-white dark:bg-[--bg-color] p-6 rounded shadow-lg w-full max-w-md md:max-w-2xl max-h-[90vh] overflow-y-auto">
     <h3 className="text-lg font-bold mb-4 text-center">
       Share "{shareFile?.name}"
     </h3>
@@ -490,6 +830,179 @@ const paginatedFiles = filteredFiles?.slice(
       
     </div>
 
+    {/* Custom link and aliases; old links keep redirecting to the current one */}
+    <div className="mt-6 text-[var(--text-color)] text-sm">
+      <p className="font-medium text-gray-700 dark:text-gray-200 mb-1">Link:</p>
+      <p className="text-xs break-all mb-2">
+        <code>{handleShare(shareFile.shortUrl).copy}</code>
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          placeholder="custom-link"
+          value={linkSlug}
+          onChange={(e) => setLinkSlug(e.target.value)}
+          className="flex-1 min-w-[8rem] p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+        />
+        <button
+          onClick={() => handleChangeLink(linkSlug.trim())}
+          disabled={!linkSlug.trim()}
+          className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          Set Link
+        </button>
+        <button
+          onClick={() => handleChangeLink(null)}
+          className="px-3 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+        >
+          🔀 New Random Link
+        </button>
+      </div>
+
+      {shareFile.aliases?.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {shareFile.aliases.map((alias) => (
+            <li key={alias.shortUrl} className="flex items-center gap-2 text-xs">
+              <span className="px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 whitespace-nowrap">
+                {alias.redirect ? "↪ old link" : "🔗 alias"}
+              </span>
+              <code className="flex-1 break-all">{alias.shortUrl}</code>
+              <button
+                onClick={() => {
+                  navigator.clipboard.writeText(aliasLink(shareFile, alias));
+                  toast.success("Link copied to clipboard!");
+                }}
+                className="text-blue-500 hover:underline"
+              >
+                Copy
+              </button>
+              <button
+                onClick={() =>
+                  changeLink(removeFileAlias, { slug: alias.shortUrl.split("/").pop() }, "Link removed")
+                }
+                className="text-red-500 hover:underline"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2 mt-3">
+        <input
+          type="text"
+          placeholder="add-an-alias"
+          value={aliasSlug}
+          onChange={(e) => setAliasSlug(e.target.value)}
+          className="flex-1 p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+        />
+        <button
+          onClick={handleAddAlias}
+          disabled={!aliasSlug.trim()}
+          className="px-3 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50"
+        >
+          Add Alias
+        </button>
+      </div>
+    </div>
+
+    {/* Share links: one per recipient, each with its own rules, turned off or deleted on their own */}
+    <div className="mt-6 text-[var(--text-color)] text-sm">
+      <p className="font-medium text-gray-700 dark:text-gray-200 mb-1">Share links:</p>
+      {shareLinks.length === 0 ? (
+        <p className="text-xs text-gray-500 mb-2">
+          Give each recipient their own link, with its own password, expiry and download limit.
+        </p>
+      ) : (
+        <ul className="mb-3 space-y-2">
+          {shareLinks.map((link) => (
+            <li key={link.id} className="p-2 border rounded text-xs">
+              <div className="flex items-center gap-2">
+                <span className="font-semibold flex-1 truncate">{link.label || "Untitled link"}</span>
+                <button
+                  onClick={() => {
+                    navigator.clipboard.writeText(shareLinkUrl(link));
+                    toast.success("Link copied to clipboard!");
+                  }}
+                  className="text-blue-500 hover:underline"
+                >
+                  Copy
+                </button>
+                <button
+                  onClick={() => handleToggleShareLink(link)}
+                  className="text-gray-600 dark:text-gray-300 hover:underline"
+                >
+                  {link.enabled ? "Turn Off" : "Turn On"}
+                </button>
+                <button
+                  onClick={() => handleDeleteShareLink(link)}
+                  className="text-red-500 hover:underline"
+                >
+                  Delete
+                </button>
+              </div>
+              <code className="block break-all mt-1">{link.shortUrl}</code>
+              <p className="mt-1 text-gray-500">{shareLinkSummary(link)}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input
+          type="text"
+          placeholder="Label (e.g. Client review)"
+          value={linkForm.label}
+          onChange={(e) => setLinkForm({ ...linkForm, label: e.target.value })}
+          className="p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+        />
+        <input
+          type="password"
+          placeholder="Password (optional)"
+          value={linkForm.password}
+          onChange={(e) => setLinkForm({ ...linkForm, password: e.target.value })}
+          className="p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+        />
+        <label className="flex flex-col text-xs text-gray-500">
+          Expires (optional)
+          <input
+            type="datetime-local"
+            value={linkForm.expiryDate}
+            onChange={(e) => setLinkForm({ ...linkForm, expiryDate: e.target.value })}
+            className="p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+          />
+        </label>
+        <label className="flex flex-col text-xs text-gray-500">
+          Download limit (optional)
+          <input
+            type="number"
+            min="1"
+            value={linkForm.burnAfterReading ? "1" : linkForm.maxDownloads}
+            disabled={linkForm.burnAfterReading}
+            onChange={(e) => setLinkForm({ ...linkForm, maxDownloads: e.target.value })}
+            className="p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)] disabled:opacity-50"
+          />
+        </label>
+      </div>
+      <div className="flex items-center justify-between gap-2 mt-2">
+        <label className="flex items-center gap-2 text-xs">
+          <input
+            type="checkbox"
+            checked={linkForm.burnAfterReading}
+            onChange={(e) => setLinkForm({ ...linkForm, burnAfterReading: e.target.checked })}
+          />
+          🔥 Burn after reading
+        </label>
+        <button
+          onClick={handleCreateShareLink}
+          className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+        >
+          Create Share Link
+        </button>
+      </div>
+    </div>
+
     <div className="mt-6 text-center">
       <p className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
         QR Code:
@@ -526,7 +1039,7 @@ const paginatedFiles = filteredFiles?.slice(
 
     <div className="mt-6 text-center">
       <button
-        onClick={() => setShareFile(null)}
+        onClick={closeShare}
         className="px-4 py-2 bg-gray-800 text-white rounded hover:bg-gray-900"
       >
         Close
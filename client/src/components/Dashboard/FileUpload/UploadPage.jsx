@@ -1,13 +1,18 @@
 import React, { useRef, useState } from "react";
 import "./FileUploader.css";
 import { useDispatch, useSelector } from "react-redux";
-import { uploadFile } from "../../../redux/slice/file/fileThunk";
 import { toast } from "react-toastify";
+import { resendVerification } from "../../../redux/slice/auth/authThunk";
+import { isE2ESupported } from "../../../utils/e2eCrypto";
+import { enqueuePaste, enqueueUploads } from "../../../redux/slice/file/uploadQueue";
+import UploadQueue from "../../UploadQueue";
+import { ACCEPTED_FILE_TYPES } from "../../../utils/fileTypes";
+import { PASTE_LANGUAGES, PASTE_MAX_BYTES, pasteSize } from "../../../utils/paste";
+import { DIRECT_UPLOADS_ENABLED } from "../../../utils/directUpload";
 
 const FileUploader = () => {
   const fileInputRef = useRef(null);
   const dispatch = useDispatch();
-  const { loading } = useSelector((state) => state.file);
   const { user } = useSelector((state) => state.auth);
 
   const [files, setFiles] = useState([]);
@@ -15,15 +20,22 @@ const FileUploader = () => {
   const [password, setPassword] = useState("");
   const [enableExpiry, setEnableExpiry] = useState(false);
   const [expiryDate, setExpiryDate] = useState("");
+  const [enableDownloadLimit, setEnableDownloadLimit] = useState(false);
+  const [maxDownloads, setMaxDownloads] = useState("1");
+  const [burnAfterReading, setBurnAfterReading] = useState(false);
+  const [encrypt, setEncrypt] = useState(false);
+  const [enableSlug, setEnableSlug] = useState(false);
+  const [slug, setSlug] = useState("");
+  // "files" uploads the selection, "paste" the text typed below
+  const [mode, setMode] = useState("files");
+  const [paste, setPaste] = useState({ title: "", language: "text", content: "" });
 
   const handleBrowseClick = () => {
     fileInputRef.current.click();
   };
 
   const handleFiles = (fileList) => {
-    const newFiles = Array.from(fileList).filter(
-      (file) => file.size <= 10 * 1024 * 1024
-    );
+    const newFiles = Array.from(fileList);
     setFiles((prev) => [...prev, ...newFiles]);
     toast.success("File(s) added!");
   };
@@ -55,46 +67,154 @@ const FileUploader = () => {
 
   const totalSize = files.reduce((acc, file) => acc + file.size, 0);
 
-  const handleUpload = async () => {
-    if (files.length === 0) {
-      toast.error("Please upload at least one file.");
-      return;
-    }
-
-    const formData = new FormData();
-    files.forEach((file) => formData.append("files", file));
-    formData.append("userId", user._id ? user._id : user.id);
-    formData.append("hasExpiry", enableExpiry);
+  const buildOptions = () => {
+    const options = {
+      hasExpiry: enableExpiry,
+      isPassword: enablePassword,
+    };
 
     if (enableExpiry && expiryDate) {
-      const hours = Math.ceil(
+      options.expiresAt = Math.ceil(
         (new Date(expiryDate) - new Date()) / (1000 * 60 * 60)
       );
-      formData.append("expiresAt", hours);
     }
 
-    formData.append("isPassword", enablePassword);
     if (enablePassword && password) {
-      formData.append("password", password);
+      options.password = password;
+    }
+
+    if (burnAfterReading) {
+      options.burnAfterReading = true;
+    } else if (enableDownloadLimit && maxDownloads) {
+      options.maxDownloads = Number(maxDownloads);
+    }
+
+    if (enableSlug && slug.trim()) {
+      options.slug = slug.trim();
+    }
+    return options;
+  };
+
+  // Hands the selection to the shared upload queue; finished files show up in
+  // the dashboard list without a reload
+  const handleUpload = () => {
+    if (files.length === 0) {
+      toast.error("Please upload at least one file.");
+      return;
     }
+    if (enableSlug && slug.trim() && files.length > 1) {
+      toast.error("A custom link can only be set when uploading a single file.");
+      return;
+    }
+
+    dispatch(
+      enqueueUploads({
+        files,
+        options: buildOptions(),
+        encrypt,
+        onUploaded: (uploaded) =>
+          uploaded.forEach((f) => toast.success(`${f.name} uploaded`)),
+      })
+    );
+    setFiles([]);
+    setSlug("");
+  };
+
+  const pasteBytes = pasteSize(paste.content);
 
-    try {
-      await dispatch(uploadFile(formData)).unwrap();
-      toast.success("Files uploaded successfully!");
-      setFiles([]);
-      window.location.reload();
-    } catch (err) {
-      toast.error(err?.error || "Upload failed");
+  const handlePaste = () => {
+    if (!paste.content.trim()) {
+      toast.error("Please enter some text to paste.");
+      return;
+    }
+    if (pasteBytes > PASTE_MAX_BYTES) {
+      toast.error(`Pastes can be at most ${PASTE_MAX_BYTES / 1024} KB. Upload larger text as a file.`);
+      return;
     }
+
+    dispatch(
+      enqueuePaste({
+        paste,
+        options: buildOptions(),
+        onUploaded: (uploaded) =>
+          uploaded.forEach((f) => toast.success(`${f.name} created`)),
+      })
+    );
+    setPaste((prev) => ({ ...prev, title: "", content: "" }));
+    setSlug("");
+  };
+
+  const handleResendVerification = async () => {
+    const result = await dispatch(resendVerification());
+    if (result.error) toast.error(result.payload);
+    else toast.success(result.payload.message);
   };
 
   return (
     <div className="container bg-[var(--bg-color)] text-[var(--text-color)] p-6 rounded-lg shadow-md">
+      {user && !user.isVerified && (
+        <div className="mb-4 p-3 rounded bg-amber-100 text-amber-800 text-sm flex flex-wrap items-center justify-between gap-2">
+          <span>Your email isn&apos;t verified yet, so uploads are limited. Check your inbox for the confirmation link.</span>
+          <button onClick={handleResendVerification} className="underline font-medium">
+            Resend email
+          </button>
+        </div>
+      )}
       <div className="header bg-[var(--bg-color)] text-[var(--text-color)] text-center mb-6">
-        <h1>File Upload</h1>
-        <p>Drag & drop files or click to browse</p>
+        <h1>{mode === "paste" ? "New Paste" : "File Upload"}</h1>
+        <p>{mode === "paste" ? "Type or paste text and code to share it as a link" : "Drag & drop files or click to browse"}</p>
+      </div>
+
+      <div className="flex justify-center gap-2 mb-4">
+        {[["files", "📁 Files"], ["paste", "📝 Paste"]].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setMode(value)}
+            className={`px-4 py-2 rounded text-sm font-medium ${
+              mode === value ? "bg-blue-600 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
       </div>
 
+      {mode === "paste" ? (
+        <div className="flex flex-col gap-3">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              className="flex-1 p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+              placeholder="Title (optional)"
+              maxLength={80}
+              value={paste.title}
+              onChange={(e) => setPaste((prev) => ({ ...prev, title: e.target.value }))}
+            />
+            <select
+              className="p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+              aria-label="Language"
+              value={paste.language}
+              onChange={(e) => setPaste((prev) => ({ ...prev, language: e.target.value }))}
+            >
+              {PASTE_LANGUAGES.map((language) => (
+                <option key={language.value} value={language.value}>
+                  {language.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            className="w-full h-64 p-3 border rounded font-mono text-sm bg-[var(--bg-color)] text-[var(--text-color)]"
+            placeholder="Paste your text or code here"
+            spellCheck={false}
+            value={paste.content}
+            onChange={(e) => setPaste((prev) => ({ ...prev, content: e.target.value }))}
+          />
+          <p className={`text-xs text-right ${pasteBytes > PASTE_MAX_BYTES ? "text-red-500" : "opacity-75"}`}>
+            {(pasteBytes / 1024).toFixed(1)} / {PASTE_MAX_BYTES / 1024} KB
+          </p>
+        </div>
+      ) : (
       <div
         className="dropbox"
         onClick={handleBrowseClick}
@@ -105,7 +225,10 @@ const FileUploader = () => {
         <div className="dropbox-icon">📁</div>
         <div className="dropbox-text">Drop files here</div>
         <div className="dropbox-subtext">
-          Supported formats: JPG, PNG, PDF, MP4, MOV, AVI, MKV (Max 10MB)
+          Images, video, audio, PDF and Office documents, archives, text and code
+          {DIRECT_UPLOADS_ENABLED
+            ? " (files go straight to storage; over 5 GB they upload in resumable chunks)"
+            : " (large files upload in resumable chunks)"}
         </div>
         <button
           className="browse-btn"
@@ -120,10 +243,11 @@ const FileUploader = () => {
           type="file"
           ref={fileInputRef}
           multiple
-          accept=".jpg,.jpeg,.webp,.png,.mp4,.avi,.mov,.mkv,.mk3d,.mks,.mka,.pdf"
+          accept={ACCEPTED_FILE_TYPES}
           onChange={handleFileInputChange}
         />
       </div>
+      )}
 
       <div className="extra-options bg-[var(--bg-color)] text-[var(--text-color)] mt-6">
         <div className="switch-container">
@@ -170,9 +294,106 @@ const FileUploader = () => {
             />
           )}
         </div>
+
+        <div className="switch-container">
+          <label className="switch-label">
+            <span className="label-text">Limit Downloads</span>
+            <label className="switch">
+              <input
+                type="checkbox"
+                checked={enableDownloadLimit}
+                disabled={burnAfterReading}
+                onChange={(e) => setEnableDownloadLimit(e.target.checked)}
+              />
+              <span className="slider"></span>
+            </label>
+          </label>
+          {enableDownloadLimit && !burnAfterReading && (
+            <input
+              type="number"
+              min="1"
+              step="1"
+              className="expiry-input"
+              placeholder="Max downloads"
+              value={maxDownloads}
+              onChange={(e) => setMaxDownloads(e.target.value)}
+            />
+          )}
+        </div>
+
+        <div className="switch-container">
+          <label className="switch-label">
+            <span className="label-text">Burn After First Download</span>
+            <label className="switch">
+              <input
+                type="checkbox"
+                checked={burnAfterReading}
+                onChange={(e) => setBurnAfterReading(e.target.checked)}
+              />
+              <span className="slider"></span>
+            </label>
+          </label>
+          {burnAfterReading && (
+            <p className="text-xs mt-1 opacity-75">
+              The file is deleted as soon as it has been downloaded once.
+            </p>
+          )}
+        </div>
+
+        <div className="switch-container">
+          <label className="switch-label">
+            <span className="label-text">Custom Link</span>
+            <label className="switch">
+              <input
+                type="checkbox"
+                checked={enableSlug}
+                onChange={(e) => setEnableSlug(e.target.checked)}
+              />
+              <span className="slider"></span>
+            </label>
+          </label>
+          {enableSlug && (
+            <>
+              <input
+                type="text"
+                className="password-input"
+                placeholder="my-custom-link"
+                maxLength={64}
+                value={slug}
+                onChange={(e) => setSlug(e.target.value)}
+              />
+              <p className="text-xs mt-1 opacity-75">
+                Shared as {window.location.origin}/f/{slug.trim() || "my-custom-link"}. Letters, digits,
+                &quot;-&quot; and &quot;_&quot;, for a single file.
+              </p>
+            </>
+          )}
+        </div>
+
+        {isE2ESupported() && mode === "files" && (
+          <div className="switch-container">
+            <label className="switch-label">
+              <span className="label-text">End-to-End Encrypt</span>
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={encrypt}
+                  onChange={(e) => setEncrypt(e.target.checked)}
+                />
+                <span className="slider"></span>
+              </label>
+            </label>
+            {encrypt && (
+              <p className="text-xs mt-1 opacity-75">
+                Files are encrypted in your browser. Only people with the full share
+                link, which holds the key, can open them, and they can&apos;t be previewed.
+              </p>
+            )}
+          </div>
+        )}
       </div>
 
-      {files.length > 0 && (
+      {mode === "files" && files.length > 0 && (
         <div className="upload-stats">
           <div className="stats-header">
             <div className="stats-title">Upload Summary</div>
@@ -203,7 +424,7 @@ const FileUploader = () => {
         </div>
       )}
 
-      {files.length === 0 ? (
+      {mode === "paste" ? null : files.length === 0 ? (
         <div className="empty-state">No files uploaded yet</div>
       ) : (
         <div className="file-previews">
@@ -260,14 +481,26 @@ const FileUploader = () => {
       )}
 
       <div className="upload-action">
-        <button
-          className="upload-btn"
-          onClick={handleUpload}
-          disabled={loading || files.length === 0}
-        >
-          {loading ? "Uploading..." : "Upload"}
-        </button>
+        {mode === "paste" ? (
+          <button
+            className="upload-btn"
+            onClick={handlePaste}
+            disabled={!paste.content.trim() || pasteBytes > PASTE_MAX_BYTES}
+          >
+            Create Paste
+          </button>
+        ) : (
+          <button
+            className="upload-btn"
+            onClick={handleUpload}
+            disabled={files.length === 0}
+          >
+            Upload
+          </button>
+        )}
       </div>
+
+      <UploadQueue />
     </div>
   );
 };
@@ -1,5 +1,6 @@
 import { useDispatch } from "react-redux";
 import {  logoutUser } from "../../redux/slice/auth/authSlice";
+import { logoutSession } from "../../redux/slice/auth/authThunk";
 import { useEffect } from "react";
 
 
@@ -9,6 +10,8 @@ const logout = () => {
     
     useEffect(()=>{
         const logoutUserFromStorage = async () => {
+            // Revoke the server session first; local sign-out happens either way
+            await dispatch(logoutSession());
             await dispatch(logoutUser());
             window.location.href = "/login";
         }
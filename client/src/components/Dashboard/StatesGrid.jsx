@@ -1,12 +1,51 @@
-import React, { useEffect, useRef } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { getUser } from "../../redux/slice/auth/authThunk";
 import WelcomeSection from "./WelcomeSection";
+import DownloadCharts from "./DownloadCharts";
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+// Storage used against the plan's quota, plus the plan's other limits
+const renderUsageMeter = (usage) => {
+  const percent = usage.quota ? Math.min((usage.used / usage.quota) * 100, 100) : 0;
+  const barColor = percent >= 90 ? "bg-red-500" : percent >= 75 ? "bg-amber-500" : "bg-blue-500";
+
+  return (
+    <div className="relative p-5 mb-4 rounded-xl bg-white dark:bg-gray-900 shadow-md">
+      <div className="absolute top-0 left-0 w-full h-1 rounded-t-xl bg-[var(--primary-gradient)]" />
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-semibold text-[var(--primary-text)]">Storage ({usage.planLabel} plan)</span>
+        <span className="text-gray-600 dark:text-gray-300">
+          {formatBytes(usage.used)} of {usage.quota ? formatBytes(usage.quota) : "unlimited"}
+        </span>
+      </div>
+      <div className="h-3 mt-2 rounded bg-gray-200 dark:bg-gray-700">
+        <div className={`h-3 rounded ${barColor}`} style={{ width: `${percent}%` }} />
+      </div>
+      <div className="flex flex-wrap gap-x-6 gap-y-1 mt-3 text-xs text-gray-600 dark:text-gray-300">
+        <span>Max file size: {usage.maxFileSize ? formatBytes(usage.maxFileSize) : "unlimited"}</span>
+        <span>
+          Max retention: {usage.maxRetentionHours ? `${Math.round(usage.maxRetentionHours / 24)} days` : "unlimited"}
+        </span>
+        <span>
+          Active links: {usage.activeLinks}
+          {usage.maxActiveLinks ? ` of ${usage.maxActiveLinks}` : ""}
+        </span>
+      </div>
+    </div>
+  );
+};
 
 const StatsGrid = () => {
   const dispatch = useDispatch();
   const user = useSelector((state) => state.auth.user);
   const hasFetched = useRef(false);
+  const [view, setView] = useState("overview"); // overview | charts
 
   useEffect(() => {
     if (user && user.id && !hasFetched.current) {
@@ -53,6 +92,26 @@ const StatsGrid = () => {
       {/* Welcome Message */}
       <WelcomeSection user={user} />
 
+      <div className="flex gap-2 mb-4">
+        {["overview", "charts"].map((v) => (
+          <button
+            key={v}
+            onClick={() => setView(v)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium capitalize ${
+              view === v ? "bg-blue-600 text-white" : "bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-200 shadow"
+            }`}
+          >
+            {v}
+          </button>
+        ))}
+      </div>
+
+      {view === "charts" ? (
+        <DownloadCharts />
+      ) : (
+      <>
+      {user?.usage && renderUsageMeter(user.usage)}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
         {cards.map((card, index) => (
@@ -79,6 +138,8 @@ const StatsGrid = () => {
           </div>
         ))}
       </div>
+      </>
+      )}
     </div>
   );
 };
@@ -1,11 +1,22 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { useSelector, useDispatch } from "react-redux";
-import { deleteUser, updateUser } from "../../redux/slice/auth/authThunk";
+import { toast } from "react-toastify";
+import {
+  deleteUser,
+  updateUser,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../../redux/slice/auth/authThunk";
 
 const UserProfile = () => {
-  const { user } = useSelector((state) => state.auth);
+  const { user, sessions } = useSelector((state) => state.auth);
   const dispatch = useDispatch();
 
+  useEffect(() => {
+    dispatch(getSessions());
+  }, [dispatch]);
+
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
   const [newUsername, setNewUsername] = useState(user.username);
@@ -20,6 +31,24 @@ const UserProfile = () => {
     setDeleteModalOpen(false);
   };
 
+  const handleRevoke = async (sessionId) => {
+    try {
+      await dispatch(revokeSession(sessionId)).unwrap();
+      toast.success("Device signed out");
+    } catch (err) {
+      toast.error(err?.message || "Could not sign out device");
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      await dispatch(revokeOtherSessions()).unwrap();
+      toast.success("Signed out of all other devices");
+    } catch (err) {
+      toast.error(err?.message || "Could not sign out other devices");
+    }
+  };
+
   return (
     <div className="p-6 bg-white shadow-lg rounded-xl mx-auto mt-10">
       <h2 className="text-3xl font-bold text-gray-800 mb-6">User Profile</h2>
@@ -55,6 +84,47 @@ const UserProfile = () => {
         </button>
       </div>
 
+      {/* Active sessions */}
+      <div className="mt-10">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-xl font-semibold text-gray-800">Active sessions</h3>
+          {sessions.length > 1 && (
+            <button
+              onClick={handleRevokeOthers}
+              className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded hover:bg-red-50"
+            >
+              Sign out all other devices
+            </button>
+          )}
+        </div>
+        <ul className="divide-y border rounded">
+          {sessions.map((session) => (
+            <li key={session.id} className="flex items-center justify-between gap-4 p-3">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-800 truncate" title={session.userAgent}>
+                  {session.userAgent || "Unknown device"}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs text-green-700 bg-green-100 rounded">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ip || "Unknown IP"} · last seen {new Date(session.lastSeenAt).toLocaleString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session.id)}
+                  className="px-3 py-1 text-sm text-white bg-red-600 rounded hover:bg-red-700"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+          {sessions.length === 0 && <li className="p-3 text-sm text-gray-500">No active sessions</li>}
+        </ul>
+      </div>
+
       {/* Edit Modal */}
       {editModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-toastify';
+import { forgotPassword } from '../redux/slice/auth/authThunk';
+
+const ForgotPassword = () => {
+  const dispatch = useDispatch();
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email) {
+      toast.error('Please enter your email');
+      return;
+    }
+
+    setLoading(true);
+    const result = await dispatch(forgotPassword(email));
+    setLoading(false);
+    if (result.error) {
+      toast.error(result.payload);
+    } else {
+      setSent(true);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 text-gray-900 flex justify-center">
+      <div className="m-0 sm:m-12 bg-white shadow sm:rounded-lg flex justify-center flex-1">
+        <div className="lg:w-1/2 xl:w-5/12 p-6 sm:p-12">
+          <div className="mt-12 flex flex-col items-center">
+            <h1 className="text-2xl xl:text-3xl font-extrabold">Forgot your password?</h1>
+            <div className="w-full flex-1 mt-8">
+              <div className="mx-auto max-w-xs">
+                {sent ? (
+                  <p className="text-sm text-gray-700 text-center">
+                    If <strong>{email}</strong> has an account, we&apos;ve sent it a link to reset the password.
+                    The link expires in 1 hour.
+                  </p>
+                ) : (
+                  <>
+                    <p className="text-sm text-gray-600 text-center">
+                      Enter the email you signed up with and we&apos;ll send you a reset link.
+                    </p>
+                    <input
+                      className="w-full px-8 py-4 rounded-lg font-medium bg-gray-100 border border-gray-200 placeholder-gray-500 text-sm focus:outline-none focus:border-gray-400 focus:bg-white mt-5"
+                      type="email"
+                      name="email"
+                      onChange={(e) => setEmail(e.target.value)}
+                      value={email}
+                      placeholder="Email"
+                    />
+                    <button
+                      className="mt-5 tracking-wide font-semibold bg-indigo-500 text-gray-100 w-full py-4 rounded-lg hover:bg-indigo-700 transition-all duration-300 ease-in-out flex items-center justify-center focus:shadow-outline focus:outline-none"
+                      onClick={handleSubmit}
+                      disabled={loading}
+                    >
+                      {loading ? 'Sending...' : 'Send reset link'}
+                    </button>
+                  </>
+                )}
+                <p className="mt-6 text-xs text-gray-600 text-center">
+                  Remembered it?{' '}
+                  <a
+                    href="/login"
+                    className="border-b border-gray-500 border-dotted text-primary hover:text-primary font-semibold"
+                  >
+                    Back to login
+                  </a>
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
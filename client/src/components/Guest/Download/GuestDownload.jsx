@@ -1,6 +1,9 @@
 import { useParams } from "react-router-dom";
 import { useEffect, useState } from "react";
 import { toast } from "react-toastify";
+import { decryptBlob, keyFromHash, saveBlob } from "../../../utils/e2eCrypto";
+import { useFilePreview } from "../../Preview/useFilePreview";
+import { languageLabel } from "../../../utils/paste";
 
 const GuestDownload = () => {
   const { shortCode } = useParams();
@@ -10,6 +13,11 @@ const GuestDownload = () => {
   const [password, setPassword] = useState("");
   const [isLoading, setIsLoading] = useState(true);
   const [isVerified, setIsVerified] = useState(false);
+  const [downloadToken, setDownloadToken] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  // End-to-end encrypted files are opened with the key in the link's #fragment
+  const [decryptKey] = useState(() => keyFromHash());
+  const [isDecrypting, setIsDecrypting] = useState(false);
 
   useEffect(() => {
   const controller = new AbortController();
@@ -18,16 +26,20 @@ const GuestDownload = () => {
     try {
       const res = await fetch(`pastebox-file-sharing-platform-main-production.up.railway.app/api/files/g/${shortCode}`, {
         signal: controller.signal,
+        headers: downloadToken ? { "X-Download-Token": downloadToken } : {},
       });
 
-      if (!res.ok) throw new Error("File not found");
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || "File not found");
+      }
 
       const data = await res.json();
       setFile(data);
       setIsProtected(data.isPasswordProtected);
       setIsLoading(false);
 
-      if (data.isPasswordProtected) {
+      if (data.isPasswordProtected && !downloadToken) {
         toast.info("🔒 This file is password protected. Please enter the password.");
       } 
 
@@ -41,18 +53,61 @@ const GuestDownload = () => {
   fetchFile();
 
   return () => controller.abort();
-}, [shortCode]);
+}, [shortCode, downloadToken, refreshCount]);
+
+  // Check again while the malware scan is still running
+  useEffect(() => {
+    if (file?.status !== "pending_scan") return undefined;
+    const timer = setTimeout(() => setRefreshCount((n) => n + 1), 5000);
+    return () => clearTimeout(timer);
+  }, [file]);
+
 
+  // Links are only present once the file is unlocked (no password, or a valid download token)
+  const previewUrl = file?.streamUrl || file?.path;
+  // Ciphertext has nothing to preview
+  const preview = useFilePreview(file, file?.encryption ? null : previewUrl);
+
+  const downloadHref = () =>
+    file.streamUrl
+      ? `${file.streamUrl}${file.streamUrl.includes("?") ? "&" : "?"}download=1`
+      : file.downloadUrl;
+
+  // Limited files are counted by the server as the download starts
+  const countDownload = () => {
+    if (file.maxDownloads) {
+      setFile((prev) => ({ ...prev, downloadsRemaining: Math.max((prev.downloadsRemaining ?? 1) - 1, 0) }));
+    }
+  };
 
   const handleDownload = () => {
   const link = document.createElement('a');
-  link.href = file.downloadUrl;
+  link.href = downloadHref();
   link.setAttribute('download', file.name); // optional; browser may ignore if headers are set
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
+  countDownload();
 };
 
+  // The server only has ciphertext: fetch it, decrypt it here and save the result
+  const handleDecryptDownload = async () => {
+    setIsDecrypting(true);
+    try {
+      const res = await fetch(downloadHref());
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || "Download failed");
+      }
+      countDownload();
+      saveBlob(await decryptBlob(await res.blob(), decryptKey, file.type), file.name);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsDecrypting(false);
+    }
+  };
+
 
 
 
@@ -75,6 +130,9 @@ const GuestDownload = () => {
       if (result.success) {
         toast.success("✅ Password verified! You can now download the file.");
         setIsVerified(true);
+        setDownloadToken(result.token);
+      } else if (res.status === 429) {
+        toast.error(result.error);
       } else {
         toast.error("❌ Incorrect password. Try again.");
       }
@@ -97,8 +155,15 @@ const GuestDownload = () => {
        <div className="w-full">
   <h2 className="text-lg font-semibold text-[var(--primary-text)] mb-2">File Preview</h2>
 
-  {/* Protected Message */}
-  {isProtected && !isVerified ? (
+  {/* Malware scan pending, or quarantined */}
+  {file.scanMessage ? (
+    <div className="w-full flex flex-col items-center justify-center border-2 border-dashed border-gray-400 p-6 rounded bg-gray-100 dark:bg-gray-800 text-center">
+      <p className="text-gray-700 dark:text-gray-200 text-base">
+        {file.status === "quarantined" ? "⚠️ " : "🔍 "}
+        {file.scanMessage}
+      </p>
+    </div>
+  ) : isProtected && !isVerified ? (
     <div className="w-full flex flex-col items-center justify-center border-2 border-dashed border-gray-400 p-6 rounded bg-gray-100 dark:bg-gray-800 text-center">
       <img
         src="https://cdn-icons-png.flaticon.com/128/18427/18427887.png" // Replace with your actual placeholder image path
@@ -109,27 +174,24 @@ const GuestDownload = () => {
         🔒 This file is password protected. Please verify to preview or download.
       </p>
     </div>
+  ) : file.encryption ? (
+    <div className="w-full flex flex-col items-center justify-center border-2 border-dashed border-gray-400 p-6 rounded bg-gray-100 dark:bg-gray-800 text-center">
+      <p className="text-gray-700 dark:text-gray-200 text-base">
+        {decryptKey
+          ? "🔒 This file is end-to-end encrypted. It is decrypted in your browser when you download it."
+          : "🔒 This file is end-to-end encrypted and this link has no key. Ask the sender for the complete link."}
+      </p>
+    </div>
+  ) : file.maxDownloads ? (
+    <div className="w-full flex flex-col items-center justify-center border-2 border-dashed border-gray-400 p-6 rounded bg-gray-100 dark:bg-gray-800 text-center">
+      <p className="text-gray-700 dark:text-gray-200 text-base">
+        {file.burnAfterReading
+          ? "🔥 This file can only be downloaded once, so it can't be previewed."
+          : "⏳ This file has a download limit, so it can't be previewed."}
+      </p>
+    </div>
   ) : (
-    <>
-      {file.type.startsWith("image/") && (
-        <img src={file.path} alt={file.name} className="w-full h-auto rounded mb-4" />
-      )}
-      {file.type.startsWith("video/") && (
-        <video controls className="w-full h-auto rounded mb-4">
-          <source src={file.path} type={file.type} />
-          Your browser does not support the video tag.
-        </video>
-      )}
-      {file.type.startsWith("audio/") && (
-        <audio controls className="w-full h-auto rounded mb-4">
-          <source src={file.path} type={file.type} />
-          Your browser does not support the audio element.
-        </audio>
-      )}
-      {file.type === "application/pdf" && (
-        <iframe src={file.path} title="PDF Preview" className="w-full h-[400px] rounded mb-4"></iframe>
-      )}
-    </>
+    preview
   )}
 </div>
 
@@ -149,6 +211,29 @@ const GuestDownload = () => {
         <p className="text-[var(--text-color)] text-sm sm:text-base">
           <strong>File Type:</strong> {file.type}
         </p>
+        {file.kind === "paste" && (
+          <p className="text-[var(--text-color)] text-sm sm:text-base">
+            <strong>Language:</strong> {languageLabel(file.language)}
+          </p>
+        )}
+
+        {file.maxDownloads && (
+          <p className="text-[var(--text-color)] text-sm sm:text-base">
+            {file.burnAfterReading ? (
+              <strong>🔥 Deleted after the first download</strong>
+            ) : (
+              <>
+                <strong>Downloads left:</strong> {file.downloadsRemaining} of {file.maxDownloads}
+              </>
+            )}
+          </p>
+        )}
+
+        {file.sha256 && (
+          <p className="text-[var(--text-color)] text-xs sm:text-sm break-all">
+            <strong>SHA-256{file.encryption && " (of the encrypted file)"}:</strong> <code>{file.sha256}</code>
+          </p>
+        )}
 
         {/* Password Protected UI */}
         {isProtected && !isVerified && (
@@ -172,12 +257,28 @@ const GuestDownload = () => {
         {/* Download Button */}
         {(!isProtected || isVerified) && (
           <button
-  onClick={handleDownload}
-  className="mt-4 w-full bg-green-600 text-white text-center px-4 py-2 rounded hover:bg-green-700"
+  onClick={file.encryption ? handleDecryptDownload : handleDownload}
+  disabled={
+    (file.maxDownloads && file.downloadsRemaining === 0) ||
+    !!file.scanMessage ||
+    (file.encryption && (!decryptKey || isDecrypting))
+  }
+  className="mt-4 w-full bg-green-600 text-white text-center px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50"
 >
-  ⬇️ Download
+  {!file.encryption ? "⬇️ Download" : isDecrypting ? "Decrypting..." : "🔓 Decrypt & Download"}
 </button>
+        )}
 
+        {/* Text comes back as plain text, for copying or curl */}
+        {file.rawUrl && (
+          <a
+            href={file.rawUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="w-full text-center px-4 py-2 rounded border border-gray-400 text-[var(--text-color)] hover:bg-gray-100 dark:hover:bg-gray-800"
+          >
+            📄 View Raw
+          </a>
         )}
       </div>
     </div>
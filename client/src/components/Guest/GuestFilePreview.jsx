@@ -11,12 +11,30 @@ import {
 } from "react-icons/fa";
 import { toast } from "react-toastify";
 import { Link } from "react-router-dom";
+import { keyFor, withKey } from "../../utils/e2eCrypto";
+import { useFilePreview } from "../Preview/useFilePreview";
 import { FaEye, FaShare, FaTrashAlt } from "react-icons/fa";
 
+// Small preview next to the name once the server has made one. Guest records aren't
+// refreshed, so a thumbnail still being made simply fails to load and stays hidden
+const renderThumbnail = (file) =>
+  file.thumbnailUrl ? (
+    <img
+      src={file.thumbnailUrl}
+      alt=""
+      loading="lazy"
+      className="inline-block w-10 h-10 object-cover rounded mr-2 align-middle"
+      onError={(e) => {
+        e.currentTarget.style.display = "none";
+      }}
+    />
+  ) : null;
+
 const GuestFilePreview = ({ guestFiles }) => {
   const dispatch = useDispatch();
   const [files, setFiles] = useState(guestFiles || []);
   const [previewFile, setPreviewFile] = useState(null);
+  const preview = useFilePreview(previewFile, previewFile?.encryption ? null : previewFile?.path);
   const [shareFile, setShareFile] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [filterType, setFilterType] = useState("");
@@ -33,7 +51,9 @@ const GuestFilePreview = ({ guestFiles }) => {
 
   function handleShare(shortUrl) {
     const frontendBaseUrl = window.location.origin;
-    const fullUrl = `${frontendBaseUrl}${shortUrl}`;
+    // Links to end-to-end encrypted files carry their key, when this browser uploaded them.
+    // The QR image comes from a third-party service, so it gets the link without the key
+    const fullUrl = withKey(`${frontendBaseUrl}${shortUrl}`, keyFor(shortUrl));
 
     return {
       whatsapp: `https://wa.me/?text=${encodeURIComponent(
@@ -49,9 +69,7 @@ const GuestFilePreview = ({ guestFiles }) => {
         "Here’s your file: " + fullUrl
       )}`,
       copy: fullUrl,
-      qr: `https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(
-        fullUrl
-      )}&size=150x150`,
+      qr: `https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(`${frontendBaseUrl}${shortUrl}`)}&size=150x150`,
     };
   }
 
@@ -234,6 +252,7 @@ const GuestFilePreview = ({ guestFiles }) => {
                           className="hover:bg-[var(--hover-bg-color)] hidden md:table-row"
                         >
                           <td className="px-6 py-4 text-sm">
+                            {renderThumbnail(file)}
                             {sortFileName(file.name)}
                           </td>
                           <td className="px-6 py-4 text-sm text-gray-400">
@@ -243,7 +262,7 @@ const GuestFilePreview = ({ guestFiles }) => {
                             {file.type}
                           </td>
                           <td className="px-6 py-4 text-sm text-gray-400">
-                            {file.downloadedContent}
+                            {file.downloadedContent}{file.maxDownloads ? ` / ${file.maxDownloads}` : ""}
                           </td>
                           <td className="px-6 py-4 text-sm">
                             <span
@@ -308,7 +327,8 @@ const GuestFilePreview = ({ guestFiles }) => {
                           <td className="block px-4 py-4">
                             <div className="mb-2">
                               <strong className="text-gray-700 dark:text-gray-200">
-                                📄 {sortFileName(file.name)}
+                                {renderThumbnail(file) || (file.kind === "paste" ? "📝 " : "📄 ")}
+                                {sortFileName(file.name)}
                               </strong>
                               <div className="text-xs text-gray-400">
                                 {file.type} | {formattedSize}
@@ -328,7 +348,7 @@ const GuestFilePreview = ({ guestFiles }) => {
                             </div>
                             <div className="text-sm text-gray-500 mb-1">
                               <span className="font-medium">Downloaded:</span>{" "}
-                              {file.downloadedContent}
+                              {file.downloadedContent}{file.maxDownloads ? ` / ${file.maxDownloads}` : ""}
                             </div>
                             <div className="text-sm text-gray-500 mb-1">
                               <span className="font-medium">Expiry:</span>{" "}
@@ -434,32 +454,12 @@ const GuestFilePreview = ({ guestFiles }) => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white dark:bg-gray-800 p-6 rounded shadow-lg max-w-2xl w-full">
             <h3 className="text-lg font-bold mb-2">{previewFile.name}</h3>
-            {/* File Preview */}
-            {previewFile.type.startsWith("image/") && (
-              <img
-                src={previewFile.path}
-                alt={previewFile.name}
-                className="w-full h-auto rounded mb-4"
-              />
-            )}
-            {previewFile.type.startsWith("video/") && (
-              <video controls className="w-full h-auto rounded mb-4">
-                <source src={previewFile.path} type={previewFile.type} />
-                Your browser does not support the video tag.
-              </video>
-            )}
-            {previewFile.type.startsWith("audio/") && (
-              <audio controls className="w-full h-auto rounded mb-4">
-                <source src={previewFile.path} type={previewFile.type} />
-                Your browser does not support the audio element.
-              </audio>
-            )}
-            {previewFile.type === "application/pdf" && (
-              <iframe
-                src={previewFile.path}
-                title="PDF Preview"
-                className="w-full h-[400px] rounded mb-4"
-              ></iframe>
+            {previewFile.encryption ? (
+              <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+                🔒 This file is end-to-end encrypted, so it can only be opened from its share link.
+              </p>
+            ) : (
+              preview
             )}
             <div className="mt-4 text-right">
               <button
@@ -1,28 +1,40 @@
 import React, { useRef, useState } from "react";
 import "./GuestFileUpload.css";
-import { useDispatch, useSelector } from "react-redux";
+import { useDispatch } from "react-redux";
 import { toast } from "react-toastify";
-import axiosInstance from "../../config/axiosInstance";
+import { DIRECT_UPLOADS_ENABLED } from "../../utils/directUpload";
+import { isE2ESupported } from "../../utils/e2eCrypto";
+import { enqueuePaste, enqueueUploads } from "../../redux/slice/file/uploadQueue";
+import UploadQueue from "../UploadQueue";
+import { ACCEPTED_FILE_TYPES } from "../../utils/fileTypes";
+import { PASTE_LANGUAGES, PASTE_MAX_BYTES, pasteSize } from "../../utils/paste";
 
 
-const GuestFileUpload = ({guestFiles, updateFiles}) => {
+const GuestFileUpload = ({updateFiles}) => {
   const fileInputRef = useRef(null);
   const dispatch = useDispatch();
-  const [loading ,setLoading] = useState(false);
 
-  const [files, setFiles] = useState(guestFiles || []);
+  const [files, setFiles] = useState([]);
   const [enablePassword, setEnablePassword] = useState(false);
   const [password, setPassword] = useState("");
   const [enableExpiry, setEnableExpiry] = useState(false);
   const [expiryDate, setExpiryDate] = useState("");
+  const [enableDownloadLimit, setEnableDownloadLimit] = useState(false);
+  const [maxDownloads, setMaxDownloads] = useState("1");
+  const [burnAfterReading, setBurnAfterReading] = useState(false);
+  const [encrypt, setEncrypt] = useState(false);
+  // "files" uploads the selection, "paste" the text typed below
+  const [mode, setMode] = useState("files");
+  const [paste, setPaste] = useState({ title: "", language: "text", content: "" });
 
   const handleBrowseClick = () => {
     fileInputRef.current.click();
   };
 
   const handleFiles = (fileList) => {
+    // Direct uploads bypass the API's 10 MB multer limit
     const newFiles = Array.from(fileList).filter(
-      (file) => file.size <= 10 * 1024 * 1024
+      (file) => DIRECT_UPLOADS_ENABLED || file.size <= 10 * 1024 * 1024
     );
     setFiles((prev) => [...prev, ...newFiles]);
     toast.success("File(s) added!");
@@ -55,59 +67,132 @@ const GuestFileUpload = ({guestFiles, updateFiles}) => {
 
   const totalSize = files.reduce((acc, file) => acc + file.size, 0);
 
-  const handleUpload = async () => {
-    setLoading(true);
-    if (files.length === 0) {
-      toast.error("Please upload at least one file.");
-      setLoading(false);
-      return;
-    }
-
-    const formData = new FormData();
-    files.forEach((file) => formData.append("files", file));
-    formData.append("hasExpiry", enableExpiry);
-
+  const buildOptions = () => {
+    const options = { hasExpiry: enableExpiry, isPassword: enablePassword };
     if (enableExpiry && expiryDate) {
-      const hours = Math.ceil(
+      options.expiresAt = Math.ceil(
         (new Date(expiryDate) - new Date()) / (1000 * 60 * 60)
       );
-      formData.append("expiresAt", hours);
     }
-
-    formData.append("isPassword", enablePassword);
     if (enablePassword && password) {
-      formData.append("password", password);
+      options.password = password;
     }
+    if (burnAfterReading) {
+      options.burnAfterReading = true;
+    } else if (enableDownloadLimit && maxDownloads) {
+      options.maxDownloads = Number(maxDownloads);
+    }
+    return options;
+  };
 
-    try {
-      const response = await axiosInstance.post(
-        "/files/upload-guest",
-        formData
-      );
-      console.log("Files uploaded:", response);
-      if (response.data.message || response.data.message === "Files uploaded successfully!") {
-        toast.success("Files uploaded successfully!");
-        const newFiles = response.data.files;
-        const updatedFiles = [...guestFiles, ...newFiles];
+  // Same queue as the dashboard uploader; each finished file is added to the
+  // guest's list (and localStorage) as soon as it is done
+  const handleUpload = () => {
+    if (files.length === 0) {
+      toast.error("Please upload at least one file.");
+      return;
+    }
+
+    dispatch(
+      enqueueUploads({
+        files,
+        options: buildOptions(),
+        encrypt,
+        guest: true,
+        onUploaded: (uploaded) => {
+          updateFiles((prev) => [...prev, ...uploaded]);
+          uploaded.forEach((f) => toast.success(`${f.name} uploaded`));
+        },
+      })
+    );
+    setFiles([]);
+  };
 
-        updateFiles(updatedFiles); // ✅ directly update parent state and localStorage
-        setFiles([]);
-        setLoading(false);
-        // window.location.reload();
-      }
-    } catch (err) {
-      toast.error(err?.error || "Upload failed");
-      setLoading(false);
+  const pasteBytes = pasteSize(paste.content);
+
+  const handlePaste = () => {
+    if (!paste.content.trim()) {
+      toast.error("Please enter some text to paste.");
+      return;
+    }
+    if (pasteBytes > PASTE_MAX_BYTES) {
+      toast.error(`Pastes can be at most ${PASTE_MAX_BYTES / 1024} KB. Upload larger text as a file.`);
+      return;
     }
+
+    dispatch(
+      enqueuePaste({
+        paste,
+        options: buildOptions(),
+        guest: true,
+        onUploaded: (uploaded) => {
+          updateFiles((prev) => [...prev, ...uploaded]);
+          uploaded.forEach((f) => toast.success(`${f.name} created`));
+        },
+      })
+    );
+    setPaste((prev) => ({ ...prev, title: "", content: "" }));
   };
 
   return (
     <div className="container bg-[var(--bg-color)] text-[var(--text-color)] p-6 rounded-lg shadow-md">
       <div className="header bg-[var(--bg-color)] text-[var(--text-color)] text-center mb-6">
-        <h1 className="text-2xl font-bold text-[var(--primary-text)] mb-4">File Upload</h1>
-        <p className="font-bold text-[var(--primary-text)] mb-4">Drag & drop files or click to browse</p>
+        <h1 className="text-2xl font-bold text-[var(--primary-text)] mb-4">{mode === "paste" ? "New Paste" : "File Upload"}</h1>
+        <p className="font-bold text-[var(--primary-text)] mb-4">
+          {mode === "paste" ? "Type or paste text and code to share it as a link" : "Drag & drop files or click to browse"}
+        </p>
+      </div>
+
+      <div className="flex justify-center gap-2 mb-4">
+        {[["files", "📁 Files"], ["paste", "📝 Paste"]].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setMode(value)}
+            className={`px-4 py-2 rounded text-sm font-medium ${
+              mode === value ? "bg-blue-600 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
       </div>
 
+      {mode === "paste" ? (
+        <div className="flex flex-col gap-3">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              className="flex-1 p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+              placeholder="Title (optional)"
+              maxLength={80}
+              value={paste.title}
+              onChange={(e) => setPaste((prev) => ({ ...prev, title: e.target.value }))}
+            />
+            <select
+              className="p-2 border rounded bg-[var(--bg-color)] text-[var(--text-color)]"
+              aria-label="Language"
+              value={paste.language}
+              onChange={(e) => setPaste((prev) => ({ ...prev, language: e.target.value }))}
+            >
+              {PASTE_LANGUAGES.map((language) => (
+                <option key={language.value} value={language.value}>
+                  {language.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            className="w-full h-64 p-3 border rounded font-mono text-sm bg-[var(--bg-color)] text-[var(--text-color)]"
+            placeholder="Paste your text or code here"
+            spellCheck={false}
+            value={paste.content}
+            onChange={(e) => setPaste((prev) => ({ ...prev, content: e.target.value }))}
+          />
+          <p className={`text-xs text-right ${pasteBytes > PASTE_MAX_BYTES ? "text-red-500" : "opacity-75"}`}>
+            {(pasteBytes / 1024).toFixed(1)} / {PASTE_MAX_BYTES / 1024} KB
+          </p>
+        </div>
+      ) : (
       <div
         className="dropbox"
         onClick={handleBrowseClick}
@@ -118,7 +203,7 @@ const GuestFileUpload = ({guestFiles, updateFiles}) => {
         <div className="dropbox-icon">📁</div>
         <div className="dropbox-text">Drop files here</div>
         <div className="dropbox-subtext">
-          Supported formats: JPG, PNG, PDF, MP4, MOV, AVI, MKV (Max 10MB)
+          Images, video, audio, PDF and Office documents, archives, text and code (Max 10MB)
         </div>
         <button
           className="browse-btn"
@@ -133,10 +218,11 @@ const GuestFileUpload = ({guestFiles, updateFiles}) => {
           type="file"
           ref={fileInputRef}
           multiple
-          accept=".jpg,.jpeg,.webp,.png,.mp4,.avi,.mov,.mkv,.mk3d,.mks,.mka,.pdf"
+          accept={ACCEPTED_FILE_TYPES}
           onChange={handleFileInputChange}
         />
       </div>
+      )}
 
       <div className="extra-options bg-[var(--bg-color)] text-[var(--text-color)] mt-6">
         <div className="switch-container">
@@ -183,9 +269,76 @@ const GuestFileUpload = ({guestFiles, updateFiles}) => {
             />
           )}
         </div>
+
+        <div className="switch-container">
+          <label className="switch-label">
+            <span className="label-text">Limit Downloads</span>
+            <label className="switch">
+              <input
+                type="checkbox"
+                checked={enableDownloadLimit}
+                disabled={burnAfterReading}
+                onChange={(e) => setEnableDownloadLimit(e.target.checked)}
+              />
+              <span className="slider"></span>
+            </label>
+          </label>
+          {enableDownloadLimit && !burnAfterReading && (
+            <input
+              type="number"
+              min="1"
+              step="1"
+              className="expiry-input"
+              placeholder="Max downloads"
+              value={maxDownloads}
+              onChange={(e) => setMaxDownloads(e.target.value)}
+            />
+          )}
+        </div>
+
+        <div className="switch-container">
+          <label className="switch-label">
+            <span className="label-text">Burn After First Download</span>
+            <label className="switch">
+              <input
+                type="checkbox"
+                checked={burnAfterReading}
+                onChange={(e) => setBurnAfterReading(e.target.checked)}
+              />
+              <span className="slider"></span>
+            </label>
+          </label>
+          {burnAfterReading && (
+            <p className="text-xs mt-1 opacity-75">
+              The file is deleted as soon as it has been downloaded once.
+            </p>
+          )}
+        </div>
+
+        {isE2ESupported() && mode === "files" && (
+          <div className="switch-container">
+            <label className="switch-label">
+              <span className="label-text">End-to-End Encrypt</span>
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={encrypt}
+                  onChange={(e) => setEncrypt(e.target.checked)}
+                />
+                <span className="slider"></span>
+              </label>
+            </label>
+            {encrypt && (
+              <p className="text-xs mt-1 opacity-75">
+                Files are encrypted in your browser. Only people with the full share
+                link, which holds the key, can open them, and they can&apos;t be previewed.
+              </p>
+            )}
+          </div>
+        )}
       </div>
 
-      {files.length > 0 && (
+      {mode === "files" && files.length > 0 && (
         <div className="upload-stats">
           <div className="stats-header">
             <div className="stats-title">Upload Summary</div>
@@ -216,7 +369,7 @@ const GuestFileUpload = ({guestFiles, updateFiles}) => {
         </div>
       )}
 
-      {files.length === 0 ? (
+      {mode === "paste" ? null : files.length === 0 ? (
         <div className="empty-state">No files uploaded yet</div>
       ) : (
         <div className="file-previews">
@@ -273,14 +426,26 @@ const GuestFileUpload = ({guestFiles, updateFiles}) => {
       )}
 
       <div className="upload-action">
-        <button
-          className="upload-btn"
-          onClick={handleUpload}
-          disabled={loading || files.length === 0}
-        >
-          {loading ? "Uploading..." : "Upload"}
-        </button>
+        {mode === "paste" ? (
+          <button
+            className="upload-btn"
+            onClick={handlePaste}
+            disabled={!paste.content.trim() || pasteBytes > PASTE_MAX_BYTES}
+          >
+            Create Paste
+          </button>
+        ) : (
+          <button
+            className="upload-btn"
+            onClick={handleUpload}
+            disabled={files.length === 0}
+          >
+            Upload
+          </button>
+        )}
       </div>
+
+      <UploadQueue />
     </div>
   );
 };
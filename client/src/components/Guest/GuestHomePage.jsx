@@ -14,16 +14,20 @@ useEffect(() => {
   const storedFiles = JSON.parse(localStorage.getItem("guestFiles")) || [];
   setFiles(storedFiles);
 }, []);
+  // Accepts a list or an updater, since uploads finish one by one
  const updateFiles = (newFiles) => {
-    setFiles(newFiles);
-    localStorage.setItem("guestFiles", JSON.stringify(newFiles));
+    setFiles((prev) => {
+      const next = typeof newFiles === "function" ? newFiles(prev) : newFiles;
+      localStorage.setItem("guestFiles", JSON.stringify(next));
+      return next;
+    });
   };
 
   return (
    <div className="min-h-screen flex-1 bg-[var(--primary-bg)] text-[var(--text-color)]">
           <Header />
             <main className="flex-1 p-6 mt-10 max-w-screen-xl bg-[var(--primary-bg)] text-[var(--text-color)] mx-auto">
-            <GuestFileUpload guestFiles={files} updateFiles={updateFiles}/>
+            <GuestFileUpload updateFiles={updateFiles}/>
         
             <GuestFilePreview guestFiles={files} />
             
@@ -80,6 +80,11 @@ const Login = () => {
                   value={formData.password}
                   placeholder="Password"
                 />
+                <p className="mt-2 text-xs text-right">
+                  <a href="/forgot-password" className="text-indigo-600 hover:underline">
+                    Forgot password?
+                  </a>
+                </p>
                 <button
                   className="mt-5 tracking-wide font-semibold bg-indigo-500 text-gray-100 w-full py-4 rounded-lg hover:bg-indigo-700 transition-all duration-300 ease-in-out flex items-center justify-center focus:shadow-outline focus:outline-none"
                   onClick={handleSubmit}
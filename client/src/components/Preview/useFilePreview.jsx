@@ -0,0 +1,243 @@
+// src/components/Preview/useFilePreview.jsx
+// The preview shown on download pages and in the dashboard and guest preview
+// modals. The kind of preview follows the detected type (utils/preview.js):
+// media and PDFs load straight from `src`, text is fetched and rendered here
+// (highlighted code, Markdown, CSV tables, line-numbered pastes) and Office
+// documents show the rendition the server converts them to
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { highlight, languageFor } from "../../utils/highlight";
+import { parseInline, parseMarkdown } from "../../utils/markdown";
+import { parseDelimited } from "../../utils/csv";
+import {
+  PREVIEW_LIMITS,
+  isHtmlRendition,
+  isTextPreview,
+  isTooLargeToPreview,
+  previewKindFor,
+} from "../../utils/preview";
+
+const TOKEN_CLASSES = {
+  comment: "text-gray-400 italic",
+  string: "text-green-600 dark:text-green-400",
+  number: "text-orange-500",
+  keyword: "text-purple-600 dark:text-purple-400 font-semibold",
+};
+
+const BOX_CLASS =
+  "w-full max-h-[400px] overflow-auto rounded mb-4 p-3 bg-gray-100 dark:bg-gray-900 text-gray-800 dark:text-gray-100 text-left";
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const renderNotice = (message) => (
+  <div className="w-full flex flex-col items-center justify-center border-2 border-dashed border-gray-400 p-6 rounded bg-gray-100 dark:bg-gray-800 text-center mb-4">
+    <p className="text-gray-700 dark:text-gray-200 text-base">{message}</p>
+  </div>
+);
+
+const renderCode = (text, language) => (
+  <pre className={`${BOX_CLASS} text-xs`}>
+    <code>
+      {text.length > PREVIEW_LIMITS.highlight
+        ? text
+        : highlight(text, language).map((token, index) => (
+            <span key={index} className={TOKEN_CLASSES[token.type]}>
+              {token.text}
+            </span>
+          ))}
+    </code>
+  </pre>
+);
+
+const copyText = (text) =>
+  navigator.clipboard
+    .writeText(text)
+    .then(() => toast.success("Copied to clipboard"))
+    .catch(() => toast.error("Could not copy the text"));
+
+// A paste's language is the one picked when it was made, its name's extension otherwise
+const renderPaste = (text, file) => {
+  const lines = text.replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n");
+  const language = languageFor(file.language || "") || languageFor(file.name);
+  return (
+    <div className="w-full">
+      <div className="flex justify-end mb-1">
+        <button
+          onClick={() => copyText(text)}
+          className="px-3 py-1 text-xs rounded bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600"
+        >
+          📋 Copy
+        </button>
+      </div>
+      <div className={`${BOX_CLASS} flex text-xs`}>
+        <pre aria-hidden="true" className="pr-3 mr-3 text-right text-gray-400 select-none border-r border-gray-300 dark:border-gray-700">
+          {lines.map((_, index) => index + 1).join("\n")}
+        </pre>
+        <pre className="flex-1">
+          <code>
+            {text.length > PREVIEW_LIMITS.highlight
+              ? text
+              : highlight(text, language).map((token, index) => (
+                  <span key={index} className={TOKEN_CLASSES[token.type]}>
+                    {token.text}
+                  </span>
+                ))}
+          </code>
+        </pre>
+      </div>
+    </div>
+  );
+};
+
+const renderInline = (text) =>
+  parseInline(text).map((span, index) => {
+    if (span.type === "code")
+      return <code key={index} className="px-1 rounded bg-gray-200 dark:bg-gray-700 text-sm">{span.text}</code>;
+    if (span.type === "strong") return <strong key={index}>{span.text}</strong>;
+    if (span.type === "em") return <em key={index}>{span.text}</em>;
+    if (span.type === "link")
+      return (
+        <a key={index} href={span.href} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-500 underline">
+          {span.text}
+        </a>
+      );
+    return <span key={index}>{span.text}</span>;
+  });
+
+const HEADING_CLASSES = ["text-2xl", "text-xl", "text-lg", "text-base", "text-sm", "text-sm"];
+
+const renderMarkdown = (text) => (
+  <div className={`${BOX_CLASS} text-sm space-y-3`}>
+    {parseMarkdown(text).map((block, index) => {
+      switch (block.type) {
+        case "heading":
+          return (
+            <p key={index} className={`${HEADING_CLASSES[block.level - 1]} font-bold`}>
+              {renderInline(block.text)}
+            </p>
+          );
+        case "code":
+          return <div key={index}>{renderCode(block.text, languageFor(block.language || ""))}</div>;
+        case "list": {
+          const List = block.ordered ? "ol" : "ul";
+          return (
+            <List key={index} className={`pl-6 ${block.ordered ? "list-decimal" : "list-disc"}`}>
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(item)}</li>
+              ))}
+            </List>
+          );
+        }
+        case "quote":
+          return (
+            <blockquote key={index} className="border-l-4 border-gray-400 pl-3 text-gray-500 dark:text-gray-400">
+              {renderInline(block.text)}
+            </blockquote>
+          );
+        case "rule":
+          return <hr key={index} className="border-gray-300 dark:border-gray-600" />;
+        default:
+          return <p key={index}>{renderInline(block.text)}</p>;
+      }
+    })}
+  </div>
+);
+
+const renderCsv = (text, file) => {
+  const delimiter = file.type === "text/tab-separated-values" ? "\t" : ",";
+  const { rows, truncated } = parseDelimited(text, { delimiter, maxRows: PREVIEW_LIMITS.csvRows + 1 });
+  const [header = [], ...body] = rows;
+  return (
+    <div className={`${BOX_CLASS} p-0`}>
+      <table className="min-w-full text-xs border-collapse">
+        <thead className="sticky top-0 bg-gray-200 dark:bg-gray-800">
+          <tr>
+            {header.map((cell, index) => (
+              <th key={index} className="px-2 py-1 text-left font-semibold border border-gray-300 dark:border-gray-700">{cell}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {body.map((row, rowIndex) => (
+            <tr key={rowIndex}>
+              {row.map((cell, index) => (
+                <td key={index} className="px-2 py-1 border border-gray-300 dark:border-gray-700 whitespace-nowrap">{cell}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {truncated && (
+        <p className="p-2 text-xs text-gray-500">Showing the first {PREVIEW_LIMITS.csvRows} rows. Download the file to see the rest.</p>
+      )}
+    </div>
+  );
+};
+
+const renderText = (kind, text, file) => {
+  if (kind === "paste") return renderPaste(text, file);
+  if (kind === "markdown") return renderMarkdown(text);
+  if (kind === "csv") return renderCsv(text, file);
+  if (kind === "code") return renderCode(text, file.type === "application/json" ? "data" : languageFor(file.name));
+  return <pre className={`${BOX_CLASS} text-xs whitespace-pre-wrap`}>{text}</pre>;
+};
+
+// Returns the preview element for `file` read from `src`, or null when it has none.
+// Without a `src` (a locked or encrypted file) nothing is fetched
+export const useFilePreview = (file, src) => {
+  const kind = previewKindFor(file);
+  const tooLarge = Boolean(file) && isTooLargeToPreview(kind, file.size || 0);
+  const fetchesText = isTextPreview(kind) && !tooLarge && Boolean(src);
+  // Tagged with its source, so a new file never shows the last one's text
+  const [content, setContent] = useState({ src: null, text: null, error: null });
+
+  useEffect(() => {
+    if (!fetchesText) return undefined;
+    const controller = new AbortController();
+    fetch(src, { signal: controller.signal })
+      .then(async (res) => {
+        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || "The preview could not be loaded");
+        setContent({ src, text: await res.text(), error: null });
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") setContent({ src, text: null, error: err.message });
+      });
+    return () => controller.abort();
+  }, [src, fetchesText]);
+
+  if (!file || !kind || !src) return null;
+  if (tooLarge) return renderNotice(`📄 This file is too large to preview here (${formatSize(file.size)}). Download it to open it.`);
+
+  switch (kind) {
+    case "image":
+      return <img src={src} alt={file.name} className="w-full h-auto rounded mb-4" />;
+    case "video":
+      return (
+        <video controls poster={file.thumbnailUrl || undefined} className="w-full h-auto rounded mb-4">
+          <source src={src} type={file.type} />
+          Your browser does not support the video tag.
+        </video>
+      );
+    case "audio":
+      return (
+        <audio controls className="w-full h-auto rounded mb-4">
+          <source src={src} type={file.type} />
+          Your browser does not support the audio element.
+        </audio>
+      );
+    case "pdf":
+      return <iframe src={src} title="PDF Preview" className="w-full h-[400px] rounded mb-4"></iframe>;
+    case "office":
+      // Spreadsheets come as HTML made from the upload, so that frame runs no scripts
+      return isHtmlRendition(file) ? (
+        <iframe src={file.renditionUrl} title="Document Preview" sandbox="" className="w-full h-[400px] rounded mb-4 bg-white"></iframe>
+      ) : (
+        <iframe src={file.renditionUrl} title="Document Preview" className="w-full h-[400px] rounded mb-4"></iframe>
+      );
+    default:
+      if (content.src !== src) return <p className="text-sm text-gray-500 mb-4">Loading preview...</p>;
+      if (content.error) return renderNotice(`⚠️ ${content.error}`);
+      return renderText(kind, content.text, file);
+  }
+};
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { resetPassword } from '../redux/slice/auth/authThunk';
+
+const ResetPassword = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({ password: '', confirm: '' });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.password.length < 6) {
+      toast.error('Password must be at least 6 characters long');
+      return;
+    }
+    if (formData.password !== formData.confirm) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const result = await dispatch(resetPassword({ token, password: formData.password }));
+    setLoading(false);
+    if (result.error) {
+      toast.error(result.payload);
+    } else {
+      toast.success(result.payload.message);
+      navigate('/login');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 text-gray-900 flex justify-center">
+      <div className="m-0 sm:m-12 bg-white shadow sm:rounded-lg flex justify-center flex-1">
+        <div className="lg:w-1/2 xl:w-5/12 p-6 sm:p-12">
+          <div className="mt-12 flex flex-col items-center">
+            <h1 className="text-2xl xl:text-3xl font-extrabold">Choose a new password</h1>
+            <div className="w-full flex-1 mt-8">
+              <div className="mx-auto max-w-xs">
+                {!token ? (
+                  <p className="text-sm text-red-600 text-center">
+                    This reset link is incomplete. Request a new one from the{' '}
+                    <a href="/forgot-password" className="underline">forgot password</a> page.
+                  </p>
+                ) : (
+                  <>
+                    <input
+                      className="w-full px-8 py-4 rounded-lg font-medium bg-gray-100 border border-gray-200 placeholder-gray-500 text-sm focus:outline-none focus:border-gray-400 focus:bg-white"
+                      type="password"
+                      name="password"
+                      onChange={handleChange}
+                      value={formData.password}
+                      placeholder="New password"
+                    />
+                    <input
+                      className="w-full px-8 py-4 rounded-lg font-medium bg-gray-100 border border-gray-200 placeholder-gray-500 text-sm focus:outline-none focus:border-gray-400 focus:bg-white mt-5"
+                      type="password"
+                      name="confirm"
+                      onChange={handleChange}
+                      value={formData.confirm}
+                      placeholder="Confirm new password"
+                    />
+                    <button
+                      className="mt-5 tracking-wide font-semibold bg-indigo-500 text-gray-100 w-full py-4 rounded-lg hover:bg-indigo-700 transition-all duration-300 ease-in-out flex items-center justify-center focus:shadow-outline focus:outline-none"
+                      onClick={handleSubmit}
+                      disabled={loading}
+                    >
+                      {loading ? 'Saving...' : 'Reset password'}
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -36,7 +36,7 @@ const Signup = () => {
         console.log(result);
         toast.error(result.payload);
       } else {
-        toast.success('Registration successful');
+        toast.success('Registration successful. Check your email to verify your account.');
         navigate('/login');
       }
     } catch (error) {
@@ -0,0 +1,112 @@
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { cancelUpload, clearFinishedUploads, pauseUpload, resumeUpload, retryUpload } from "../redux/slice/file/uploadQueue";
+
+const formatBytes = (bytes) =>
+  bytes > 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(2)} MB` : `${(bytes / 1024).toFixed(2)} KB`;
+
+const STATUS_LABELS = {
+  queued: "Waiting",
+  uploading: "Uploading",
+  paused: "Paused",
+  done: "Uploaded",
+  error: "Failed",
+  cancelled: "Cancelled",
+};
+
+const STATUS_COLORS = {
+  done: "text-green-600",
+  error: "text-red-500",
+  cancelled: "text-gray-500",
+};
+
+// Live view of the shared upload queue, used by the dashboard and guest uploaders
+const UploadQueue = () => {
+  const dispatch = useDispatch();
+  const { uploadQueue } = useSelector((state) => state.file);
+
+  if (!uploadQueue.length) return null;
+
+  const totalBytes = uploadQueue.reduce((acc, item) => acc + item.size, 0);
+  const loadedBytes = uploadQueue.reduce((acc, item) => acc + item.loaded, 0);
+  const hasFinished = uploadQueue.some((item) => ["done", "cancelled"].includes(item.status));
+
+  return (
+    <div className="upload-stats mt-6">
+      <div className="stats-header flex items-center justify-between">
+        <div className="stats-title">
+          Uploads ({formatBytes(loadedBytes)} of {formatBytes(totalBytes)})
+        </div>
+        {hasFinished && (
+          <button className="text-sm underline" onClick={() => dispatch(clearFinishedUploads())}>
+            Clear finished
+          </button>
+        )}
+      </div>
+
+      <ul className="flex flex-col gap-3 mt-3">
+        {uploadQueue.map((item) => {
+          const percent = item.size ? Math.round((item.loaded / item.size) * 100) : 100;
+          return (
+            <li key={item.id} className="text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <span className="truncate" title={item.name}>
+                  {item.encrypted && "🔒 "}
+                  {item.name}
+                </span>
+                <span className={`whitespace-nowrap ${STATUS_COLORS[item.status] || ""}`}>
+                  {STATUS_LABELS[item.status]}
+                  {["uploading", "paused"].includes(item.status) && ` ${percent}%`}
+                </span>
+              </div>
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${percent}%` }} />
+              </div>
+              <div className="flex items-center justify-between gap-2 text-xs opacity-75">
+                <span>
+                  {formatBytes(item.loaded)} / {formatBytes(item.size)}
+                  {item.error && <span className="text-red-500"> · {item.error}</span>}
+                </span>
+                <span className="flex gap-3">
+                  {item.shareUrl && (
+                    <button
+                      className="underline"
+                      onClick={() => {
+                        navigator.clipboard.writeText(item.shareUrl);
+                        toast.success("Link with decryption key copied!");
+                      }}
+                    >
+                      Copy link
+                    </button>
+                  )}
+                  {item.status === "uploading" && item.pausable && (
+                    <button className="underline" onClick={() => dispatch(pauseUpload(item.id))}>
+                      Pause
+                    </button>
+                  )}
+                  {item.status === "paused" && (
+                    <button className="underline" onClick={() => dispatch(resumeUpload(item.id))}>
+                      Resume
+                    </button>
+                  )}
+                  {["queued", "uploading", "paused"].includes(item.status) && (
+                    <button className="underline" onClick={() => dispatch(cancelUpload(item.id))}>
+                      Cancel
+                    </button>
+                  )}
+                  {["error", "cancelled"].includes(item.status) && (
+                    <button className="underline" onClick={() => dispatch(retryUpload(item.id))}>
+                      Retry
+                    </button>
+                  )}
+                </span>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default UploadQueue;
@@ -0,0 +1,52 @@
+import { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useSearchParams } from 'react-router-dom';
+import { verifyEmail } from '../redux/slice/auth/authThunk';
+
+const VerifyEmail = () => {
+  const dispatch = useDispatch();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isLoggedIn } = useSelector((state) => state.auth);
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single-use, so StrictMode's double effect must not send it twice
+  const sentRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || sentRef.current) return;
+    sentRef.current = true;
+
+    dispatch(verifyEmail(token)).then((result) => {
+      if (result.error) {
+        setStatus('error');
+        setMessage(result.payload);
+      } else {
+        setStatus('done');
+        setMessage(result.payload.message);
+      }
+    });
+  }, [token, dispatch]);
+
+  return (
+    <div className="min-h-screen bg-gray-100 text-gray-900 flex justify-center items-center">
+      <div className="bg-white shadow sm:rounded-lg p-8 max-w-md w-full text-center space-y-4">
+        <h1 className="text-2xl font-extrabold">Email verification</h1>
+        {status === 'verifying' && <p className="text-gray-600 animate-pulse">Verifying your email...</p>}
+        {status === 'done' && <p className="text-green-700">✅ {message}</p>}
+        {status === 'error' && <p className="text-red-600">{message}</p>}
+        {status !== 'verifying' && (
+          <a
+            href={isLoggedIn ? '/dashboard' : '/login'}
+            className="inline-block mt-2 px-4 py-2 bg-indigo-500 text-white rounded-lg hover:bg-indigo-700"
+          >
+            {isLoggedIn ? 'Go to dashboard' : 'Go to login'}
+          </a>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -4,5 +4,56 @@ const BASE_URL="pastebox-file-sharing-platform-main-production.up.railway.app/ap
 const axiosInstance=axios.create()
 
 axiosInstance.defaults.baseURL=BASE_URL;
+axiosInstance.defaults.withCredentials=true;
+
+// Attach the login token to every API call; the server also accepts its cookie
+axiosInstance.interceptors.request.use((config) => {
+  const token = localStorage.getItem("token");
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// ---------- Transparent token refresh ----------
+// Access tokens live 15 minutes. On a 401 we trade the refresh token (an httpOnly
+// cookie scripts can't read) for a new access token once, then replay the request.
+// Concurrent 401s share one refresh call.
+let refreshing = null;
+
+// Older versions also kept the refresh token here
+localStorage.removeItem("refreshToken");
+
+const refreshTokens = async () => {
+  const res = await axios.post(axiosInstance.getUri({ url: "users/refresh" }), null, { withCredentials: true });
+  localStorage.setItem("token", res.data.token);
+  return res.data.token;
+};
+
+const signedOut = () => {
+  localStorage.removeItem("user");
+  localStorage.removeItem("token");
+  if (window.location.pathname !== "/login") window.location.href = "/login";
+};
+
+axiosInstance.interceptors.response.use(
+  (res) => res,
+  async (error) => {
+    const original = error.config;
+    const isAuthCall = /users\/(login|refresh|logout)/.test(original?.url || "");
+    if (error.response?.status !== 401 || !original || original._retried || isAuthCall || !localStorage.getItem("user")) {
+      return Promise.reject(error);
+    }
+
+    original._retried = true;
+    try {
+      refreshing = refreshing || refreshTokens().finally(() => { refreshing = null; });
+      const token = await refreshing;
+      original.headers.Authorization = `Bearer ${token}`;
+      return axiosInstance(original);
+    } catch (refreshError) {
+      signedOut();
+      return Promise.reject(error);
+    }
+  }
+);
 
 export default axiosInstance;
@@ -0,0 +1,33 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { getDownloadAnalytics } from "./analyticsThunk";
+
+const analyticsSlice = createSlice({
+  name: "analytics",
+  initialState: {
+    days: 30,
+    daily: [],
+    topFiles: [],
+    countries: [],
+    referrers: [],
+    loading: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(getDownloadAnalytics.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getDownloadAnalytics.fulfilled, (state, action) => {
+        state.loading = false;
+        Object.assign(state, action.payload);
+      })
+      .addCase(getDownloadAnalytics.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default analyticsSlice.reducer;
@@ -0,0 +1,25 @@
+// src/redux/slice/analytics/analyticsThunk.js
+import { createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../../config/axiosInstance";
+
+// FETCH DOWNLOAD ANALYTICS (all four reports for the same period)
+export const getDownloadAnalytics = createAsyncThunk("analytics/getDownloads", async (days = 30, { rejectWithValue }) => {
+  try {
+    const params = { days };
+    const [daily, topFiles, countries, referrers] = await Promise.all([
+      axiosInstance.get("/analytics/downloads/daily", { params }),
+      axiosInstance.get("/analytics/downloads/top-files", { params }),
+      axiosInstance.get("/analytics/downloads/countries", { params }),
+      axiosInstance.get("/analytics/downloads/referrers", { params }),
+    ]);
+    return {
+      days,
+      daily: daily.data,
+      topFiles: topFiles.data,
+      countries: countries.data,
+      referrers: referrers.data,
+    };
+  } catch (err) {
+    return rejectWithValue(err.response?.data?.error || "Could not load analytics");
+  }
+});
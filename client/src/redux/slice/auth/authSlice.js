@@ -1,6 +1,6 @@
 // src/features/auth/authSlice.js
 import { createSlice } from '@reduxjs/toolkit';
-import { registerUser, loginUser,updateUser,deleteUser, getUser } from './authThunk';
+import { registerUser, loginUser,updateUser,deleteUser, getUser, getSessions, revokeSession, revokeOtherSessions, verifyEmail } from './authThunk';
 const stored = localStorage.getItem('user');
 const authSlice = createSlice({
   name: 'auth',
@@ -9,12 +9,15 @@ const authSlice = createSlice({
     isLoggedIn: !!stored,
     loading: false,
     error: null,
+    sessions: [],
   },
   reducers: {
     logoutUser: (state) => {
       state.user = null;
       state.isLoggedIn = false;
+      state.sessions = [];
       localStorage.removeItem('user');
+      localStorage.removeItem('token');
     },
     loadUserFromStorage: (state) => {
       const stored = localStorage.getItem('user');
@@ -52,6 +55,8 @@ const authSlice = createSlice({
         state.user = action.payload.user;
         state.isLoggedIn = true;
         localStorage.setItem('user', JSON.stringify(action.payload.user));
+        // Sent as a Bearer header by axiosInstance
+        localStorage.setItem('token', action.payload.token);
       })
       .addCase(loginUser.rejected, (state, action) => {
         console.log(action);
@@ -83,6 +88,7 @@ const authSlice = createSlice({
             state.user=null;
             state.isLoggedIn=false;
             localStorage.removeItem('user');
+            localStorage.removeItem('token');
         })
         .addCase(deleteUser.rejected,(state,action)=>{
             state.loading=false;
@@ -104,6 +110,26 @@ const authSlice = createSlice({
             state.loading=false;
             state.error=action.payload?.error || 'Get user failed';
         })
+        // sessions
+        .addCase(getSessions.fulfilled,(state,action)=>{
+            state.sessions=action.payload;
+        })
+        .addCase(getSessions.rejected,(state,action)=>{
+            state.error=action.payload?.message || 'Could not load sessions';
+        })
+        .addCase(revokeSession.fulfilled,(state,action)=>{
+            state.sessions=state.sessions.filter((s)=>s.id!==action.meta.arg);
+        })
+        .addCase(revokeOtherSessions.fulfilled,(state)=>{
+            state.sessions=state.sessions.filter((s)=>s.current);
+        })
+        // verifyEmail: lift the unverified banner if this browser is signed in
+        .addCase(verifyEmail.fulfilled,(state)=>{
+            if (state.user) {
+              state.user={ ...state.user, isVerified:true };
+              localStorage.setItem('user',JSON.stringify(state.user));
+            }
+        })
      
 
   }
@@ -63,3 +63,83 @@ export const getUser = createAsyncThunk('auth/getUser', async (userId, { rejectW
 
 
 
+
+// logoutSession: revokes this device's session on the server
+export const logoutSession = createAsyncThunk('auth/logoutSession', async (_, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.get('/users/logout');
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// getSessions: devices currently signed in to this account
+export const getSessions = createAsyncThunk('auth/getSessions', async (_, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.get('/users/sessions');
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// revokeSession: signs out one device
+export const revokeSession = createAsyncThunk('auth/revokeSession', async (sessionId, { rejectWithValue }) => {
+  try {
+    await axiosInstance.delete(`/users/sessions/${sessionId}`);
+    return sessionId;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// revokeOtherSessions: signs out every device except this one
+export const revokeOtherSessions = createAsyncThunk('auth/revokeOtherSessions', async (_, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.delete('/users/sessions', { params: { exceptCurrent: true } });
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// verifyEmail: redeems the token from the signup email
+export const verifyEmail = createAsyncThunk('auth/verifyEmail', async (token, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.post('/users/verifyEmail', { token });
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data?.message || 'Verification failed');
+  }
+});
+
+// resendVerification: emails a new verification link to the signed-in user
+export const resendVerification = createAsyncThunk('auth/resendVerification', async (_, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.post('/users/resendVerification');
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data?.message || 'Could not send email');
+  }
+});
+
+// forgotPassword: asks for a reset link
+export const forgotPassword = createAsyncThunk('auth/forgotPassword', async (email, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.post('/users/forgotPassword', { email });
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data?.message || 'Could not send reset email');
+  }
+});
+
+// resetPassword: sets a new password with the token from the reset email
+export const resetPassword = createAsyncThunk('auth/resetPassword', async ({ token, password }, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.post('/users/resetPassword', { token, password });
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data?.message || 'Password reset failed');
+  }
+});
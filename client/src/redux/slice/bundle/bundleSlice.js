@@ -0,0 +1,62 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { createBundle, getUserBundles, deleteBundle } from "./bundleThunk";
+
+const bundleSlice = createSlice({
+  name: "bundle",
+  initialState: {
+    bundles: [],
+    createdBundle: null,
+    loading: false,
+    error: null,
+  },
+  reducers: {
+    clearCreatedBundle: (state) => {
+      state.createdBundle = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(createBundle.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createBundle.fulfilled, (state, action) => {
+        state.loading = false;
+        state.createdBundle = action.payload;
+        state.bundles.unshift(action.payload);
+      })
+      .addCase(createBundle.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      .addCase(getUserBundles.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getUserBundles.fulfilled, (state, action) => {
+        state.loading = false;
+        state.bundles = action.payload;
+      })
+      .addCase(getUserBundles.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      .addCase(deleteBundle.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteBundle.fulfilled, (state, action) => {
+        state.loading = false;
+        state.bundles = state.bundles.filter((b) => b.id !== action.payload);
+      })
+      .addCase(deleteBundle.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearCreatedBundle } = bundleSlice.actions;
+export default bundleSlice.reducer;
@@ -0,0 +1,33 @@
+// src/redux/slice/bundle/bundleThunk.js
+import { createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../../config/axiosInstance";
+
+// CREATE BUNDLE
+export const createBundle = createAsyncThunk("bundle/create", async (bundleData, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.post("/bundles/create", bundleData);
+    return res.data.bundle;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// GET USER BUNDLES
+export const getUserBundles = createAsyncThunk("bundle/getUserBundles", async (userId, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.get(`/bundles/user/${userId}`);
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// DELETE BUNDLE
+export const deleteBundle = createAsyncThunk("bundle/delete", async (bundleId, { rejectWithValue }) => {
+  try {
+    await axiosInstance.delete(`/bundles/${bundleId}`);
+    return bundleId;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
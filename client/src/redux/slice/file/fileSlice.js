@@ -5,6 +5,8 @@ import {
   deleteFile,
   updateFileStatus,
   generateShareShortenLink,
+  addFileAlias,
+  removeFileAlias,
   sendLinkEmail,
   updateFileExpiry,
   updateFilePassword,
@@ -17,12 +19,24 @@ import {
   getUserFiles,
 } from "./fileThunk";
 
+// Upload queue items: { id, name, size, type, guest, loaded, status, error }
+// status: queued | uploading | done | error | cancelled
+const findUpload = (state, id) => state.uploadQueue.find((item) => item.id === id);
+
+// Link changes return the file's current code and aliases ({ fileId, shortUrl, aliases, path? })
+const applyLinkChange = (state, action) => {
+  const { fileId, ...links } = action.payload;
+  state.loading = false;
+  state.files = state.files.map((f) => (f._id === fileId ? { ...f, ...links } : f));
+};
+
 const fileSlice = createSlice({
   name: "file",
   initialState: {
     files: [],
     userFiles: [],
     uploadFiles: [],
+    uploadQueue: [],
     selectedFile: null,
     qrCodeUrl: null,
     downloadCounts: {},
@@ -37,6 +51,63 @@ const fileSlice = createSlice({
     clearSelectedFile: (state) => {
       state.selectedFile = null;
     },
+
+    // ---------- Upload queue (driven by ./uploadQueue.js) ----------
+    uploadQueued: (state, action) => {
+      state.uploadQueue.push({ ...action.payload, loaded: 0, status: "queued", error: null, shareUrl: null, pausable: false });
+    },
+    // Set once the item is known to go in chunks, the only uploads that can pause
+    uploadPausable: (state, action) => {
+      const item = findUpload(state, action.payload);
+      if (item) item.pausable = true;
+    },
+    uploadStarted: (state, action) => {
+      const item = findUpload(state, action.payload);
+      if (item) item.status = "uploading";
+    },
+    uploadProgressed: (state, action) => {
+      const item = findUpload(state, action.payload.id);
+      if (item && item.status === "uploading") item.loaded = action.payload.loaded;
+    },
+    // Finished files go straight into the dashboard list, no reload needed
+    uploadSucceeded: (state, action) => {
+      const { id, files, shareUrl = null } = action.payload;
+      const item = findUpload(state, id);
+      if (!item || item.status !== "uploading") return;
+      item.status = "done";
+      item.loaded = item.size;
+      // Encrypted uploads carry their key in this link
+      item.shareUrl = shareUrl;
+      if (!item.guest) state.files.push(...files);
+    },
+    uploadFailed: (state, action) => {
+      const item = findUpload(state, action.payload.id);
+      if (!item || item.status !== "uploading") return;
+      item.status = "error";
+      item.error = action.payload.error;
+    },
+    uploadPaused: (state, action) => {
+      const item = findUpload(state, action.payload);
+      if (item && item.status === "uploading") item.status = "paused";
+    },
+    uploadResumed: (state, action) => {
+      const item = findUpload(state, action.payload);
+      if (item && item.status === "paused") item.status = "queued";
+    },
+    uploadCancelled: (state, action) => {
+      const item = findUpload(state, action.payload);
+      if (item && ["queued", "uploading", "paused", "error"].includes(item.status)) item.status = "cancelled";
+    },
+    uploadRetried: (state, action) => {
+      const item = findUpload(state, action.payload);
+      if (item && ["error", "cancelled"].includes(item.status)) {
+        item.status = "queued";
+        item.error = null;
+      }
+    },
+    finishedUploadsCleared: (state) => {
+      state.uploadQueue = state.uploadQueue.filter((item) => !["done", "cancelled"].includes(item.status));
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -46,7 +117,7 @@ const fileSlice = createSlice({
       })
       .addCase(uploadFile.fulfilled, (state, action) => {
         state.loading = false;
-         state.files.push(...action.payload.fileIds);
+        state.files.push(...(action.payload.files || []));
       })
       .addCase(uploadFile.rejected, (state, action) => {
         state.loading = false;
@@ -95,13 +166,19 @@ const fileSlice = createSlice({
         state.loading = true;
         state.error = null;
       })
-      .addCase(generateShareShortenLink.fulfilled, (state, action) => {
-        state.selectedFile = action.payload;
-      })
+      .addCase(generateShareShortenLink.fulfilled, applyLinkChange)
       .addCase(generateShareShortenLink.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
       })
+      .addCase(addFileAlias.fulfilled, applyLinkChange)
+      .addCase(addFileAlias.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(removeFileAlias.fulfilled, applyLinkChange)
+      .addCase(removeFileAlias.rejected, (state, action) => {
+        state.error = action.payload;
+      })
 
       .addCase(sendLinkEmail.pending, (state) => {
         state.loading = true;
@@ -222,5 +299,19 @@ const fileSlice = createSlice({
   },
 });
 
-export const { clearQR, clearSelectedFile } = fileSlice.actions;
+export const {
+  clearQR,
+  clearSelectedFile,
+  uploadQueued,
+  uploadStarted,
+  uploadProgressed,
+  uploadSucceeded,
+  uploadFailed,
+  uploadPausable,
+  uploadPaused,
+  uploadResumed,
+  uploadCancelled,
+  uploadRetried,
+  finishedUploadsCleared,
+} = fileSlice.actions;
 export default fileSlice.reducer;
@@ -10,7 +10,7 @@ axios.defaults.withCredentials = true;
 export const uploadFile = createAsyncThunk("file/upload",async (formData, { rejectWithValue }) => {
     try {
       const res = await axiosInstance.post("/files/upload", formData);
-      return res.data; // returns { message, fileIds }
+      return res.data; // returns { message, fileIds, files }
     } catch (err) {
       return rejectWithValue(err.response?.data);
     }
@@ -48,9 +48,66 @@ export const updateFileStatus = createAsyncThunk("file/updateStatus", async ({ f
 });
 
 // GENERATE SHORT LINK
-export const generateShareShortenLink = createAsyncThunk("file/generateShortLink", async ({ fileId }, { rejectWithValue }) => {
+// Without a slug the file gets a new random code; the old one keeps redirecting
+export const generateShareShortenLink = createAsyncThunk("file/generateShortLink", async ({ fileId, slug }, { rejectWithValue }) => {
   try {
-    const res = await axiosInstance.post("/generateShareShortenLink", { fileId });
+    const res = await axiosInstance.post("/files/generateShareShortenLink", { fileId, slug });
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// LINK ALIASES
+export const addFileAlias = createAsyncThunk("file/addAlias", async ({ fileId, slug }, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.post("/files/fileAliases", { fileId, slug });
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+export const removeFileAlias = createAsyncThunk("file/removeAlias", async ({ fileId, slug }, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.delete(`/files/fileAliases/${fileId}/${encodeURIComponent(slug)}`);
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+// SHARE LINKS (each with its own password, expiry and download limit)
+export const getShareLinks = createAsyncThunk("file/getShareLinks", async (fileId, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.get(`/shareLinks/file/${fileId}`);
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+export const createShareLink = createAsyncThunk("file/createShareLink", async (payload, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.post("/shareLinks/create", payload);
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+export const updateShareLink = createAsyncThunk("file/updateShareLink", async ({ fileId, linkId, ...changes }, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.put(`/shareLinks/${fileId}/${linkId}`, changes);
+    return res.data;
+  } catch (err) {
+    return rejectWithValue(err.response?.data);
+  }
+});
+
+export const deleteShareLink = createAsyncThunk("file/deleteShareLink", async ({ fileId, linkId }, { rejectWithValue }) => {
+  try {
+    const res = await axiosInstance.delete(`/shareLinks/${fileId}/${linkId}`);
     return res.data;
   } catch (err) {
     return rejectWithValue(err.response?.data);
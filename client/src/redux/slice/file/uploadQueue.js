@@ -0,0 +1,212 @@
+// src/redux/slice/file/uploadQueue.js
+import { nanoid } from "@reduxjs/toolkit";
+import axiosInstance from "../../../config/axiosInstance";
+import { createChunkedUpload } from "../../../utils/chunkedUpload";
+import { DIRECT_UPLOADS_ENABLED, canUploadDirect, uploadDirect } from "../../../utils/directUpload";
+import { E2E_SCHEME, encryptFile, rememberKey, withKey } from "../../../utils/e2eCrypto";
+import {
+  uploadQueued,
+  uploadStarted,
+  uploadProgressed,
+  uploadSucceeded,
+  uploadFailed,
+  uploadPausable,
+  uploadPaused,
+  uploadResumed,
+  uploadCancelled,
+  uploadRetried,
+  finishedUploadsCleared,
+} from "./fileSlice";
+
+export const MAX_CONCURRENT_UPLOADS = 3;
+
+// File objects, callbacks and in-flight requests can't live in the store,
+// so they are kept here under the queue item's id
+const jobs = new Map();
+
+const errorMessage = (err) =>
+  err?.response?.data?.error || err?.response?.data?.message || err?.message || "Upload failed";
+
+// Other signed-in uploads go in resumable chunks; a chunked transport is kept after a
+// failure or a pause so running it again continues from the last chunk the server has
+const chunkedTransport = (file, options, onProgress) => {
+  const upload = createChunkedUpload(file, options, { onProgress });
+  return {
+    resumable: true,
+    run: () => upload.start(),
+    pause: () => upload.pause(),
+    cancel: () => upload.abort().catch(() => {}),
+  };
+};
+
+// Signed-in users go straight to the bucket when that is enabled and the file fits
+// in one PUT. Not resumable: a retry starts the upload again
+const directTransport = (file, options, onProgress) => {
+  const controller = new AbortController();
+  return {
+    resumable: false,
+    run: () => uploadDirect(file, options, { onProgress, signal: controller.signal }),
+    cancel: () => controller.abort(),
+  };
+};
+
+// Guests go straight to the bucket when that is enabled, else through the API
+const guestTransport = (file, options, onProgress) => {
+  const controller = new AbortController();
+  const run = async () => {
+    if (DIRECT_UPLOADS_ENABLED) {
+      return uploadDirect(file, { ...options, guest: true }, { onProgress, signal: controller.signal });
+    }
+    const formData = new FormData();
+    formData.append("files", file);
+    Object.entries(options).forEach(([name, value]) => formData.append(name, value));
+    const res = await axiosInstance.post("/files/upload-guest", formData, {
+      signal: controller.signal,
+      onUploadProgress: (e) => onProgress(null, Math.min(e.loaded, file.size)),
+    });
+    return res.data;
+  };
+  return { resumable: false, run, cancel: () => controller.abort() };
+};
+
+// Pastes are one small JSON request, to the paste route for the caller
+const pasteTransport = (paste, options, guest, onProgress) => {
+  const controller = new AbortController();
+  const run = async () => {
+    const res = await axiosInstance.post(guest ? "/files/paste-guest" : "/files/paste", { ...options, ...paste }, {
+      signal: controller.signal,
+      onUploadProgress: (e) => onProgress(null, e.loaded),
+    });
+    return res.data;
+  };
+  return { resumable: false, run, cancel: () => controller.abort() };
+};
+
+// Uploads one queue item and reports the outcome
+const runUpload = (id) => async (dispatch) => {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  dispatch(uploadStarted(id));
+  // Ciphertext is a little larger than the file; progress is shown against the file's size
+  const onProgress = (percent, loaded) =>
+    dispatch(uploadProgressed({ id, loaded: Math.min(loaded, job.file.size) }));
+
+  try {
+    // Encrypted once per job, so a retry resumes with the same ciphertext and key
+    if (job.encrypt && !job.encrypted) job.encrypted = await encryptFile(job.file);
+    if (!job.transport) {
+      const file = job.encrypted ? job.encrypted.file : job.file;
+      const options = job.encrypted ? { ...job.options, encryption: E2E_SCHEME } : job.options;
+      if (job.paste) job.transport = pasteTransport(job.paste, options, job.guest, onProgress);
+      else if (job.guest) job.transport = guestTransport(file, options, onProgress);
+      else if (canUploadDirect(file)) job.transport = directTransport(file, options, onProgress);
+      else job.transport = chunkedTransport(file, options, onProgress);
+      if (job.transport.pause) dispatch(uploadPausable(id));
+    }
+  } catch (err) {
+    dispatch(uploadFailed({ id, error: errorMessage(err) }));
+    return;
+  }
+  const { transport } = job;
+
+  try {
+    const result = await transport.run();
+    if (job.transport !== transport) return; // cancelled meanwhile
+    // A paused chunked upload resolves instead of throwing; it is only marked paused
+    // once its run has wound down, so resuming can't overlap it
+    if (result?.paused) {
+      dispatch(uploadPaused(id));
+      return;
+    }
+
+    const files = result?.files || [];
+    // The key never reaches the server: it is kept in this browser and in the share link
+    let shareUrl = null;
+    if (job.encrypted) {
+      files.forEach((f) => rememberKey(f.shortUrl, job.encrypted.key));
+      if (files[0]) shareUrl = withKey(`${window.location.origin}${files[0].shortUrl}`, job.encrypted.key);
+    }
+    jobs.delete(id);
+    dispatch(uploadSucceeded({ id, files, shareUrl }));
+    if (job.onUploaded) job.onUploaded(files);
+  } catch (err) {
+    if (job.transport !== transport) return; // cancelled meanwhile
+    if (!transport.resumable) job.transport = null;
+    dispatch(uploadFailed({ id, error: errorMessage(err) }));
+  }
+};
+
+// Starts queued items until MAX_CONCURRENT_UPLOADS are running
+export const processUploadQueue = () => (dispatch, getState) => {
+  const { uploadQueue } = getState().file;
+  let running = uploadQueue.filter((item) => item.status === "uploading").length;
+
+  for (const item of uploadQueue) {
+    if (running >= MAX_CONCURRENT_UPLOADS) break;
+    if (item.status !== "queued") continue;
+    running++;
+    dispatch(runUpload(item.id)).finally(() => dispatch(processUploadQueue()));
+  }
+};
+
+// Adds files to the queue. `options` are the upload settings (password, expiry,
+// download limit); `encrypt` encrypts each file in the browser before it is sent;
+// `onUploaded(files)` is called with the server records of each finished file
+export const enqueueUploads = ({ files, options = {}, guest = false, encrypt = false, onUploaded }) => (dispatch) => {
+  for (const file of files) {
+    const id = nanoid();
+    jobs.set(id, { file, options, guest, encrypt, encrypted: null, onUploaded, transport: null });
+    dispatch(uploadQueued({ id, name: file.name, size: file.size, type: file.type, guest, encrypted: encrypt }));
+  }
+  dispatch(processUploadQueue());
+};
+
+// Adds a paste ({ content, language, title }) to the queue. It is listed like a
+// file named after its title and takes the same `options` and `onUploaded`
+export const enqueuePaste = ({ paste, options = {}, guest = false, onUploaded }) => (dispatch) => {
+  const id = nanoid();
+  const file = new File([paste.content], paste.title || "Paste", { type: "text/plain" });
+  jobs.set(id, { file, paste, options, guest, encrypt: false, encrypted: null, onUploaded, transport: null });
+  dispatch(uploadQueued({ id, name: file.name, size: file.size, type: file.type, guest, encrypted: false }));
+  dispatch(processUploadQueue());
+};
+
+// Only chunked uploads can pause. The server session and the chunks it has are kept;
+// the item shows as paused once the chunk in flight has been aborted
+export const pauseUpload = (id) => () => {
+  const job = jobs.get(id);
+  if (job?.transport?.pause) job.transport.pause();
+};
+
+// Puts a paused upload back in the queue; running it again continues its chunked transport
+export const resumeUpload = (id) => (dispatch) => {
+  if (!jobs.has(id)) return;
+  dispatch(uploadResumed(id));
+  dispatch(processUploadQueue());
+};
+
+// Throws the upload away, server session included; a retry starts it from the beginning
+export const cancelUpload = (id) => (dispatch) => {
+  const job = jobs.get(id);
+  if (job?.transport) {
+    const { transport } = job;
+    job.transport = null;
+    transport.cancel();
+  }
+  dispatch(uploadCancelled(id));
+  dispatch(processUploadQueue());
+};
+
+export const retryUpload = (id) => (dispatch) => {
+  if (!jobs.has(id)) return;
+  dispatch(uploadRetried(id));
+  dispatch(processUploadQueue());
+};
+
+export const clearFinishedUploads = () => (dispatch, getState) => {
+  getState().file.uploadQueue
+    .filter((item) => item.status === "cancelled")
+    .forEach((item) => jobs.delete(item.id));
+  dispatch(finishedUploadsCleared());
+};
@@ -1,10 +1,14 @@
 import { configureStore } from "@reduxjs/toolkit";
 import fileReducer from "./slice/file/fileSlice.js";
 import authReducer from "./slice/auth/authSlice.js";
+import bundleReducer from "./slice/bundle/bundleSlice.js";
+import analyticsReducer from "./slice/analytics/analyticsSlice.js";
 const store=configureStore({
     reducer:{
       file:fileReducer,
-      auth:authReducer
+      auth:authReducer,
+      bundle:bundleReducer,
+      analytics:analyticsReducer
     },
     devTools:true
 })
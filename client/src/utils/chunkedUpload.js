@@ -0,0 +1,110 @@
+// src/utils/chunkedUpload.js
+import axiosInstance from "../config/axiosInstance";
+
+const MAX_RETRIES = 3;
+
+// Remembers the server session per file so a reload can resume it
+const storageKey = (file) => `chunkedUpload:${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Uploads one File in numbered chunks. start() begins or resumes, pause() stops
+// after aborting the chunk in flight, abort() throws the server session away.
+// onProgress(percent, uploadedBytes) also fires while a chunk is in flight.
+export const createChunkedUpload = (file, options, { onProgress } = {}) => {
+  let session = null;
+  let paused = false;
+  let controller = null;
+
+  const report = (uploadedBytes) => {
+    if (onProgress) onProgress(file.size ? Math.min((uploadedBytes / file.size) * 100, 100) : 100, uploadedBytes);
+  };
+
+  const openSession = async () => {
+    const savedId = localStorage.getItem(storageKey(file));
+    if (savedId) {
+      try {
+        const res = await axiosInstance.get(`/files/chunked/${savedId}`);
+        if (res.data.status === "uploading") return res.data;
+      } catch (err) {
+        // session is gone on the server, start a new one below
+      }
+      localStorage.removeItem(storageKey(file));
+    }
+
+    const res = await axiosInstance.post("/files/chunked/init", {
+      fileName: file.name,
+      size: file.size,
+      type: file.type,
+      ...options,
+    });
+    localStorage.setItem(storageKey(file), res.data.uploadId);
+    return { ...res.data, uploadedParts: [] };
+  };
+
+  const refreshSession = async () => {
+    const res = await axiosInstance.get(`/files/chunked/${session.uploadId}`);
+    return res.data;
+  };
+
+  const sendChunk = async (partNumber, uploadedBefore) => {
+    const start = (partNumber - 1) * session.chunkSize;
+    const chunk = file.slice(start, start + session.chunkSize);
+
+    for (let attempt = 1; ; attempt++) {
+      controller = new AbortController();
+      try {
+        await axiosInstance.put(`/files/chunked/${session.uploadId}/chunks/${partNumber}`, chunk, {
+          headers: { "Content-Type": "application/octet-stream" },
+          signal: controller.signal,
+          onUploadProgress: (e) => report(uploadedBefore + Math.min(e.loaded, chunk.size)),
+        });
+        return chunk.size;
+      } catch (err) {
+        if (paused || attempt >= MAX_RETRIES) throw err;
+        await wait(1000 * 2 ** (attempt - 1));
+      }
+    }
+  };
+
+  const start = async () => {
+    paused = false;
+    try {
+      session = session ? await refreshSession() : await openSession();
+
+      const done = new Set(session.uploadedParts);
+      let uploadedBytes = [...done].reduce(
+        (acc, n) => acc + Math.min(session.chunkSize, file.size - (n - 1) * session.chunkSize),
+        0
+      );
+      report(uploadedBytes);
+
+      for (let partNumber = 1; partNumber <= session.totalChunks; partNumber++) {
+        if (done.has(partNumber)) continue;
+        if (paused) return { paused: true };
+        uploadedBytes += await sendChunk(partNumber, uploadedBytes);
+        report(uploadedBytes);
+      }
+
+      const res = await axiosInstance.post(`/files/chunked/${session.uploadId}/complete`);
+      localStorage.removeItem(storageKey(file));
+      return res.data;
+    } catch (err) {
+      if (paused) return { paused: true };
+      throw err;
+    }
+  };
+
+  const pause = () => {
+    paused = true;
+    if (controller) controller.abort();
+  };
+
+  const abort = async () => {
+    pause();
+    localStorage.removeItem(storageKey(file));
+    if (session) await axiosInstance.delete(`/files/chunked/${session.uploadId}`);
+  };
+
+  return { start, resume: start, pause, abort };
+};
@@ -0,0 +1,45 @@
+// src/utils/csv.js
+// Parses CSV or TSV text for table previews: quoted fields, doubled quotes and
+// line breaks inside quotes are handled. Returns { rows, truncated }, with
+// at most `maxRows` rows
+export const parseDelimited = (text, { delimiter = ",", maxRows = Infinity } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    field = "";
+    // A trailing newline doesn't make an empty last row
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      if (rows.length > maxRows) return { rows: rows.slice(0, maxRows), truncated: true };
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length) endRow();
+  return rows.length > maxRows ? { rows: rows.slice(0, maxRows), truncated: true } : { rows, truncated: false };
+};
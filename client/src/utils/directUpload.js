@@ -0,0 +1,46 @@
+// src/utils/directUpload.js
+import axios from "axios";
+import axiosInstance from "../config/axiosInstance";
+
+// Off by default: the bucket needs a CORS rule allowing PUT/POST from the client origin
+export const DIRECT_UPLOADS_ENABLED = import.meta.env.VITE_DIRECT_UPLOADS === "true";
+
+// A single presigned PUT is capped at 5 GB (the server's DIRECT_UPLOAD_MAX_SIZE default);
+// bigger files from signed-in users keep using chunked uploads
+export const DIRECT_UPLOAD_MAX_SIZE = 5 * 1024 * 1024 * 1024;
+
+export const canUploadDirect = (file) => DIRECT_UPLOADS_ENABLED && file.size <= DIRECT_UPLOAD_MAX_SIZE;
+
+// Uploads one File straight to the bucket through a presigned URL, then asks
+// the API to register it. Resolves with the finalize response; `signal` cancels it.
+export const uploadDirect = async (file, options, { onProgress, method = "put", signal } = {}) => {
+  const { data: target } = await axiosInstance.post("/files/direct/init", {
+    fileName: file.name,
+    size: file.size,
+    type: file.type,
+    method,
+    ...options,
+  }, { signal });
+
+  const onUploadProgress = (e) => {
+    if (onProgress && e.total) onProgress((e.loaded / e.total) * 100, Math.min(e.loaded, file.size));
+  };
+
+  // Plain axios: the storage endpoint must not receive our API credentials
+  if (target.method === "post") {
+    const formData = new FormData();
+    Object.entries(target.fields).forEach(([name, value]) => formData.append(name, value));
+    formData.append("file", file);
+    await axios.post(target.url, formData, { withCredentials: false, onUploadProgress, signal });
+  } else {
+    await axios.put(target.url, file, {
+      headers: target.headers,
+      withCredentials: false,
+      onUploadProgress,
+      signal,
+    });
+  }
+
+  const res = await axiosInstance.post(`/files/direct/${target.uploadId}/finalize`, null, { signal });
+  return res.data;
+};
@@ -0,0 +1,127 @@
+// src/utils/e2eCrypto.js
+// End-to-end encryption for uploads. A file is encrypted in the browser with a
+// fresh AES-256-GCM key that only travels in the share link's #fragment, which
+// browsers never send to a server, so PasteBox only ever stores ciphertext.
+//
+// Ciphertext layout (scheme "aes-gcm-v1", checked by server/src/utils/fileType.utils.js):
+//   header   "PBE1" | uint32 record size | 8-byte random nonce prefix
+//   records  the plaintext in record-size pieces, each sealed with AES-GCM under
+//            IV = nonce prefix | uint32 record index. One byte of additional data
+//            marks the last record, so a file cut short at a record boundary fails
+export const E2E_SCHEME = "aes-gcm-v1";
+
+const MAGIC = "PBE1";
+const HEADER_BYTES = 16;
+const RECORD_SIZE = 1024 * 1024;
+const TAG_BYTES = 16;
+const KEY_STORE = "e2eKeys";
+
+export const isE2ESupported = () => Boolean(window.crypto?.subtle);
+
+const toBase64Url = (buffer) =>
+  btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+const recordParams = (prefix, index, isLast) => {
+  const iv = new Uint8Array(12);
+  iv.set(prefix);
+  new DataView(iv.buffer).setUint32(8, index);
+  return { name: "AES-GCM", iv, additionalData: new Uint8Array([isLast ? 1 : 0]) };
+};
+
+// Resolves to { file, key }: a File of ciphertext under the original name, and
+// the base64url key that belongs in the share link
+export const encryptFile = async (file) => {
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+  const prefix = crypto.getRandomValues(new Uint8Array(8));
+
+  const header = new Uint8Array(HEADER_BYTES);
+  header.set(new TextEncoder().encode(MAGIC));
+  new DataView(header.buffer).setUint32(4, RECORD_SIZE);
+  header.set(prefix, 8);
+
+  const parts = [header];
+  const records = Math.max(Math.ceil(file.size / RECORD_SIZE), 1);
+  for (let index = 0; index < records; index++) {
+    const plain = await file.slice(index * RECORD_SIZE, (index + 1) * RECORD_SIZE).arrayBuffer();
+    parts.push(await crypto.subtle.encrypt(recordParams(prefix, index, index === records - 1), key, plain));
+  }
+
+  return {
+    // Every encryption differs, so a fresh lastModified keeps a chunked upload
+    // of an earlier attempt from being resumed with these bytes
+    file: new File(parts, file.name, { type: "application/octet-stream", lastModified: Date.now() }),
+    key: toBase64Url(await crypto.subtle.exportKey("raw", key)),
+  };
+};
+
+// Decrypts a downloaded ciphertext Blob with the key from the link; throws with a
+// message fit for the user when the key is wrong or the file is damaged
+export const decryptBlob = async (blob, keyText, type) => {
+  const data = new Uint8Array(await blob.arrayBuffer());
+  if (data.length < HEADER_BYTES || new TextDecoder().decode(data.subarray(0, 4)) !== MAGIC) {
+    throw new Error("This file is not end-to-end encrypted");
+  }
+  const recordSize = new DataView(data.buffer, data.byteOffset).getUint32(4);
+  const prefix = data.slice(8, HEADER_BYTES);
+
+  let key;
+  try {
+    key = await crypto.subtle.importKey("raw", fromBase64Url(keyText), "AES-GCM", false, ["decrypt"]);
+  } catch {
+    throw new Error("The decryption key in the link is not valid");
+  }
+
+  const parts = [];
+  for (let offset = HEADER_BYTES, index = 0; ; index++) {
+    const end = Math.min(offset + recordSize + TAG_BYTES, data.length);
+    const isLast = end === data.length;
+    try {
+      parts.push(await crypto.subtle.decrypt(recordParams(prefix, index, isLast), key, data.subarray(offset, end)));
+    } catch {
+      throw new Error("The file could not be decrypted. Check that you have the complete link.");
+    }
+    if (isLast) break;
+    offset = end;
+  }
+  return new Blob(parts, { type: type || "application/octet-stream" });
+};
+
+// ---------- Keys in links ----------
+export const keyFromHash = (hash = window.location.hash) =>
+  new URLSearchParams(hash.replace(/^#/, "")).get("key");
+
+export const withKey = (url, key) => (key ? `${url}#key=${key}` : url);
+
+// The uploader's own keys, by short URL, so the dashboard can hand out complete
+// links later. They stay in this browser only
+const loadKeys = () => {
+  try {
+    return JSON.parse(localStorage.getItem(KEY_STORE)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const rememberKey = (shortUrl, key) => {
+  localStorage.setItem(KEY_STORE, JSON.stringify({ ...loadKeys(), [shortUrl]: key }));
+};
+
+export const keyFor = (shortUrl) => loadKeys()[shortUrl] || null;
+
+// Saves a decrypted Blob under the file's name
+export const saveBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
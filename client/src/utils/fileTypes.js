@@ -0,0 +1,15 @@
+// src/utils/fileTypes.js
+// Extensions the server can identify (server/src/utils/fileType.utils.js). The
+// server also checks the content and the file-type policy set by an admin, so
+// this only narrows the file picker
+export const ACCEPTED_FILE_TYPES = [
+  ".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp", ".tif", ".tiff",
+  ".mp4", ".m4v", ".mov", ".3gp", ".mkv", ".mk3d", ".mks", ".webm", ".avi",
+  ".mp3", ".m4a", ".aac", ".mka", ".wav", ".ogg", ".oga", ".opus", ".flac",
+  ".pdf", ".rtf", ".doc", ".xls", ".ppt", ".docx", ".xlsx", ".pptx", ".odt", ".ods", ".odp", ".epub",
+  ".zip", ".gz", ".tgz", ".7z", ".rar", ".tar",
+  ".csv", ".tsv", ".md", ".markdown", ".json", ".txt", ".log", ".xml", ".yaml", ".yml", ".toml", ".ini", ".env",
+  ".html", ".htm", ".css", ".scss", ".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx", ".py", ".rb", ".go", ".rs",
+  ".java", ".kt", ".swift", ".c", ".h", ".cpp", ".hpp", ".cs", ".php", ".sh", ".bash", ".ps1", ".sql", ".r",
+  ".lua", ".dart",
+].join(",");
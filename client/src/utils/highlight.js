@@ -0,0 +1,168 @@
+// src/utils/highlight.js
+// A small syntax highlighter for previews: it splits code into comment, string,
+// number, keyword and plain tokens. It knows nothing about grammar, which is
+// plenty for reading a file and keeps the bundle free of a highlighting library
+
+const words = (list) => new Set(list.split(" "));
+
+const C_COMMENTS = [/\/\/[^\n]*/, /\/\*[\s\S]*?\*\//];
+const HASH_COMMENTS = [/#[^\n]*/];
+const DASH_COMMENTS = [/--[^\n]*/];
+const QUOTES = [/"(?:\\[\s\S]|[^"\\\n])*"/, /'(?:\\[\s\S]|[^'\\\n])*'/];
+const TEMPLATE = /`(?:\\[\s\S]|[^`\\])*`/;
+const TRIPLE_QUOTES = [/"""[\s\S]*?"""/, /'''[\s\S]*?'''/];
+
+const JS_KEYWORDS =
+  "async await break case catch class const continue debugger default delete do else export extends false " +
+  "finally for from function if import in instanceof let new null of return static super switch this throw " +
+  "true try typeof undefined var void while yield";
+
+const LANGUAGES = {
+  javascript: { comments: C_COMMENTS, strings: [...QUOTES, TEMPLATE], keywords: words(JS_KEYWORDS) },
+  typescript: {
+    comments: C_COMMENTS,
+    strings: [...QUOTES, TEMPLATE],
+    keywords: words(`${JS_KEYWORDS} abstract any as boolean declare enum implements interface keyof namespace never number private protected public readonly string type unknown`),
+  },
+  python: {
+    comments: HASH_COMMENTS,
+    strings: [...TRIPLE_QUOTES, ...QUOTES],
+    keywords: words("and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield"),
+  },
+  ruby: {
+    comments: HASH_COMMENTS,
+    strings: QUOTES,
+    keywords: words("alias and begin break case class def defined? do else elsif end ensure false for if in module next nil not or redo rescue retry return self super then true undef unless until when while yield require attr_accessor"),
+  },
+  go: {
+    comments: C_COMMENTS,
+    strings: [...QUOTES, TEMPLATE],
+    keywords: words("break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var"),
+  },
+  rust: {
+    comments: C_COMMENTS,
+    strings: [QUOTES[0]],
+    keywords: words("as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while"),
+  },
+  clike: {
+    comments: C_COMMENTS,
+    strings: QUOTES,
+    keywords: words(
+      "abstract as async await bool boolean break byte case catch char class const continue data default defer " +
+      "delete do double else enum export extends extern false final finally float for fun func guard if " +
+      "implements import in include inline int interface internal let long namespace new nil null object " +
+      "operator override package private protected public return sealed short signed sizeof static struct " +
+      "super switch template this throw throws true try typedef typename union unsigned using val var virtual " +
+      "void volatile when where while"
+    ),
+  },
+  php: {
+    comments: [...C_COMMENTS, ...HASH_COMMENTS],
+    strings: QUOTES,
+    keywords: words("abstract array as break case catch class const continue default do echo else elseif extends false final finally fn for foreach function global if implements include interface namespace new null private protected public require return static switch this throw trait true try use var while"),
+  },
+  shell: {
+    comments: HASH_COMMENTS,
+    strings: QUOTES,
+    keywords: words("case do done elif else esac export fi for function if in local return then until while echo exit param foreach"),
+  },
+  sql: {
+    comments: [...DASH_COMMENTS, /\/\*[\s\S]*?\*\//],
+    strings: QUOTES,
+    keywords: words("add all alter and as asc begin between by case check column commit create default delete desc distinct drop else end exists foreign from full group having in index inner insert into is join key left like limit not null on or order outer primary references right rollback select set table then union unique update values view when where with"),
+    caseInsensitive: true,
+  },
+  lua: {
+    comments: [/--\[\[[\s\S]*?\]\]/, ...DASH_COMMENTS],
+    strings: QUOTES,
+    keywords: words("and break do else elseif end false for function goto if in local nil not or repeat return then true until while"),
+  },
+  r: {
+    comments: HASH_COMMENTS,
+    strings: QUOTES,
+    keywords: words("break else FALSE for function if in Inf NA NaN next NULL repeat return TRUE while library"),
+  },
+  css: { comments: C_COMMENTS, strings: QUOTES, keywords: words("important media import keyframes from to include mixin extend") },
+  markup: { comments: [/<!--[\s\S]*?-->/], strings: QUOTES, tags: true },
+  data: { comments: [...HASH_COMMENTS, /^;[^\n]*/m], strings: QUOTES, keywords: words("true false null yes no on off") },
+};
+
+const LANGUAGE_BY_EXT = {
+  js: "javascript", mjs: "javascript", cjs: "javascript", jsx: "javascript",
+  ts: "typescript", tsx: "typescript",
+  py: "python", rb: "ruby", go: "go", rs: "rust",
+  java: "clike", kt: "clike", swift: "clike", c: "clike", h: "clike", cpp: "clike", hpp: "clike", cs: "clike", dart: "clike",
+  php: "php", sh: "shell", bash: "shell", ps1: "shell",
+  sql: "sql", lua: "lua", r: "r",
+  css: "css", scss: "css",
+  html: "markup", htm: "markup", xml: "markup",
+  json: "data", yaml: "data", yml: "data", toml: "data", ini: "data", env: "data",
+};
+
+// Also accepts the names used on Markdown code fences
+const LANGUAGE_ALIASES = {
+  javascript: "javascript", typescript: "typescript", python: "python", ruby: "ruby",
+  golang: "go", rust: "rust", java: "clike", kotlin: "clike", csharp: "clike",
+  shell: "shell", zsh: "shell", powershell: "shell", html: "markup", xml: "markup", yaml: "data",
+};
+
+// The highlighter language for a file name or fence name, or null for plain text
+export const languageFor = (name = "") => {
+  const lower = name.toLowerCase();
+  const ext = lower.includes(".") ? lower.slice(lower.lastIndexOf(".") + 1) : lower;
+  return LANGUAGE_BY_EXT[ext] || LANGUAGE_ALIASES[ext] || null;
+};
+
+const NUMBER = /\b(?:0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+const WORD = /[A-Za-z_$][\w$]*\??/;
+const TAG = /<\/?[A-Za-z][\w:.-]*|\/?>/;
+
+const source = (patterns) => patterns.map((p) => `(?:${p.source})`).join("|");
+
+// Compiled once per language: one alternation of named groups, so the earliest match wins
+const compiled = {};
+const tokenizerFor = (language) => {
+  if (!compiled[language]) {
+    const spec = LANGUAGES[language];
+    const groups = [
+      ["comment", spec.comments],
+      ["string", spec.strings],
+      ["number", [NUMBER]],
+      ["word", [spec.tags ? TAG : WORD]],
+    ].filter(([, patterns]) => patterns?.length);
+    compiled[language] = new RegExp(
+      groups.map(([name, patterns]) => `(?<${name}>${source(patterns)})`).join("|"),
+      "gm"
+    );
+  }
+  return compiled[language];
+};
+
+// Splits `code` into [{ type, text }], type being one of comment, string, number,
+// keyword or plain. Unknown languages come back as a single plain token
+export const highlight = (code, language) => {
+  if (!LANGUAGES[language]) return [{ type: "plain", text: code }];
+  const spec = LANGUAGES[language];
+  const pattern = tokenizerFor(language);
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last?.type === type) last.text += text;
+    else tokens.push({ type, text });
+  };
+
+  let index = 0;
+  for (const match of code.matchAll(pattern)) {
+    if (match.index > index) push("plain", code.slice(index, match.index));
+    const [text] = match;
+    const { comment, string, number } = match.groups;
+    if (comment !== undefined) push("comment", text);
+    else if (string !== undefined) push("string", text);
+    else if (number !== undefined) push("number", text);
+    else if (spec.tags) push("keyword", text);
+    else push(spec.keywords?.has(spec.caseInsensitive ? text.toLowerCase() : text) ? "keyword" : "plain", text);
+    index = match.index + text.length;
+  }
+  if (index < code.length) push("plain", code.slice(index));
+  return tokens;
+};
@@ -0,0 +1,91 @@
+// src/utils/markdown.js
+// Parses the common subset of Markdown (headings, paragraphs, lists, quotes,
+// fenced code, rules, and inline code, bold, italic and links) into plain
+// objects. Previews turn them into React elements, so no HTML from the file is
+// ever inserted into the page
+
+const FENCE = /^(```|~~~)\s*([\w+-]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+// Starts a block of its own, so it ends a paragraph
+const startsBlock = (line) =>
+  FENCE.test(line) || HEADING.test(line) || RULE.test(line) || LIST_ITEM.test(line) || QUOTE.test(line);
+
+// Splits a document into [{ type, ... }] blocks:
+//   heading { level, text }, paragraph { text }, code { language, text },
+//   list { ordered, items }, quote { text }, rule
+export const parseMarkdown = (source) => {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(FENCE);
+    const heading = line.match(HEADING);
+
+    if (!line.trim()) {
+      i++;
+    } else if (fence) {
+      const body = [];
+      for (i++; i < lines.length && !lines[i].startsWith(fence[1]); i++) body.push(lines[i]);
+      blocks.push({ type: "code", language: fence[2] || null, text: body.join("\n") });
+      i++;
+    } else if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = /\d/.test(line.match(LIST_ITEM)[1]);
+      const items = [];
+      for (; i < lines.length && lines[i].trim(); i++) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item) items.push(item[2]);
+        // Other lines continue the item before them, unless they start a new block
+        else if (!startsBlock(lines[i])) items[items.length - 1] += ` ${lines[i].trim()}`;
+        else break;
+      }
+      blocks.push({ type: "list", ordered, items });
+    } else if (QUOTE.test(line)) {
+      const body = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) body.push(lines[i].match(QUOTE)[1]);
+      blocks.push({ type: "quote", text: body.join(" ") });
+    } else {
+      const body = [];
+      for (; i < lines.length && lines[i].trim() && (!body.length || !startsBlock(lines[i])); i++) {
+        body.push(lines[i].trim());
+      }
+      blocks.push({ type: "paragraph", text: body.join(" ") });
+    }
+  }
+  return blocks;
+};
+
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*]+)\*|_([^_]+)_|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// Only web and mail links are kept; anything else (javascript: and the like) stays text
+export const safeHref = (href) => (/^(https?:|mailto:)/i.test(href) ? href : null);
+
+// Splits one line of text into [{ type, text, href }] spans:
+// text, code, strong, em or link (`href` only on links)
+export const parseInline = (text) => {
+  const spans = [];
+  let index = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > index) spans.push({ type: "text", text: text.slice(index, match.index) });
+    const [, code, strong, strongAlt, em, emAlt, label, href] = match;
+    if (code) spans.push({ type: "code", text: code });
+    else if (strong || strongAlt) spans.push({ type: "strong", text: strong || strongAlt });
+    else if (em || emAlt) spans.push({ type: "em", text: em || emAlt });
+    else if (safeHref(href)) spans.push({ type: "link", text: label, href });
+    else spans.push({ type: "text", text: label });
+    index = match.index + match[0].length;
+  }
+  if (index < text.length) spans.push({ type: "text", text: text.slice(index) });
+  return spans;
+};
@@ -0,0 +1,43 @@
+// src/utils/paste.js
+// Pastes: text typed into the uploader instead of a file. The server stores each
+// one as a text file named after its language (server/src/utils/paste.utils.js)
+export const PASTE_MAX_BYTES = 512 * 1024;
+
+export const PASTE_LANGUAGES = [
+  { value: "text", label: "Plain text" },
+  { value: "markdown", label: "Markdown" },
+  { value: "javascript", label: "JavaScript" },
+  { value: "typescript", label: "TypeScript" },
+  { value: "python", label: "Python" },
+  { value: "ruby", label: "Ruby" },
+  { value: "go", label: "Go" },
+  { value: "rust", label: "Rust" },
+  { value: "java", label: "Java" },
+  { value: "kotlin", label: "Kotlin" },
+  { value: "swift", label: "Swift" },
+  { value: "c", label: "C" },
+  { value: "cpp", label: "C++" },
+  { value: "csharp", label: "C#" },
+  { value: "php", label: "PHP" },
+  { value: "dart", label: "Dart" },
+  { value: "lua", label: "Lua" },
+  { value: "r", label: "R" },
+  { value: "shell", label: "Shell" },
+  { value: "powershell", label: "PowerShell" },
+  { value: "sql", label: "SQL" },
+  { value: "html", label: "HTML" },
+  { value: "css", label: "CSS" },
+  { value: "scss", label: "SCSS" },
+  { value: "json", label: "JSON" },
+  { value: "yaml", label: "YAML" },
+  { value: "toml", label: "TOML" },
+  { value: "xml", label: "XML" },
+  { value: "ini", label: "INI" },
+  { value: "csv", label: "CSV" },
+  { value: "log", label: "Log" },
+];
+
+export const languageLabel = (value) =>
+  PASTE_LANGUAGES.find((language) => language.value === value)?.label || "Plain text";
+
+export const pasteSize = (content) => new Blob([content]).size;
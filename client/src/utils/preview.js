@@ -0,0 +1,59 @@
+// src/utils/preview.js
+// Picks how a file is previewed from the type the server detected on upload
+// (server/src/utils/fileType.utils.js). Code is stored as text/plain, so its
+// language comes from the file name. Text is fetched and parsed in the tab, so
+// every text preview has a size cap past which only the download is offered
+import { languageFor } from "./highlight";
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+export const PREVIEW_LIMITS = {
+  text: 2 * MB,
+  // Highlighting makes an element per token, so long files are shown plain
+  highlight: 256 * KB,
+  markdown: 1 * MB,
+  csv: 5 * MB,
+  csvRows: 500,
+  // Mirrors RENDITION_MAX_BYTES on the server
+  office: 25 * MB,
+};
+
+const TEXT_KINDS = ["paste", "code", "text", "markdown", "csv"];
+
+const SPREADSHEETS = [
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.oasis.opendocument.spreadsheet",
+];
+
+// One of image, video, audio, pdf, paste, markdown, csv, code, text or office,
+// or null when the file can't be previewed. Pastes always show as source
+export const previewKindFor = (file) => {
+  const type = file?.type || "";
+  if (file?.kind === "paste") return "paste";
+  if (type.startsWith("image/")) return "image";
+  if (type.startsWith("video/")) return "video";
+  if (type.startsWith("audio/")) return "audio";
+  if (type === "application/pdf") return "pdf";
+  if (type === "text/markdown") return "markdown";
+  if (type === "text/csv" || type === "text/tab-separated-values") return "csv";
+  if (type === "application/json" || (type === "text/plain" && languageFor(file.name))) return "code";
+  if (type.startsWith("text/")) return "text";
+  if (file.renditionUrl) return "office";
+  return null;
+};
+
+export const isTextPreview = (kind) => TEXT_KINDS.includes(kind);
+
+// Whether the file is over the cap for its kind
+export const isTooLargeToPreview = (kind, size) => {
+  if (kind === "office") return size > PREVIEW_LIMITS.office;
+  if (kind === "markdown") return size > PREVIEW_LIMITS.markdown;
+  if (kind === "csv") return size > PREVIEW_LIMITS.csv;
+  if (isTextPreview(kind)) return size > PREVIEW_LIMITS.text;
+  return false;
+};
+
+// Spreadsheet renditions are HTML, the others PDF
+export const isHtmlRendition = (file) => SPREADSHEETS.includes(file?.type);
@@ -8,6 +8,9 @@ dotenv.config();
 
 const app=express();
 
+// Needed behind a reverse proxy so req.ip (used for rate limiting) is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
 app.use(cors({
     origin:process.env.CLIENT_URL,
     credentials:true
@@ -15,7 +18,8 @@ app.use(cors({
 
 app.use(cookieParser());
 
-app.use(bodyParser.json());
+// Room for pastes (PASTE_MAX_BYTES of text) once JSON-escaped
+app.use(bodyParser.json({ limit: '2mb' }));
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(morgan('dev'))
 
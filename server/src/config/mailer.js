@@ -0,0 +1,17 @@
+import nodemailer from "nodemailer";
+
+// Shared Gmail transport for shared-link and account emails
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS }
+});
+
+export const sendMail = ({ to, subject, html }) =>
+  transporter.sendMail({
+    from: `"File Share App" <${process.env.MAIL_USER}>`,
+    to,
+    subject,
+    html,
+  });
+
+export default transporter;
@@ -0,0 +1,35 @@
+// Master keys for encryption at rest. MASTER_KEYS lists comma-separated
+// `id:base64key` pairs, newest first: new data keys are wrapped with the first
+// one, the others only unwrap older data keys until `npm run rotate-keys` has
+// re-wrapped them. Each key is 32 random bytes, e.g. `openssl rand -base64 32`.
+// Without MASTER_KEYS new objects are stored unencrypted
+const KEY_BYTES = 32;
+
+const parseMasterKeys = () => {
+  const entries = (process.env.MASTER_KEYS || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+  const keys = entries.map((entry, index) => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator).trim();
+    const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+    // The entry itself is never echoed, since it holds key material
+    if (!id || key.length !== KEY_BYTES)
+      throw new Error(`MASTER_KEYS entry ${index + 1} must be "<id>:<base64 of ${KEY_BYTES} bytes>"`);
+    return { id, key };
+  });
+  const ids = keys.map((k) => k.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) throw new Error(`MASTER_KEYS lists the key id "${duplicate}" twice`);
+  return keys;
+};
+
+// Resolved on first use rather than at import, so the .env file has been loaded
+let masterKeys = null;
+export const getMasterKeys = () => {
+  if (!masterKeys) masterKeys = parseMasterKeys();
+  return masterKeys;
+};
+
+// The key new data keys are wrapped with, or null when encryption at rest is off
+export const currentMasterKey = () => getMasterKeys()[0] || null;
+
+export const masterKeyById = (id) => getMasterKeys().find((k) => k.id === id) || null;
@@ -0,0 +1,63 @@
+// Plan tiers. Every account is on one of these; `null` means no limit.
+// PLAN_TIERS (JSON) overrides or adds tiers, e.g. {"free":{"storageQuota":2147483648}}
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+const DAY_HOURS = 24;
+
+// Limits a custom tier from PLAN_TIERS does not set
+const NO_LIMITS = { storageQuota: null, maxFileSize: null, maxRetentionHours: null, maxActiveLinks: null };
+
+const DEFAULT_PLANS = {
+  free: {
+    label: 'Free',
+    storageQuota: 2 * GB,
+    maxFileSize: 500 * MB,
+    maxRetentionHours: 30 * DAY_HOURS,
+    maxActiveLinks: 50,
+  },
+  pro: {
+    label: 'Pro',
+    storageQuota: 100 * GB,
+    maxFileSize: 10 * GB,
+    maxRetentionHours: 365 * DAY_HOURS,
+    maxActiveLinks: 1000,
+  },
+  business: {
+    label: 'Business',
+    storageQuota: 1024 * GB,
+    maxFileSize: 50 * GB,
+    maxRetentionHours: null,
+    maxActiveLinks: null,
+  },
+};
+
+const parseOverrides = () => {
+  if (!process.env.PLAN_TIERS) return {};
+  try {
+    return JSON.parse(process.env.PLAN_TIERS);
+  } catch (err) {
+    console.error('Ignoring PLAN_TIERS, it is not valid JSON:', err.message);
+    return {};
+  }
+};
+
+// Resolved on first use rather than at import, so the .env file has been loaded
+let plans = null;
+export const getPlans = () => {
+  if (!plans) {
+    const overrides = parseOverrides();
+    const names = [...new Set([...Object.keys(DEFAULT_PLANS), ...Object.keys(overrides)])];
+    plans = Object.fromEntries(
+      names.map((name) => [name, { label: name, ...NO_LIMITS, ...DEFAULT_PLANS[name], ...overrides[name] }])
+    );
+  }
+  return plans;
+};
+
+export const defaultPlanName = () => (getPlans()[process.env.DEFAULT_PLAN] ? process.env.DEFAULT_PLAN : 'free');
+
+// Unknown or removed plan names fall back to the default tier
+export const planFor = (user) => {
+  const name = getPlans()[user?.plan] ? user.plan : defaultPlanName();
+  return { name, ...getPlans()[name] };
+};
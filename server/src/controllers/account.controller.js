@@ -0,0 +1,127 @@
+import { User } from "../models/user.models.js";
+import { Session } from "../models/session.models.js";
+import { sendMail } from "../config/mailer.js";
+import {
+  issueAccountToken,
+  consumeAccountToken,
+  clientLink,
+  VERIFY_EMAIL_TTL_MS,
+  RESET_PASSWORD_TTL_MS,
+} from "../utils/accountToken.utils.js";
+
+// ---------- Emails ----------
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user._id, 'verify_email', VERIFY_EMAIL_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Paste Box email address',
+    html: `
+      <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+        <h2>👋 Welcome to Paste Box, ${user.fullname}!</h2>
+        <p>Please confirm your email address to lift the upload limit on your account.</p>
+        <p><a href="${clientLink('/verify-email', token)}" target="_blank">Confirm my email</a></p>
+        <p style="color:#666;font-size:12px;">This link expires in 24 hours.</p>
+      </div>
+    `
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAccountToken(user._id, 'reset_password', RESET_PASSWORD_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Paste Box password',
+    html: `
+      <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+        <h2>🔑 Password reset</h2>
+        <p>Someone asked to reset the password for this account. If it was you, choose a new one:</p>
+        <p><a href="${clientLink('/reset-password', token)}" target="_blank">Reset my password</a></p>
+        <p style="color:#666;font-size:12px;">This link expires in 1 hour and works once. If you didn't ask for it, ignore this email.</p>
+      </div>
+    `
+  });
+};
+
+// ---------- Email verification ----------
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  try {
+    const userId = await consumeAccountToken(token, 'verify_email');
+    if (!userId) return res.status(400).json({ message: "This verification link is invalid or has expired." });
+
+    const user = await User.findByIdAndUpdate(userId, { isVerified: true }, { new: true });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    return res.status(200).json({ message: "Email verified successfully." });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    return res.status(500).json({ message: "Error verifying email" });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.isVerified) return res.status(400).json({ message: "Email is already verified." });
+
+    await sendVerificationEmail(user);
+    return res.status(200).json({ message: "Verification email sent." });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    return res.status(500).json({ message: "Error sending verification email" });
+  }
+};
+
+// ---------- Forgot / reset password ----------
+// Same answer whether or not the address has an account, so it can't be used to probe for users
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email || typeof email !== 'string') return res.status(400).json({ message: "Email is required." });
+
+  try {
+    const user = await User.findOne({ email });
+    // Not awaited, so neither the response time nor a mail failure tells whether the address has an account
+    if (user) sendPasswordResetEmail(user).catch((error) => console.error("Password reset email error:", error));
+    return res.status(200).json({ message: "If that email has an account, a reset link is on its way." });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    return res.status(500).json({ message: "Error sending reset email" });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  if (!password || password.length < 6) {
+    return res.status(400).json({ message: "Password must be at least 6 characters long." });
+  }
+
+  try {
+    const userId = await consumeAccountToken(token, 'reset_password');
+    if (!userId) return res.status(400).json({ message: "This reset link is invalid or has expired." });
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.password = password; // hashed by the pre-save hook
+    // Following the emailed link proves the address as well
+    user.isVerified = true;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    return res.status(200).json({ message: "Password updated. You can now log in." });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    return res.status(500).json({ message: "Error resetting password" });
+  }
+};
+
+export {
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+};
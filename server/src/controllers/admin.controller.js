@@ -0,0 +1,91 @@
+// src/controllers/admin.controller.js
+import { TypePolicy } from "../models/typePolicy.models.js";
+import { getPlans } from "../config/plans.js";
+import { SUPPORTED_EXTENSIONS, TYPE_CATEGORIES } from "../utils/fileType.utils.js";
+import { loadTypePolicy, unknownRuleEntries } from "../utils/typePolicy.utils.js";
+
+// ---------- Helpers ----------
+const serializeTypePolicy = (policy) => {
+  const { users, guests, plans, updatedBy, updatedAt } = policy.toObject({ flattenMaps: true });
+  return { users, guests, plans: plans || {}, updatedBy, updatedAt: updatedAt || null };
+};
+
+// Returns an error message for a malformed { allow, deny } object, or null
+const validateRules = (label, rules) => {
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) return `${label} must be an object with allow and deny lists`;
+  for (const list of ['allow', 'deny']) {
+    if (rules[list] === undefined) continue;
+    if (!Array.isArray(rules[list]) || rules[list].some(entry => typeof entry !== 'string'))
+      return `${label}.${list} must be a list of strings`;
+    const unknown = unknownRuleEntries(rules[list]);
+    if (unknown.length) return `${label}.${list} has unknown entries: ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+const validatePolicyUpdate = ({ users, guests, plans }) => {
+  if (users !== undefined) {
+    const error = validateRules('users', users);
+    if (error) return error;
+  }
+  if (guests !== undefined) {
+    const error = validateRules('guests', guests);
+    if (error) return error;
+  }
+  if (plans === undefined) return null;
+  if (typeof plans !== 'object' || plans === null || Array.isArray(plans)) return 'plans must be an object keyed by plan name';
+  const planNames = Object.keys(getPlans());
+  for (const [name, rules] of Object.entries(plans)) {
+    if (!planNames.includes(name)) return `Unknown plan: ${name}`;
+    const error = rules === null ? null : validateRules(`plans.${name}`, rules);
+    if (error) return error;
+  }
+  return null;
+};
+
+// ---------- File-type policy ----------
+const getTypePolicy = async (req, res) => {
+  try {
+    const policy = await loadTypePolicy();
+    return res.status(200).json({
+      policy: serializeTypePolicy(policy),
+      categories: TYPE_CATEGORIES,
+      extensions: SUPPORTED_EXTENSIONS,
+      plans: Object.keys(getPlans()),
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// Body: any of { users, guests, plans: { <plan>: rules | null } }, where rules is
+// { allow: [...], deny: [...] }. A plan set to null goes back to the user rules
+const updateTypePolicy = async (req, res) => {
+  const { users, guests, plans } = req.body;
+
+  const invalid = validatePolicyUpdate({ users, guests, plans });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const policy = await loadTypePolicy();
+    if (users !== undefined) policy.users = users;
+    if (guests !== undefined) policy.guests = guests;
+    for (const [name, rules] of Object.entries(plans || {})) {
+      if (rules === null) policy.plans.delete(name);
+      else policy.plans.set(name, rules);
+    }
+    policy.updatedBy = req.user.userId;
+    await policy.save();
+
+    return res.status(200).json({ message: 'File-type policy updated', policy: serializeTypePolicy(policy) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+export {
+  getTypePolicy,
+  updateTypePolicy,
+};
@@ -0,0 +1,128 @@
+// src/controllers/analytics.controller.js
+import mongoose from "mongoose";
+import { DownloadEvent } from "../models/downloadEvent.models.js";
+import { File } from "../models/file.models.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 365;
+
+// ---------- Helpers ----------
+// ?days=N (default 30) and an optional ?fileId= narrow every report.
+// Events are always limited to the caller's own files
+const reportRange = (req) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_DAYS);
+  const since = new Date(Date.now() - (days - 1) * DAY_MS);
+  since.setUTCHours(0, 0, 0, 0);
+  return { days, since };
+};
+
+const baseMatch = (req, since) => {
+  const match = { owner: new mongoose.Types.ObjectId(String(req.user.userId)), createdAt: { $gte: since } };
+  if (req.query.fileId) match.file = new mongoose.Types.ObjectId(String(req.query.fileId));
+  return match;
+};
+
+const rejectBadFileId = (req, res) => {
+  if (req.query.fileId && !mongoose.isValidObjectId(req.query.fileId)) {
+    res.status(400).json({ error: 'Invalid fileId' });
+    return true;
+  }
+  return false;
+};
+
+// { _id, count } rows => [{ [key]: _id, count }], with blanks folded into `fallback`
+const breakdown = async (req, res, field, fallback) => {
+  if (rejectBadFileId(req, res)) return;
+  const { since } = reportRange(req);
+  try {
+    const rows = await DownloadEvent.aggregate([
+      { $match: { ...baseMatch(req, since), outcome: 'success' } },
+      { $group: { _id: { $cond: [{ $eq: [`$${field}`, ''] }, fallback, `$${field}`] }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 20 },
+    ]);
+    return res.status(200).json(rows.map(r => ({ [field]: r._id, count: r.count })));
+  } catch (error) {
+    console.error(`Analytics ${field} error:`, error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// ---------- Per-day series ----------
+// One entry per UTC day, zero-filled, with a count per outcome
+const getDailyDownloads = async (req, res) => {
+  if (rejectBadFileId(req, res)) return;
+  const { days, since } = reportRange(req);
+  try {
+    const rows = await DownloadEvent.aggregate([
+      { $match: baseMatch(req, since) },
+      {
+        $group: {
+          _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, outcome: '$outcome' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const series = [];
+    const byDay = {};
+    for (let i = 0; i < days; i++) {
+      const date = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+      byDay[date] = { date, success: 0, wrong_password: 0, expired: 0, exhausted: 0 };
+      series.push(byDay[date]);
+    }
+    for (const row of rows) {
+      if (byDay[row._id.day]) byDay[row._id.day][row._id.outcome] = row.count;
+    }
+    return res.status(200).json(series);
+  } catch (error) {
+    console.error("Analytics daily error:", error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// ---------- Top files ----------
+const getTopFiles = async (req, res) => {
+  if (rejectBadFileId(req, res)) return;
+  const { since } = reportRange(req);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  try {
+    const rows = await DownloadEvent.aggregate([
+      { $match: { ...baseMatch(req, since), outcome: 'success' } },
+      { $group: { _id: '$file', downloads: { $sum: 1 }, visitors: { $addToSet: '$ipHash' }, lastDownloadAt: { $max: '$createdAt' } } },
+      { $sort: { downloads: -1 } },
+      { $limit: limit },
+    ]);
+
+    // Deleted files keep their history but lose their name
+    const files = await File.find({ _id: { $in: rows.map(r => r._id) } }).select('name shortUrl status');
+    const byId = new Map(files.map(f => [String(f._id), f]));
+    return res.status(200).json(rows.map(r => {
+      const file = byId.get(String(r._id));
+      return {
+        fileId: r._id,
+        name: file?.name || 'Deleted file',
+        shortUrl: file?.shortUrl || null,
+        status: file?.status || 'deleted',
+        downloads: r.downloads,
+        uniqueVisitors: r.visitors.length,
+        lastDownloadAt: r.lastDownloadAt,
+      };
+    }));
+  } catch (error) {
+    console.error("Analytics top files error:", error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// ---------- Breakdowns ----------
+const getCountryBreakdown = (req, res) => breakdown(req, res, 'country', 'Unknown');
+
+const getReferrerBreakdown = (req, res) => breakdown(req, res, 'referrer', 'Direct');
+
+export {
+  getDailyDownloads,
+  getTopFiles,
+  getCountryBreakdown,
+  getReferrerBreakdown,
+};
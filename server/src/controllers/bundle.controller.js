@@ -0,0 +1,216 @@
+// src/controllers/bundle.controller.js
+import { Bundle } from '../models/bundle.models.js';
+import { File } from '../models/file.models.js';
+import { User } from '../models/user.models.js';
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import shortid from "shortid";
+import {
+  fileDownloadUrl,
+  isTruthy,
+  resolveExpiresAt,
+  shareUrlFor,
+  hasRendition,
+  isFileAvailable,
+  hasDownloadLimit,
+} from "../utils/file.utils.js";
+import { hasDownloadAccess, signDownloadToken } from "../utils/token.utils.js";
+import { recordFailedPasswordAttempt } from "../middlewares/rateLimit.middlewares.js";
+import { splitZippable, streamFilesAsZip } from "../utils/zip.utils.js";
+import { recordDownloadEvent } from "../utils/downloadEvent.utils.js";
+
+// ---------- Helpers ----------
+// Bundle entries carry links only for files that could be downloaded on their own;
+// files with their own password point to their /f/ page instead
+const serializeBundleFile = async (file) => {
+  const entry = {
+    id: file._id,
+    name: file.name,
+    size: file.size,
+    type: file.type || 'file',
+    status: isFileAvailable(file) ? 'active' : 'unavailable',
+    isPasswordProtected: file.isPasswordProtected || false,
+    maxDownloads: file.maxDownloads ?? null,
+    sha256: file.sha256 || null,
+    encryption: file.encryption || null,
+    shortUrl: file.shortUrl,
+  };
+  if (entry.status === 'active' && !file.isPasswordProtected) {
+    entry.downloadUrl = await fileDownloadUrl(file);
+    // Limited files are download-only: no preview links that would skip the count
+    if (!hasDownloadLimit(file)) {
+      entry.streamUrl = shareUrlFor(file.shortUrl, 'stream');
+      entry.path = file.path;
+      entry.thumbnailUrl = file.thumbnailUrl || null;
+      entry.renditionUrl = hasRendition(file) ? shareUrlFor(file.shortUrl, 'rendition') : null;
+    }
+  }
+  return entry;
+};
+
+const serializeBundle = (bundle) => ({
+  id: bundle._id,
+  name: bundle.name,
+  fileCount: bundle.files.length,
+  isPasswordProtected: bundle.isPasswordProtected || false,
+  expiresAt: bundle.expiresAt || null,
+  status: bundle.status || 'active',
+  shortUrl: bundle.shortUrl,
+  downloadedContent: bundle.downloadedContent,
+  createdAt: bundle.createdAt,
+  updatedAt: bundle.updatedAt,
+});
+
+// ---------- Create ----------
+const createBundle = async (req, res) => {
+  const { name, fileIds, isPassword, password, hasExpiry, expiresAt } = req.body;
+
+  if (!Array.isArray(fileIds) || fileIds.length === 0)
+    return res.status(400).json({ error: 'Select at least one file' });
+  if (isTruthy(isPassword) && !password)
+    return res.status(400).json({ error: 'Password is required' });
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const uniqueIds = [...new Set(fileIds.map(String))];
+    const files = await File.find({ _id: { $in: uniqueIds }, createdBy: user._id });
+    if (files.length !== uniqueIds.length)
+      return res.status(400).json({ error: 'Some files were not found' });
+
+    const bundleObj = {
+      name: name?.trim() || `Bundle of ${files.length} files`,
+      files: files.map(f => f._id),
+      hasExpiry: isTruthy(hasExpiry),
+      expiresAt: resolveExpiresAt(hasExpiry, expiresAt),
+      status: 'active',
+      shortUrl: `/b/${shortid.generate()}`,
+      createdBy: user._id,
+    };
+
+    if (isTruthy(isPassword)) {
+      bundleObj.password = await bcrypt.hash(password, 10);
+      bundleObj.isPasswordProtected = true;
+    }
+
+    const bundle = await new Bundle(bundleObj).save();
+    return res.status(201).json({ message: 'Bundle created successfully', bundle: serializeBundle(bundle) });
+  } catch (error) {
+    console.error("Create bundle error:", error);
+    return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+// ---------- Landing page info ----------
+const bundleInfo = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const bundle = await Bundle.findOne({ shortUrl: `/b/${shortCode}` });
+    if (!bundle) return res.status(404).json({ error: 'Bundle not found' });
+    if (bundle.status !== 'active') return res.status(403).json({ error: 'This bundle is not available' });
+    if (bundle.expiresAt && new Date(bundle.expiresAt) < new Date()) {
+      bundle.status = 'expired';
+      await bundle.save();
+      return res.status(410).json({ error: 'This bundle has expired' });
+    }
+
+    const user = await User.findById(bundle.createdBy);
+    const info = { ...serializeBundle(bundle), uploadedBy: user?.fullname || 'Unknown' };
+
+    // The file list stays hidden until the bundle password has been verified
+    if (!hasDownloadAccess(req, bundle)) return res.status(200).json(info);
+
+    const files = await File.find({ _id: { $in: bundle.files } });
+    // Opening the page isn't a download: the ZIP route counts the bundle's downloads
+    info.files = await Promise.all(files.map(serializeBundleFile));
+
+    return res.status(200).json(info);
+  } catch (error) {
+    console.error("Bundle info error:", error);
+    return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+const verifyBundlePassword = async (req, res) => {
+  const { shortCode, password } = req.body;
+  try {
+    const bundle = await Bundle.findOne({ shortUrl: `/b/${shortCode}` });
+    if (!bundle || !bundle.isPasswordProtected) return res.status(400).json({ success: false, error: 'Bundle not protected or not found' });
+    const isMatch = await bcrypt.compare(password || '', bundle.password);
+    if (!isMatch) {
+      recordFailedPasswordAttempt(req);
+      return res.status(401).json({ success: false, error: 'Incorrect password' });
+    }
+    return res.status(200).json({ success: true, message: 'Password verified', token: signDownloadToken(bundle.shortUrl) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ success: false, error: 'Server error' });
+  }
+};
+
+// ---------- Whole bundle as ZIP ----------
+const downloadBundleZip = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const bundle = await Bundle.findOne({ shortUrl: `/b/${shortCode}` });
+    if (!bundle) return res.status(404).json({ error: 'Bundle not found' });
+    if (bundle.status !== 'active') return res.status(403).json({ error: 'This bundle is not available' });
+    if (bundle.expiresAt && new Date(bundle.expiresAt) < new Date()) {
+      bundle.status = 'expired';
+      await bundle.save();
+      return res.status(410).json({ error: 'This bundle has expired' });
+    }
+    if (!hasDownloadAccess(req, bundle)) return res.status(401).json({ error: 'Password required' });
+
+    const files = await File.find({ _id: { $in: bundle.files } });
+    const { included, skipped } = splitZippable(files);
+    if (!included.length) return res.status(404).json({ error: 'No downloadable files in this bundle' });
+
+    bundle.downloadedContent = (bundle.downloadedContent || 0) + 1;
+    await bundle.save();
+    // Each file in the ZIP counts as a download in its owner's analytics, under the bundle's code
+    included.forEach(file => recordDownloadEvent(req, file, 'success', bundle));
+
+    await streamFilesAsZip(req, res, included, `${bundle.name}.zip`, skipped);
+  } catch (error) {
+    console.error("Bundle zip error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+// ---------- Owner management ----------
+const getUserBundles = async (req, res) => {
+  const { userId } = req.params;
+  try {
+    const bundles = await Bundle.find({ createdBy: userId }).sort({ createdAt: -1 });
+    return res.status(200).json(bundles.map(serializeBundle));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// Removes the share link only; the files themselves stay in place
+const deleteBundle = async (req, res) => {
+  const { bundleId } = req.params;
+  if (!mongoose.isValidObjectId(bundleId)) return res.status(404).json({ error: 'Bundle not found' });
+  try {
+    // Someone else's bundle looks the same as a missing one
+    const bundle = await Bundle.findOneAndDelete({ _id: bundleId, createdBy: req.user.userId });
+    if (!bundle) return res.status(404).json({ error: 'Bundle not found' });
+    return res.status(200).json({ message: 'Bundle deleted successfully' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+export {
+  createBundle,
+  bundleInfo,
+  verifyBundlePassword,
+  downloadBundleZip,
+  getUserBundles,
+  deleteBundle,
+};
@@ -0,0 +1,422 @@
+// src/controllers/download.controller.js
+import mongoose from "mongoose";
+import path from "path";
+import { File } from '../models/file.models.js';
+import { GuestFile } from '../models/guestFile.models.js';
+import { ShareLink } from '../models/shareLink.models.js';
+import { User } from '../models/user.models.js';
+import storage from "../storage/index.js";
+import { pipeline } from "stream";
+import { contentDisposition, hasDownloadLimit, objectKeyFor, presignedDownloadUrl } from "../utils/file.utils.js";
+import { consumeDownload, EXHAUSTED_MESSAGE, purgeIfExhausted } from "../utils/downloadLimit.utils.js";
+import { hasDownloadAccess, readZipToken, signZipToken } from "../utils/token.utils.js";
+import { splitZippable, streamFilesAsZip } from "../utils/zip.utils.js";
+import { recordDownloadEvent } from "../utils/downloadEvent.utils.js";
+import { scanBlock } from "../utils/scan.utils.js";
+import { isTextMime, storedContentType } from "../utils/fileType.utils.js";
+import { openFileStream } from "../utils/storedObject.utils.js";
+import { openThumbnail, THUMBNAIL_CONTENT_TYPE } from "../utils/thumbnail.utils.js";
+import { openRendition } from "../utils/rendition.utils.js";
+import { findShareTarget } from "../utils/shortCode.utils.js";
+import { LINK_EXHAUSTED_MESSAGE, linkBlock } from "../utils/shareLink.utils.js";
+
+// ---------- Helpers ----------
+
+// Parses a single "bytes=" range against the object size.
+// Returns null for no/ignored range, or { start, end } / { unsatisfiable: true }
+const parseRange = (header, size) => {
+  if (!header || !header.startsWith('bytes=')) return null;
+  const spec = header.slice(6).trim();
+  if (spec.includes(',')) return null; // multi-range: serve the whole object
+
+  const [rawStart, rawEnd] = spec.split('-');
+  let start;
+  let end;
+  if (rawStart === '') {
+    // suffix range: last N bytes
+    const suffix = Number(rawEnd);
+    if (!Number.isInteger(suffix) || suffix <= 0) return { unsatisfiable: true };
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(rawStart);
+    end = rawEnd === '' ? size - 1 : Math.min(Number(rawEnd), size - 1);
+  }
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start > end || start >= size)
+    return { unsatisfiable: true };
+  return { start, end };
+};
+
+const etagMatches = (header, etag) =>
+  !!header && header.split(',').some(tag => {
+    const t = tag.trim();
+    return t === '*' || t === etag || t === `W/${etag}`;
+  });
+
+// Same checks downloadInfo applies before handing out a link. Through a share
+// link, the link's own state and password are checked instead of the file's
+const ensureAvailable = async (req, res, file, link = null) => {
+  if (!file) {
+    res.status(404).json({ error: 'File not found' });
+    return false;
+  }
+  if (file.status === 'exhausted') {
+    recordDownloadEvent(req, file, 'exhausted');
+    res.status(410).json({ error: EXHAUSTED_MESSAGE });
+    return false;
+  }
+  const scanState = scanBlock(file);
+  if (scanState) {
+    res.status(scanState.code).json(scanState.body);
+    return false;
+  }
+  if (file.status === 'expired' || (file.expiresAt && new Date(file.expiresAt) < new Date())) {
+    if (file.status !== 'expired') {
+      file.status = 'expired';
+      await file.save();
+    }
+    recordDownloadEvent(req, file, 'expired');
+    res.status(410).json({ error: 'This file has expired' });
+    return false;
+  }
+  if (file.status !== 'active') {
+    res.status(403).json({ error: 'This file is not available for download' });
+    return false;
+  }
+  const linkState = linkBlock(link);
+  if (linkState) {
+    if (linkState.outcome) recordDownloadEvent(req, file, linkState.outcome, link);
+    res.status(linkState.code).json(linkState.body);
+    return false;
+  }
+  if (!hasDownloadAccess(req, link || file)) {
+    res.status(401).json({ error: 'Password required' });
+    return false;
+  }
+  return true;
+};
+
+// Counts one download, the only place downloads are counted: the file's (or share
+// link's) downloadedContent, claiming one of its downloads when it has a limit, the
+// success event and the owner's total. Resolves to the updated record, or null
+// (after answering 410) once the limit is used up
+const countDownload = async (req, res, Model, file, link) => {
+  const claimed = link ? await consumeDownload(ShareLink, link) : await consumeDownload(Model, file);
+  if (!claimed) {
+    recordDownloadEvent(req, file, 'exhausted', link);
+    res.status(410).json({ error: link ? LINK_EXHAUSTED_MESSAGE : EXHAUSTED_MESSAGE });
+    return null;
+  }
+  recordDownloadEvent(req, file, 'success', link);
+  if (Model === File) {
+    User.updateOne({ _id: file.createdBy }, { $inc: { totalDownloads: 1 } })
+      .catch(err => console.error("Download total error:", err));
+  }
+  return claimed;
+};
+
+// Streams the object through Express with Range and ETag support.
+// Files with a download limit are only sent whole, as an explicit download, and
+// each response uses up one of their downloads. `contentType` overrides the
+// stored type, for the raw text route; through a share `link` its limit applies.
+// Explicit downloads of unlimited files are counted and then, where the driver can
+// presign, redirected to the bucket so the bytes don't pass through the API.
+// End-to-end encrypted files are fetched by the download page to be decrypted, so
+// they stay on the API rather than needing CORS on the bucket
+const streamFile = async (req, res, Model, file, { contentType = null, link = null } = {}) => {
+  const key = objectKeyFor(file);
+  const limited = hasDownloadLimit(link || file);
+  if (limited && !req.query.download) {
+    return res.status(403).json({ error: 'Preview is not available for files with a download limit' });
+  }
+
+  const handOff = !limited && !contentType && !file.encryption && !req.headers.range && req.method !== 'HEAD';
+  if (req.query.download && handOff) {
+    const presigned = await presignedDownloadUrl(file);
+    if (presigned) {
+      if (await countDownload(req, res, Model, file, link)) res.redirect(302, presigned);
+      return;
+    }
+  }
+
+  const head = await storage.head(key);
+  if (!head) return res.status(404).json({ error: 'File content is missing from storage' });
+  const { size, etag } = head;
+
+  res.set({
+    'Accept-Ranges': limited ? 'none' : 'bytes',
+    'Cache-Control': limited ? 'private, no-store' : 'private, no-cache',
+    // Ciphertext is served as opaque bytes so the browser never tries to render it
+    'Content-Type': contentType || storedContentType(file.type, file.encryption) || head.contentType || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(req.query.download ? 'attachment' : 'inline', file.name),
+  });
+  if (etag && !limited) res.set('ETag', etag);
+  // Lets downloaders verify what they received (RFC 9530)
+  if (file.sha256) res.set('Repr-Digest', `sha-256=:${Buffer.from(file.sha256, 'hex').toString('base64')}:`);
+  if (head.lastModified) res.set('Last-Modified', head.lastModified.toUTCString());
+
+  if (!limited && etag && etagMatches(req.headers['if-none-match'], etag)) return res.status(304).end();
+
+  // If-Range with a stale validator means "send me the whole thing"
+  const ifRange = req.headers['if-range'];
+  const range = !limited && (!ifRange || ifRange === etag) ? parseRange(req.headers.range, size) : null;
+  if (range?.unsatisfiable) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+  res.set('Content-Length', String(size === 0 ? 0 : end - start + 1));
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+  } else {
+    res.status(200);
+  }
+
+  if (req.method === 'HEAD') return res.end();
+
+  // Opened before counting, so a storage error doesn't cost a limited file a download
+  const body = size === 0 ? null : await openFileStream(file, range ? { start, end } : {});
+
+  // Count a download once, when an explicit download starts from the first byte.
+  // Share links use up their own downloads; the file's are left alone
+  let counted = file;
+  if (req.query.download && start === 0) {
+    const claimed = await countDownload(req, res, Model, file, link);
+    if (!claimed) {
+      body?.destroy();
+      return;
+    }
+    if (!link) counted = claimed;
+  }
+
+  if (!body) {
+    res.end();
+    return purgeIfExhausted(Model, counted);
+  }
+
+  pipeline(body, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error("Stream error:", err);
+    // The last allowed download is spent even if it was cut short
+    purgeIfExhausted(Model, counted);
+  });
+};
+
+// ---------- Stream (user short link) ----------
+const streamDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const { file, link } = await findShareTarget(shortCode);
+    if (!(await ensureAvailable(req, res, file, link))) return;
+    await streamFile(req, res, File, file, { link });
+  } catch (error) {
+    console.error("Stream download error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+// ---------- Stream (guest short link) ----------
+const guestStreamDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const file = await GuestFile.findOne({ shortUrl: `/g/${shortCode}` });
+    if (!(await ensureAvailable(req, res, file))) return;
+    await streamFile(req, res, GuestFile, file);
+  } catch (error) {
+    console.error("Guest stream download error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+// ---------- Raw text (user and guest short links) ----------
+// Pastes and other text files as plain text, whatever their language, so the
+// browser shows them as they are instead of rendering or downloading them
+const sendRaw = async (req, res, Model, file, link = null) => {
+  if (file.encryption || !isTextMime(file.type))
+    return res.status(415).json({ error: 'Only text files have a raw view' });
+  res.set('X-Content-Type-Options', 'nosniff');
+  await streamFile(req, res, Model, file, { contentType: 'text/plain; charset=utf-8', link });
+};
+
+const rawDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const { file, link } = await findShareTarget(shortCode);
+    if (!(await ensureAvailable(req, res, file, link))) return;
+    await sendRaw(req, res, File, file, link);
+  } catch (error) {
+    console.error("Raw download error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+const guestRawDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const file = await GuestFile.findOne({ shortUrl: `/g/${shortCode}` });
+    if (!(await ensureAvailable(req, res, file))) return;
+    await sendRaw(req, res, GuestFile, file);
+  } catch (error) {
+    console.error("Guest raw download error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+// ---------- Thumbnails ----------
+// A thumbnail is a preview: it needs what the stream route needs, and files with
+// a download limit have none
+const sendThumbnail = async (req, res, file, link = null) => {
+  if (hasDownloadLimit(link || file))
+    return res.status(403).json({ error: 'Preview is not available for files with a download limit' });
+  const thumbnail = await openThumbnail(file);
+  if (!thumbnail) return res.status(404).json({ error: 'This file has no thumbnail' });
+
+  res.status(200).set({
+    'Content-Type': THUMBNAIL_CONTENT_TYPE,
+    'Content-Length': thumbnail.size,
+    'Cache-Control': 'private, max-age=3600',
+  });
+  if (req.method === 'HEAD') {
+    thumbnail.body.destroy();
+    return res.end();
+  }
+  pipeline(thumbnail.body, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error("Thumbnail stream error:", err);
+  });
+};
+
+const thumbnailDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const { file, link } = await findShareTarget(shortCode);
+    if (!(await ensureAvailable(req, res, file, link))) return;
+    await sendThumbnail(req, res, file, link);
+  } catch (error) {
+    console.error("Thumbnail error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+const guestThumbnailDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const file = await GuestFile.findOne({ shortUrl: `/g/${shortCode}` });
+    if (!(await ensureAvailable(req, res, file))) return;
+    await sendThumbnail(req, res, file);
+  } catch (error) {
+    console.error("Guest thumbnail error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+// ---------- Document renditions ----------
+// Office documents are previewed as a PDF or HTML rendition, converted on the
+// first request. HTML comes from an uploaded file, so it is sandboxed: no scripts,
+// and nothing loaded from anywhere
+const sendRendition = async (req, res, file, link = null) => {
+  if (hasDownloadLimit(link || file))
+    return res.status(403).json({ error: 'Preview is not available for files with a download limit' });
+  const rendition = await openRendition(file);
+  if (rendition.error) return res.status(rendition.code).json({ error: rendition.error });
+
+  res.status(200).set({
+    'Content-Type': rendition.contentType,
+    'Content-Length': rendition.size,
+    'Cache-Control': 'private, max-age=3600',
+    'Content-Disposition': contentDisposition('inline', `${path.parse(file.name).name}.${rendition.contentType === 'application/pdf' ? 'pdf' : 'html'}`),
+    'X-Content-Type-Options': 'nosniff',
+  });
+  if (rendition.contentType.startsWith('text/html'))
+    res.set('Content-Security-Policy', "sandbox; default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+  if (req.method === 'HEAD') {
+    rendition.body.destroy();
+    return res.end();
+  }
+  pipeline(rendition.body, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error("Rendition stream error:", err);
+  });
+};
+
+const renditionDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const { file, link } = await findShareTarget(shortCode);
+    if (!(await ensureAvailable(req, res, file, link))) return;
+    await sendRendition(req, res, file, link);
+  } catch (error) {
+    console.error("Rendition error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+const guestRenditionDownload = async (req, res) => {
+  const { shortCode } = req.params;
+  try {
+    const file = await GuestFile.findOne({ shortUrl: `/g/${shortCode}` });
+    if (!(await ensureAvailable(req, res, file))) return;
+    await sendRendition(req, res, file);
+  } catch (error) {
+    console.error("Guest rendition error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+    res.destroy(error);
+  }
+};
+
+// ---------- Owner's selection as ZIP ----------
+// Step 1 (authenticated): check the selection and hand back a short-lived token
+const createSelectionZipToken = async (req, res) => {
+  const { fileIds } = req.body;
+  const ids = [...new Set((Array.isArray(fileIds) ? fileIds : []).map(String))];
+  if (!ids.length) return res.status(400).json({ error: 'Select at least one file' });
+  if (!ids.every(id => mongoose.isValidObjectId(id))) return res.status(404).json({ error: 'Some files were not found' });
+
+  try {
+    const count = await File.countDocuments({ _id: { $in: ids }, createdBy: req.user.userId });
+    if (count !== ids.length) return res.status(404).json({ error: 'Some files were not found' });
+    return res.status(200).json({ token: signZipToken(req.user.userId, ids) });
+  } catch (error) {
+    console.error("Selection zip token error:", error);
+    return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+// Step 2: GET so the browser can hand the response straight to its download manager
+const downloadSelectionZip = async (req, res) => {
+  const grant = readZipToken(req.query.token);
+  if (!grant) return res.status(401).json({ error: 'Download link is invalid or has expired' });
+
+  try {
+    const files = await File.find({ _id: { $in: grant.fileIds }, createdBy: grant.userId });
+    if (!files.length) return res.status(404).json({ error: 'No files found' });
+
+    const { included, skipped } = splitZippable(files);
+    if (!included.length) return res.status(404).json({ error: 'None of the selected files can be downloaded' });
+
+    await streamFilesAsZip(req, res, included, 'pastebox-files.zip', skipped);
+  } catch (error) {
+    console.error("Selection zip error:", error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+export {
+  streamDownload,
+  guestStreamDownload,
+  rawDownload,
+  guestRawDownload,
+  thumbnailDownload,
+  guestThumbnailDownload,
+  renditionDownload,
+  guestRenditionDownload,
+  createSelectionZipToken,
+  downloadSelectionZip,
+};
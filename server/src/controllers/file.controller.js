@@ -1,36 +1,51 @@
 // src/controllers/file.controller.js
 import { File } from '../models/file.models.js';
 import { GuestFile } from '../models/guestFile.models.js';
-import minioClient from "../config/s3.js"; // S3Client configured with endpoint -> MinIO
+import { ShareLink } from '../models/shareLink.models.js';
 import bcrypt from "bcryptjs";
-import nodemailer from "nodemailer";
+import { sendMail } from "../config/mailer.js";
 import shortid from "shortid";
 import QRCode from "qrcode";
 import { User } from '../models/user.models.js';
-import path from "path";
 import {
-  PutObjectCommand,
-  GetObjectCommand,
-  DeleteObjectCommand,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-
-// ---------- Helpers ----------
-const buildKey = (fileName) => `file-share-app/${fileName}`;
-
-const publicObjectUrl = (bucket, key) => {
-  // For MinIO setup where S3 endpoint is like http://localhost:9000
-  const endpoint = (process.env.S3_ENDPOINT || "").replace(/\/$/, "");
-  return `${endpoint}/${bucket}/${key}`;
-};
-
-const signedDownloadUrl = async (bucket, key, fileName, expiresInSec = 24 * 60 * 60) => {
-  const command = new GetObjectCommand({
-    Bucket: bucket,
-    Key: key,
-    ResponseContentDisposition: `attachment; filename="${fileName}"`,
-  });
-  return await getSignedUrl(minioClient, command, { expiresIn: expiresInSec });
+  storedObjectPath,
+  fileDownloadUrl,
+  buildStoredFileName,
+  isTruthy,
+  resolveExpiresAt,
+  bumpUploadStats,
+  serializeGuestFile,
+  serializeOwnFile,
+  shareUrlFor,
+  hasRendition,
+  hasDownloadLimit,
+} from "../utils/file.utils.js";
+import { downloadLimitInfo, EXHAUSTED_MESSAGE, resolveMaxDownloads } from "../utils/downloadLimit.utils.js";
+import { PURGED_MESSAGE } from "../utils/purge.utils.js";
+import { adjustStorageUsed, checkActiveLinks, checkRetention, checkUploadLimits } from "../utils/quota.utils.js";
+import { releaseObject, storeBuffer } from "../utils/storedObject.utils.js";
+import { hasDownloadAccess, readDownloadToken, signDownloadToken } from "../utils/token.utils.js";
+import { recordFailedPasswordAttempt } from "../middlewares/rateLimit.middlewares.js";
+import { recordDownloadEvent } from "../utils/downloadEvent.utils.js";
+import { checkFileContent } from "../utils/typePolicy.utils.js";
+import { isTextMime, validateEncryption, storedContentType } from "../utils/fileType.utils.js";
+import { initialFileStatus, scanBlock } from "../utils/scan.utils.js";
+import { requestMalwareScan } from "../jobs/malwareScan.job.js";
+import { requestThumbnails } from "../jobs/thumbnail.job.js";
+import { initialThumbnail } from "../utils/thumbnail.utils.js";
+import { MAX_ALIASES, changeShortUrl, codeTakenMessage, findFileByCode, findShareTarget, isCodeConflict, redirectFor, saveWithFreeCode, shortUrlForCode, slugError } from "../utils/shortCode.utils.js";
+import { linkBlock, linkExpiresAt } from "../utils/shareLink.utils.js";
+
+// Checks every file of a multipart upload against the type policy before any is
+// stored. Resolves to { formats } (one per file, in order) or { error }
+const identifyUploads = async (user, files, encryption) => {
+  const formats = [];
+  for (const file of files) {
+    const { format, error } = await checkFileContent(user, file.originalname, file.buffer, { encryption });
+    if (error) return { error };
+    formats.push(format);
+  }
+  return { formats };
 };
 
 // ---------- Upload (logged-in user) ----------
@@ -38,69 +53,83 @@ const uploadFiles = async (req, res) => {
   if (!req.files || req.files.length === 0)
     return res.status(400).json({ error: 'No files uploaded' });
 
-  const { isPassword, password, hasExpiry, expiresAt, userId } = req.body;
+  const { isPassword, password, hasExpiry, expiresAt, maxDownloads, burnAfterReading } = req.body;
+  const encryption = req.body.encryption || null;
+  const encryptionError = validateEncryption(encryption);
+  if (encryptionError) return res.status(400).json({ error: encryptionError });
+  // A custom link names one file, so it can't be given to a batch
+  const slug = req.body.slug || null;
+  if (slug && req.files.length > 1)
+    return res.status(400).json({ error: 'A custom link can only be set when uploading a single file' });
+  const { userId } = req.user;
 
   try {
+    const slugInvalid = slug && await slugError(slug);
+    if (slugInvalid) return res.status(400).json({ error: slugInvalid });
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const overLimit = await checkUploadLimits(user, {
+      sizes: req.files.map(f => f.size),
+      hasExpiry: isTruthy(hasExpiry),
+      expiresInHours: expiresAt,
+    });
+    if (overLimit) return res.status(403).json({ error: overLimit });
+    const { formats, error: typeError } = await identifyUploads(user, req.files, encryption);
+    if (typeError) return res.status(415).json({ error: typeError });
 
     const savedFiles = [];
 
-    for (const file of req.files) {
+    for (const [index, file] of req.files.entries()) {
       // assume multer.memoryStorage => file.buffer exists
-      const originalClean = file.originalname.replace(/\s+/g, '_');
-      const uniqueSuffix = shortid.generate();
-      const ext = path.extname(originalClean) || '';
-      const finalFileName = `${originalClean}_${uniqueSuffix}${ext}`;
-      const key = buildKey(finalFileName);
-
-      // Upload using AWS SDK v3 command (works against MinIO S3 endpoint)
-      const putParams = {
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: key,
-        Body: file.buffer,
-        ContentType: file.mimetype,
-      };
-      await minioClient.send(new PutObjectCommand(putParams));
+      // The type comes from the content, not from what the browser claimed
+      const { mime } = formats[index];
+      const finalFileName = buildStoredFileName(file.originalname);
+      const { sha256, storageKey } = await storeBuffer(file.buffer, { contentType: storedContentType(mime, encryption) });
 
-      const fileUrl = publicObjectUrl(process.env.AWS_BUCKET_NAME, key);
-      const shortCode = shortid.generate();
+      const shortCode = slug || shortid.generate();
+      const fileUrl = storedObjectPath(storageKey, `/f/${shortCode}`);
 
       const fileObj = {
         path: fileUrl,
         name: finalFileName,
-        type: file.mimetype,
+        type: mime,
         size: file.size,
-        hasExpiry: hasExpiry === 'true',
-        expiresAt:
-          hasExpiry === 'true'
-            ? new Date(Date.now() + Number(expiresAt) * 3600000)
-            : new Date(Date.now() + 10 * 24 * 3600000),
-        status: 'active',
+        sha256,
+        storageKey,
+        hasExpiry: isTruthy(hasExpiry),
+        expiresAt: resolveExpiresAt(hasExpiry, expiresAt),
+        maxDownloads: resolveMaxDownloads(burnAfterReading, maxDownloads),
+        burnAfterReading: isTruthy(burnAfterReading),
+        kind: file.paste ? 'paste' : 'file',
+        language: file.paste?.language || null,
+        encryption,
+        status: initialFileStatus(encryption),
+        thumbnail: initialThumbnail(mime, encryption),
         shortUrl: `/f/${shortCode}`,
         createdBy: userId,
       };
 
-      if (isPassword === 'true') {
+      if (isTruthy(isPassword)) {
         fileObj.password = await bcrypt.hash(password, 10);
         fileObj.isPasswordProtected = true;
       }
 
-      const savedFile = await new File(fileObj).save();
+      const savedFile = await saveWithFreeCode(new File(fileObj));
       savedFiles.push(savedFile);
+      await adjustStorageUsed(userId, file.size);
 
       // Update user stats (safe increments)
-      user.totalUploads = (user.totalUploads || 0) + 1;
-      if (file.mimetype.startsWith('image/')) user.imageCount = (user.imageCount || 0) + 1;
-      else if (file.mimetype.startsWith('video/')) user.videoCount = (user.videoCount || 0) + 1;
-      else if (file.mimetype.startsWith('application/')) user.documentCount = (user.documentCount || 0) + 1;
+      bumpUploadStats(user, mime);
     }
 
     await user.save();
+    requestMalwareScan();
+    requestThumbnails();
 
     return res.status(201).json({
       message: "Files uploaded successfully",
       fileIds: savedFiles.map(f => f._id),
+      files: savedFiles.map(serializeOwnFile),
     });
   } catch (error) {
     console.error("Upload error:", error);
@@ -113,46 +142,47 @@ const uploadFilesGuest = async (req, res) => {
   if (!req.files || req.files.length === 0)
     return res.status(400).json({ error: 'No files uploaded' });
 
-  const { isPassword, password, hasExpiry, expiresAt } = req.body;
+  const { isPassword, password, hasExpiry, expiresAt, maxDownloads, burnAfterReading } = req.body;
+  const encryption = req.body.encryption || null;
+  const encryptionError = validateEncryption(encryption);
+  if (encryptionError) return res.status(400).json({ error: encryptionError });
 
   try {
+    const { formats, error: typeError } = await identifyUploads(null, req.files, encryption);
+    if (typeError) return res.status(415).json({ error: typeError });
+
     const savedFiles = [];
 
-    for (const file of req.files) {
-      const originalClean = file.originalname.replace(/\s+/g, '_');
-      const uniqueSuffix = shortid.generate();
-      const ext = path.extname(originalClean) || '';
-      const finalFileName = `${originalClean}_${uniqueSuffix}${ext}`;
-      const key = buildKey(finalFileName);
-
-      const putParams = {
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: key,
-        Body: file.buffer,
-        ContentType: file.mimetype,
-      };
-      await minioClient.send(new PutObjectCommand(putParams));
+    for (const [index, file] of req.files.entries()) {
+      const { mime } = formats[index];
+      const finalFileName = buildStoredFileName(file.originalname);
+      const { sha256, storageKey } = await storeBuffer(file.buffer, { contentType: storedContentType(mime, encryption) });
 
-      const fileUrl = publicObjectUrl(process.env.AWS_BUCKET_NAME, key);
       const shortCode = shortid.generate();
+      const fileUrl = storedObjectPath(storageKey, `/g/${shortCode}`);
       const username = shortid.generate();
 
       const fileObj = {
         path: fileUrl,
         name: finalFileName,
-        type: file.mimetype,
+        type: mime,
         size: file.size,
-        hasExpiry: hasExpiry === 'true',
-        expiresAt:
-          hasExpiry === 'true'
-            ? new Date(Date.now() + Number(expiresAt) * 3600000)
-            : new Date(Date.now() + 10 * 24 * 3600000),
-        status: 'active',
+        sha256,
+        storageKey,
+        hasExpiry: isTruthy(hasExpiry),
+        expiresAt: resolveExpiresAt(hasExpiry, expiresAt),
+        maxDownloads: resolveMaxDownloads(burnAfterReading, maxDownloads),
+        burnAfterReading: isTruthy(burnAfterReading),
+        kind: file.paste ? 'paste' : 'file',
+        language: file.paste?.language || null,
+        encryption,
+        status: initialFileStatus(encryption),
+        thumbnail: initialThumbnail(mime, encryption),
         shortUrl: `/g/${shortCode}`,
         createdBy: `guest_${username}`,
       };
 
-      if (isPassword === 'true') {
+      if (isTruthy(isPassword)) {
         fileObj.password = await bcrypt.hash(password, 10);
         fileObj.isPasswordProtected = true;
       }
@@ -160,23 +190,12 @@ const uploadFilesGuest = async (req, res) => {
       const savedFile = await new GuestFile(fileObj).save();
       savedFiles.push(savedFile);
     }
+    requestMalwareScan();
+    requestThumbnails();
 
     return res.status(201).json({
       message: "Files uploaded successfully",
-      files: savedFiles.map(f => ({
-        id: f._id,
-        name: f.name,
-        size: f.size,
-        type: f.type,
-        path: f.path,
-        isPasswordProtected: f.isPasswordProtected,
-        expiresAt: f.expiresAt,
-        downloadedContent: f.downloadedContent,
-        status: f.status,
-        shortUrl: f.shortUrl,
-        createdAt: f.createdAt,
-        updatedAt: f.updatedAt
-      }))
+      files: savedFiles.map(serializeGuestFile)
     });
   } catch (error) {
     console.error("Upload error:", error);
@@ -188,39 +207,75 @@ const uploadFilesGuest = async (req, res) => {
 const downloadInfo = async (req, res) => {
   const { shortCode } = req.params;
   try {
-    const file = await File.findOne({ shortUrl: `/f/${shortCode}` });
+    const { file, link } = await findShareTarget(shortCode);
     if (!file) return res.status(404).json({ error: 'File not found' });
-    if (file.status !== 'active') return res.status(403).json({ error: 'This file is not available for download' });
-    if (file.expiresAt && new Date(file.expiresAt) < new Date()) {
-      file.status = 'expired';
-      await file.save();
+    if (file.status === 'exhausted') {
+      recordDownloadEvent(req, file, 'exhausted', link);
+      return res.status(410).json({ error: EXHAUSTED_MESSAGE });
+    }
+    // Files waiting for (or failing) the malware scan still show their details and
+    // state, but hand out no links until the scanner has cleared them
+    const scanState = scanBlock(file);
+    if (!scanState && (file.status === 'expired' || (file.expiresAt && new Date(file.expiresAt) < new Date()))) {
+      if (file.status !== 'expired') {
+        file.status = 'expired';
+        await file.save();
+      }
+      recordDownloadEvent(req, file, 'expired', link);
       return res.status(410).json({ error: 'This file has expired' });
     }
+    if (!scanState && file.status !== 'active') return res.status(403).json({ error: 'This file is not available for download' });
+    const linkState = linkBlock(link);
+    if (linkState) {
+      if (linkState.outcome) recordDownloadEvent(req, file, linkState.outcome, link);
+      return res.status(linkState.code).json(linkState.body);
+    }
 
-    const key = buildKey(file.name);
-    const downloadUrl = await signedDownloadUrl(process.env.AWS_BUCKET_NAME, key, file.name, 24 * 60 * 60);
-
-    file.downloadedContent = (file.downloadedContent || 0) + 1;
-    await file.save();
+    // A share link's password, limit and code stand in for the file's own.
+    // Protected files only reveal their links once a download token is presented.
+    // Limited files get no preview links. Opening the page counts nothing: downloads
+    // are counted by the stream route as they start
+    const rules = link || file;
+    const unlocked = !scanState && hasDownloadAccess(req, rules);
+    const links = {};
+    if (unlocked) {
+      const token = rules.isPasswordProtected ? readDownloadToken(req) : null;
+      links.downloadUrl = await fileDownloadUrl(file, { token, link });
+      if (!hasDownloadLimit(rules)) {
+        links.streamUrl = shareUrlFor(rules.shortUrl, 'stream', token);
+        // The stored path may be the file's own stream route, which checks the file's password
+        links.path = link ? links.streamUrl : file.path;
+        if (file.thumbnailUrl) links.thumbnailUrl = shareUrlFor(rules.shortUrl, 'thumbnail', token);
+        if (hasRendition(file, link)) links.renditionUrl = shareUrlFor(rules.shortUrl, 'rendition', token);
+        if (isTextMime(file.type) && !file.encryption) links.rawUrl = shareUrlFor(rules.shortUrl, 'raw', token);
+      }
+    }
+    if (link && unlocked) {
+      link.lastAccessedAt = new Date();
+      await link.save();
+    }
 
     const user = await User.findById(file.createdBy);
-    if (user) {
-      user.totalDownloads = (user.totalDownloads || 0) + 1;
-      await user.save();
-    }
 
     return res.status(200).json({
-      downloadUrl,
+      ...links,
       id: file._id,
       name: file.name,
       size: file.size,
       type: file.type || 'file',
-      path: file.path,
-      isPasswordProtected: file.isPasswordProtected || false,
-      expiresAt: file.expiresAt || null,
+      isPasswordProtected: rules.isPasswordProtected || false,
+      expiresAt: (link ? linkExpiresAt(file, link) : file.expiresAt) || null,
       status: file.status || 'active',
-      shortUrl: file.shortUrl,
-      downloadedContent: file.downloadedContent,
+      scanMessage: scanState?.body.error || null,
+      shortUrl: rules.shortUrl,
+      // Set when the code is an old one, so the page can show the current link
+      redirectTo: link ? null : redirectFor(file, shortCode),
+      downloadedContent: rules.downloadedContent,
+      sha256: file.sha256 || null,
+      encryption: file.encryption || null,
+      kind: file.kind || 'file',
+      language: file.language || null,
+      ...downloadLimitInfo(rules),
       uploadedBy: user?.fullname || 'Unknown',
       createdAt: file.createdAt,
       updatedAt: file.updatedAt
@@ -237,31 +292,53 @@ const guestDownloadInfo = async (req, res) => {
   try {
     const file = await GuestFile.findOne({ shortUrl: `/g/${shortCode}` });
     if (!file) return res.status(404).json({ error: 'File not found' });
-    if (file.status !== 'active') return res.status(403).json({ error: 'This file is not available for download' });
-    if (file.expiresAt && new Date(file.expiresAt) < new Date()) {
-      file.status = 'expired';
-      await file.save();
+    if (file.status === 'exhausted') {
+      recordDownloadEvent(req, file, 'exhausted');
+      return res.status(410).json({ error: EXHAUSTED_MESSAGE });
+    }
+    // Files waiting for (or failing) the malware scan still show their details and
+    // state, but hand out no links until the scanner has cleared them
+    const scanState = scanBlock(file);
+    if (!scanState && (file.status === 'expired' || (file.expiresAt && new Date(file.expiresAt) < new Date()))) {
+      if (file.status !== 'expired') {
+        file.status = 'expired';
+        await file.save();
+      }
+      recordDownloadEvent(req, file, 'expired');
       return res.status(410).json({ error: 'This file has expired' });
     }
-
-    const key = buildKey(file.name);
-    const downloadUrl = await signedDownloadUrl(process.env.AWS_BUCKET_NAME, key, file.name, 24 * 60 * 60);
-
-    file.downloadedContent = (file.downloadedContent || 0) + 1;
-    await file.save();
+    if (!scanState && file.status !== 'active') return res.status(403).json({ error: 'This file is not available for download' });
+
+    const links = {};
+    if (!scanState && hasDownloadAccess(req, file)) {
+      const token = file.isPasswordProtected ? readDownloadToken(req) : null;
+      links.downloadUrl = await fileDownloadUrl(file, { token });
+      if (!hasDownloadLimit(file)) {
+        links.streamUrl = shareUrlFor(file.shortUrl, 'stream', token);
+        links.path = file.path;
+        if (file.thumbnailUrl) links.thumbnailUrl = shareUrlFor(file.shortUrl, 'thumbnail', token);
+        if (hasRendition(file)) links.renditionUrl = shareUrlFor(file.shortUrl, 'rendition', token);
+        if (isTextMime(file.type) && !file.encryption) links.rawUrl = shareUrlFor(file.shortUrl, 'raw', token);
+      }
+    }
 
     return res.status(200).json({
-      downloadUrl,
+      ...links,
       id: file._id,
       name: file.name,
       size: file.size,
       type: file.type || 'file',
-      path: file.path,
       isPasswordProtected: file.isPasswordProtected || false,
       expiresAt: file.expiresAt || null,
       status: file.status || 'active',
+      scanMessage: scanState?.body.error || null,
       shortUrl: file.shortUrl,
       downloadedContent: file.downloadedContent,
+      sha256: file.sha256 || null,
+      encryption: file.encryption || null,
+      kind: file.kind || 'file',
+      language: file.language || null,
+      ...downloadLimitInfo(file),
       uploadedBy: file.createdBy,
       createdAt: file.createdAt,
       updatedAt: file.updatedAt
@@ -273,35 +350,35 @@ const guestDownloadInfo = async (req, res) => {
 };
 
 // ---------- Download by fileId ----------
+// Password-protected files need the download token verifyFilePassword hands out
+// (X-Download-Token header or ?token=), so passwords are only ever checked behind
+// its attempt limiter
 const downloadFile = async (req, res) => {
   const { fileId } = req.params;
-  const { password } = req.body;
 
   try {
     const file = await File.findById(fileId);
     if (!file) return res.status(404).json({ error: 'File not found' });
-    if (file.status !== 'active') return res.status(403).json({ error: 'This file is not available for download' });
-    if (file.expiresAt && new Date(file.expiresAt) < new Date()) return res.status(410).json({ error: 'This file has expired' });
-
-    if (file.isPasswordProtected) {
-      if (!password) return res.status(401).json({ error: 'Password required' });
-      const isMatch = await bcrypt.compare(password, file.password);
-      if (!isMatch) return res.status(403).json({ error: 'Incorrect password' });
+    if (file.status === 'exhausted') {
+      recordDownloadEvent(req, file, 'exhausted');
+      return res.status(410).json({ error: EXHAUSTED_MESSAGE });
+    }
+    const scanState = scanBlock(file);
+    if (scanState) return res.status(scanState.code).json(scanState.body);
+    if (file.status === 'expired' || (file.expiresAt && new Date(file.expiresAt) < new Date())) {
+      recordDownloadEvent(req, file, 'expired');
+      return res.status(410).json({ error: 'This file has expired' });
     }
+    if (file.status !== 'active') return res.status(403).json({ error: 'This file is not available for download' });
 
-    const key = buildKey(file.name);
-    const downloadUrl = await signedDownloadUrl(process.env.AWS_BUCKET_NAME, key, file.name, 24 * 60 * 60);
+    if (!hasDownloadAccess(req, file)) return res.status(401).json({ error: 'Password required' });
 
-    file.downloadedContent = (file.downloadedContent || 0) + 1;
-    await file.save();
-
-    const user = await User.findById(file.createdBy);
-    if (user) {
-      user.totalDownloads = (user.totalDownloads || 0) + 1;
-      await user.save();
-    }
+    const downloadUrl = await fileDownloadUrl(file, {
+      token: file.isPasswordProtected ? signDownloadToken(file.shortUrl) : null,
+    });
 
-    return res.status(200).json({ downloadUrl });
+    // The link points at the stream route, which counts the download when it starts
+    return res.status(200).json({ downloadUrl, ...(hasDownloadLimit(file) ? downloadLimitInfo(file) : {}) });
   } catch (error) {
     console.error("Download error:", error);
     return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
@@ -316,13 +393,15 @@ const deleteFile = async (req, res) => {
     if (!file) return res.status(404).json({ error: 'File not found' });
     if (file.status === 'deleted') return res.status(400).json({ error: 'File already deleted' });
 
-    const key = buildKey(file.name);
-    await minioClient.send(new DeleteObjectCommand({
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: key,
-    }));
+    // Purged files already gave up their object; others drop their reference
+    // (the object itself goes once no other file shares the same bytes)
+    if (!file.purgedAt) {
+      await releaseObject(file);
+      await adjustStorageUsed(file.createdBy, -file.size);
+    }
 
     await File.deleteOne({ _id: fileId });
+    await ShareLink.deleteMany({ file: fileId });
 
     return res.status(200).json({ message: 'File deleted successfully' });
   } catch (error) {
@@ -338,7 +417,7 @@ const deleteFile = async (req, res) => {
    verifyFilePassword, verifyGuestFilePassword, getUserFiles
    (These can remain the same as your original implementations — they only
     need S3 adjustments when they interact with the storage; e.g. sendLinkEmail
-    uses signedDownloadUrl above.)
+    uses fileDownloadUrl above.)
 */
 
 const updateFileStatus = async (req, res) => {
@@ -350,6 +429,16 @@ const updateFileStatus = async (req, res) => {
     const file = await File.findById(fileId);
     if (!file) return res.status(404).json({ error: 'File not found' });
     if (file.status === status) return res.status(400).json({ error: 'File already has this status' });
+    if (file.status === 'exhausted') return res.status(410).json({ error: EXHAUSTED_MESSAGE });
+    // Its stored object is gone, so it has nothing to hand out links to
+    if (file.purgedAt) return res.status(410).json({ error: PURGED_MESSAGE });
+    // Only the scanner moves a file out of pending_scan or quarantined
+    const scanState = scanBlock(file);
+    if (scanState) return res.status(scanState.code).json(scanState.body);
+    if (status === 'active') {
+      const overLimit = await checkActiveLinks(await User.findById(file.createdBy));
+      if (overLimit) return res.status(403).json({ error: overLimit });
+    }
     file.status = status;
     await file.save();
     return res.status(200).json({ message: 'File status updated successfully' });
@@ -360,12 +449,14 @@ const updateFileStatus = async (req, res) => {
 };
 
 const updateFileExpiry = async (req, res) => {
-  // ... same logic as before
-  const { fileId } = req.params;
-  const { expiresAt } = req.body;
+  // fileId comes from the body: the route has no :fileId segment
+  const { fileId, expiresAt } = req.body;
   try {
     const file = await File.findById(fileId);
     if (!file) return res.status(404).json({ error: 'File not found' });
+    if (file.purgedAt) return res.status(410).json({ error: PURGED_MESSAGE });
+    const tooLong = checkRetention(await User.findById(file.createdBy), !!expiresAt, expiresAt);
+    if (tooLong) return res.status(403).json({ error: tooLong });
     if (expiresAt) file.expiresAt = new Date(Date.now() + Number(expiresAt) * 3600000);
     await file.save();
     return res.status(200).json({ message: 'File expiry updated successfully' });
@@ -377,11 +468,13 @@ const updateFileExpiry = async (req, res) => {
 
 const updateAllFileExpiry = async (req, res) => {
   try {
-    const files = await File.find();
+    const files = await File.find({ createdBy: req.user.userId });
     if (!files || files.length === 0) return res.status(404).json({ error: 'No files found' });
     const updatedFiles = [];
     for (const file of files) {
-      if (file.status === 'deleted') continue;
+      // An exhausted or purged file's object is gone, so a new expiry can't bring it back;
+      // nor may one lift a quarantine or skip a pending malware scan
+      if (file.purgedAt || ['deleted', 'exhausted', 'pending_scan', 'quarantined'].includes(file.status)) continue;
       if (file.expiresAt && new Date(file.expiresAt) < new Date()) {
         file.status = 'expired';
         file.hasExpiry = true;
@@ -400,8 +493,7 @@ const updateAllFileExpiry = async (req, res) => {
 };
 
 const updateFilePassword = async (req, res) => {
-  const { fileId } = req.params;
-  const { newPassword } = req.body;
+  const { fileId, newPassword } = req.body;
   try {
     const file = await File.findById(fileId);
     if (!file) return res.status(404).json({ error: 'File not found' });
@@ -418,7 +510,7 @@ const updateFilePassword = async (req, res) => {
 const searchFiles = async (req, res) => {
   const { query } = req.query;
   try {
-    const files = await File.find({ name: { $regex: query, $options: 'i' }});
+    const files = await File.find({ createdBy: req.user.userId, name: { $regex: query, $options: 'i' }});
     if (!files.length) return res.status(404).json({ message: 'No files found' });
     return res.status(200).json(files);
   } catch (err) {
@@ -428,7 +520,7 @@ const searchFiles = async (req, res) => {
 };
 
 const showUserFiles = async (req, res) => {
-  const { userId } = req.params;
+  const { userId } = req.user;
   try {
     const files = await File.find({ createdBy: userId });
     if (!files.length) return res.status(404).json({ message: 'No files found' });
@@ -451,15 +543,62 @@ const getFileDetails = async (req, res) => {
   }
 };
 
+// ---------- Short links ----------
+// Gives the file a new code: the `slug` asked for, or a random one. The old code
+// keeps working as a redirect to the new one
 const generateShareShortenLink = async (req, res) => {
-  const { fileId } = req.body;
+  const { fileId, slug } = req.body;
   try {
     const file = await File.findById(fileId);
     if (!file) return res.status(404).json({ error: 'File not found' });
-    const shortCode = shortid.generate();
-    file.shortUrl = `${process.env.BASE_URL}/f/${shortCode}`;
+    // An alias (or old code) of this file can become its main link
+    const ownCode = slug && (file.aliases || []).some(a => a.shortUrl === shortUrlForCode(slug));
+    const slugInvalid = slug && !ownCode && await slugError(slug);
+    if (slugInvalid) return res.status(400).json({ error: slugInvalid });
+
+    changeShortUrl(file, shortUrlForCode(slug || shortid.generate()));
+    await file.save();
+    return res.status(200).json({ fileId: file._id, shortUrl: file.shortUrl, aliases: file.aliases, path: file.path });
+  } catch (err) {
+    // Claimed by another file since slugError checked it
+    if (isCodeConflict(err)) return res.status(400).json({ error: codeTakenMessage(slug) });
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+const addFileAlias = async (req, res) => {
+  const { fileId, slug } = req.body;
+  try {
+    const file = await File.findById(fileId);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    if (file.aliases.filter(a => !a.redirect).length >= MAX_ALIASES)
+      return res.status(400).json({ error: `A file can have at most ${MAX_ALIASES} aliases` });
+    const slugInvalid = await slugError(slug);
+    if (slugInvalid) return res.status(400).json({ error: slugInvalid });
+
+    file.aliases.push({ shortUrl: shortUrlForCode(slug) });
     await file.save();
-    return res.status(200).json({ shortUrl: file.shortUrl });
+    return res.status(201).json({ fileId: file._id, shortUrl: file.shortUrl, aliases: file.aliases });
+  } catch (err) {
+    if (isCodeConflict(err)) return res.status(400).json({ error: codeTakenMessage(slug) });
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// Removes an alias or an old code; links using it stop working
+const removeFileAlias = async (req, res) => {
+  const { fileId, slug } = req.params;
+  try {
+    const file = await File.findById(fileId);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    const remaining = file.aliases.filter(a => a.shortUrl !== shortUrlForCode(slug));
+    if (remaining.length === file.aliases.length) return res.status(404).json({ error: 'Alias not found' });
+
+    file.aliases = remaining;
+    await file.save();
+    return res.status(200).json({ fileId: file._id, shortUrl: file.shortUrl, aliases: file.aliases });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: 'Internal Server Error' });
@@ -472,16 +611,9 @@ const sendLinkEmail = async (req, res) => {
     const file = await File.findById(fileId);
     if (!file) return res.status(404).json({ error: 'File not found' });
 
-    const key = buildKey(file.name);
-    const downloadUrl = await signedDownloadUrl(process.env.AWS_BUCKET_NAME, key, file.name, 24 * 60 * 60);
-
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS }
-    });
+    const downloadUrl = await fileDownloadUrl(file);
 
-    const mailOptions = {
-      from: `"File Share App" <${process.env.MAIL_USER}>`,
+    await sendMail({
       to: email,
       subject: 'Your Shared File Link',
       html: `
@@ -492,9 +624,7 @@ const sendLinkEmail = async (req, res) => {
           <p><a href="${downloadUrl}" target="_blank">Click here to download</a></p>
         </div>
       `
-    };
-
-    await transporter.sendMail(mailOptions);
+    });
     return res.status(200).json({ message: 'Link sent successfully' });
   } catch (err) {
     console.error(err);
@@ -507,8 +637,7 @@ const generateQR = async (req, res) => {
   try {
     const file = await File.findById(fileId);
     if (!file) return res.status(404).json({ error: 'File not found' });
-    const key = buildKey(file.name);
-    const downloadUrl = await signedDownloadUrl(process.env.AWS_BUCKET_NAME, key, file.name, 24 * 60 * 60);
+    const downloadUrl = await fileDownloadUrl(file);
     const qrDataUrl = await QRCode.toDataURL(downloadUrl);
     return res.status(200).json({ qr: qrDataUrl });
   } catch (err) {
@@ -532,23 +661,35 @@ const getDownloadCount = async (req, res) => {
 const resolveShareLink = async (req, res) => {
   try {
     const { code } = req.params;
-    const shortUrl = `${process.env.BASE_URL}/f/${code}`;
-    const file = await File.findOne({ shortUrl });
+    const file = await findFileByCode(code);
     if (!file) return res.status(404).json({ error: 'Invalid or expired link' });
-    if (file.expiresAt && new Date() > file.expiresAt) {
+    if (file.status === 'exhausted') return res.status(410).json({ error: EXHAUSTED_MESSAGE });
+    const scanState = scanBlock(file);
+    if (!scanState && file.expiresAt && new Date() > file.expiresAt) {
       file.status = 'expired';
       await file.save();
       return res.status(410).json({ error: 'This file has expired.' });
     }
+    const canPreview = !scanState && hasDownloadAccess(req, file) && !hasDownloadLimit(file);
     return res.status(200).json({
       fileId: file._id,
       name: file.name,
       size: file.size,
       type: file.type || 'file',
-      previewUrl: file.path,
+      previewUrl: canPreview ? file.path : null,
+      thumbnailUrl: canPreview ? file.thumbnailUrl : null,
+      renditionUrl: canPreview && hasRendition(file) ? shareUrlFor(file.shortUrl, 'rendition') : null,
+      shortUrl: file.shortUrl,
+      redirectTo: redirectFor(file, code),
       isPasswordProtected: file.isPasswordProtected || false,
       expiresAt: file.expiresAt || null,
       status: file.status || 'active',
+      scanMessage: scanState?.body.error || null,
+      sha256: file.sha256 || null,
+      encryption: file.encryption || null,
+      kind: file.kind || 'file',
+      language: file.language || null,
+      ...downloadLimitInfo(file),
     });
   } catch (err) {
     console.error(err);
@@ -556,14 +697,20 @@ const resolveShareLink = async (req, res) => {
   }
 };
 
+// Share links are checked against their own password, and their token names the link
 const verifyFilePassword = async (req, res) => {
   const { shortCode, password } = req.body;
   try {
-    const file = await File.findOne({ shortUrl: `/f/${shortCode}` });
-    if (!file || !file.isPasswordProtected) return res.status(400).json({ success: false, error: 'File not protected or not found' });
-    const isMatch = await bcrypt.compare(password, file.password);
-    if (!isMatch) return res.status(401).json({ success: false, error: 'Incorrect password' });
-    return res.status(200).json({ success: true, message: 'Password verified' });
+    const { file, link } = await findShareTarget(String(shortCode));
+    const rules = link || file;
+    if (!file || !rules.isPasswordProtected) return res.status(400).json({ success: false, error: 'File not protected or not found' });
+    const isMatch = await bcrypt.compare(password || '', rules.password);
+    if (!isMatch) {
+      recordFailedPasswordAttempt(req);
+      recordDownloadEvent(req, file, 'wrong_password', link);
+      return res.status(401).json({ success: false, error: 'Incorrect password' });
+    }
+    return res.status(200).json({ success: true, message: 'Password verified', token: signDownloadToken(rules.shortUrl) });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ success: false, error: 'Server error' });
@@ -575,9 +722,13 @@ const verifyGuestFilePassword = async (req, res) => {
   try {
     const file = await GuestFile.findOne({ shortUrl: `/g/${shortCode}` });
     if (!file || !file.isPasswordProtected) return res.status(400).json({ success: false, error: 'File not protected or not found' });
-    const isMatch = await bcrypt.compare(password, file.password);
-    if (!isMatch) return res.status(401).json({ success: false, error: 'Incorrect password' });
-    return res.status(200).json({ success: true, message: 'Password verified' });
+    const isMatch = await bcrypt.compare(password || '', file.password);
+    if (!isMatch) {
+      recordFailedPasswordAttempt(req);
+      recordDownloadEvent(req, file, 'wrong_password');
+      return res.status(401).json({ success: false, error: 'Incorrect password' });
+    }
+    return res.status(200).json({ success: true, message: 'Password verified', token: signDownloadToken(file.shortUrl) });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ success: false, error: 'Server error' });
@@ -589,7 +740,7 @@ const getUserFiles = async (req, res) => {
   try {
     const files = await File.find({ createdBy: userId });
     if (!files.length) return res.status(404).json({ message: 'No files found' });
-    return res.status(200).json(files);
+    return res.status(200).json(files.map(serializeOwnFile));
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: 'Internal Server Error' });
@@ -611,6 +762,8 @@ export {
   showUserFiles,
   getFileDetails,
   generateShareShortenLink,
+  addFileAlias,
+  removeFileAlias,
   sendLinkEmail,
   generateQR,
   getDownloadCount,
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import { Session } from "../models/session.models.js";
+import { clearAuthCookies, readRefreshToken, rotateSession, setAuthCookies } from "../utils/session.utils.js";
+
+const serializeSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  current: String(session._id) === String(currentSessionId),
+});
+
+// ---------- Refresh ----------
+const refreshSession = async (req, res) => {
+  const refreshToken = readRefreshToken(req);
+  if (!refreshToken) return res.status(401).json({ message: "No refresh token provided." });
+
+  try {
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session has expired. Please log in again." });
+    }
+
+    setAuthCookies(res, rotated);
+    return res.status(200).json({ token: rotated.token });
+  } catch (error) {
+    console.error("Refresh error:", error);
+    return res.status(500).json({ message: "Could not refresh session" });
+  }
+};
+
+// ---------- Device list ----------
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+    return res.status(200).json(sessions.map(s => serializeSession(s, req.user.sid)));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Error fetching sessions" });
+  }
+};
+
+// ---------- Remote sign-out ----------
+const revokeSession = async (req, res) => {
+  const { sessionId } = req.params;
+  if (!mongoose.isValidObjectId(sessionId)) return res.status(404).json({ message: "Session not found" });
+
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: req.user.userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    if (String(session._id) === String(req.user.sid)) clearAuthCookies(res);
+    return res.status(200).json({ message: "Session signed out" });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Error signing out session" });
+  }
+};
+
+// ?exceptCurrent=true keeps the caller signed in ("sign out everywhere else")
+const revokeAllSessions = async (req, res) => {
+  const exceptCurrent = req.query.exceptCurrent === 'true';
+  const filter = { user: req.user.userId, revokedAt: null };
+  if (exceptCurrent) filter._id = { $ne: req.user.sid };
+
+  try {
+    const result = await Session.updateMany(filter, { revokedAt: new Date() });
+    if (!exceptCurrent) clearAuthCookies(res);
+    return res.status(200).json({ message: "Sessions signed out", count: result.modifiedCount });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Error signing out sessions" });
+  }
+};
+
+export {
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,185 @@
+// src/controllers/shareLink.controller.js
+// The owner's side of share links: extra links to one of their files, each with
+// its own label, password, expiry and download limit. Visitors open them like any
+// other /f/ link (see findShareTarget in utils/shortCode.utils.js)
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import shortid from "shortid";
+import { File } from '../models/file.models.js';
+import { ShareLink } from '../models/shareLink.models.js';
+import { DownloadEvent } from '../models/downloadEvent.models.js';
+import { User } from '../models/user.models.js';
+import { isFileAvailable, isTruthy } from "../utils/file.utils.js";
+import { EXHAUSTED_MESSAGE, resolveMaxDownloads } from "../utils/downloadLimit.utils.js";
+import { PURGED_MESSAGE } from "../utils/purge.utils.js";
+import { scanBlock } from "../utils/scan.utils.js";
+import { checkActiveLinks } from "../utils/quota.utils.js";
+import { shortUrlForCode } from "../utils/shortCode.utils.js";
+import { MAX_SHARE_LINKS, serializeShareLink } from "../utils/shareLink.utils.js";
+
+// ---------- Helpers ----------
+const MAX_LABEL_LENGTH = 80;
+
+const cleanLabel = (label) => String(label ?? '').trim().slice(0, MAX_LABEL_LENGTH);
+
+// expiresAt is a number of hours from now, as for uploads. Returns a Date, null
+// for no expiry, or undefined when the number is unusable
+const linkExpiry = (hasExpiry, expiresAt) => {
+  if (!isTruthy(hasExpiry)) return null;
+  const hours = Number(expiresAt);
+  return hours > 0 ? new Date(Date.now() + hours * 3600000) : undefined;
+};
+
+// Download attempts per link and outcome: { [shortCode]: { success, wrong_password, ... } }
+const countLinkEvents = async (fileId, links) => {
+  const codes = links.map(link => link.shortUrl.split('/').pop());
+  const rows = await DownloadEvent.aggregate([
+    { $match: { file: new mongoose.Types.ObjectId(String(fileId)), shortCode: { $in: codes } } },
+    { $group: { _id: { shortCode: '$shortCode', outcome: '$outcome' }, count: { $sum: 1 } } },
+  ]);
+  const events = {};
+  for (const row of rows) {
+    events[row._id.shortCode] = { ...events[row._id.shortCode], [row._id.outcome]: row.count };
+  }
+  return events;
+};
+
+// Error body for a file no new link can be made to, because nobody could download
+// it through one (same shape as scanBlock), or null
+const unshareableFile = (file) => {
+  if (file.purgedAt) return { code: 410, body: { error: PURGED_MESSAGE } };
+  const scanState = scanBlock(file);
+  if (scanState) return scanState;
+  if (file.status === 'exhausted') return { code: 410, body: { error: EXHAUSTED_MESSAGE } };
+  if (!isFileAvailable(file)) return { code: 403, body: { error: 'This file is not available for download' } };
+  return null;
+};
+
+// Links are only reached through their file, whose owner requireFileOwner has checked
+const findFileLink = async (req, res) => {
+  const { fileId, linkId } = req.params;
+  const link = mongoose.isValidObjectId(linkId) ? await ShareLink.findOne({ _id: linkId, file: fileId }) : null;
+  if (!link) res.status(404).json({ error: 'Share link not found' });
+  return link;
+};
+
+// ---------- List ----------
+const getShareLinks = async (req, res) => {
+  const { fileId } = req.params;
+  try {
+    const links = await ShareLink.find({ file: fileId }).sort({ createdAt: 1 });
+    const events = await countLinkEvents(fileId, links);
+    return res.status(200).json(links.map(link => serializeShareLink(link, events[link.shortUrl.split('/').pop()])));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// ---------- Create ----------
+const createShareLink = async (req, res) => {
+  const { fileId, label, isPassword, password, hasExpiry, expiresAt, maxDownloads, burnAfterReading } = req.body;
+
+  if (isTruthy(isPassword) && !password)
+    return res.status(400).json({ error: 'Password is required' });
+  const expiry = linkExpiry(hasExpiry, expiresAt);
+  if (expiry === undefined) return res.status(400).json({ error: 'Expiry must be a positive number of hours' });
+
+  try {
+    const file = await File.findById(fileId);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    const blocked = unshareableFile(file);
+    if (blocked) return res.status(blocked.code).json(blocked.body);
+    if (await ShareLink.countDocuments({ file: file._id }) >= MAX_SHARE_LINKS)
+      return res.status(400).json({ error: `A file can have at most ${MAX_SHARE_LINKS} share links` });
+    // Share links count towards the plan's active links
+    const overLimit = await checkActiveLinks(await User.findById(file.createdBy));
+    if (overLimit) return res.status(403).json({ error: overLimit });
+
+    const linkObj = {
+      file: file._id,
+      label: cleanLabel(label),
+      shortUrl: shortUrlForCode(shortid.generate()),
+      expiresAt: expiry,
+      maxDownloads: resolveMaxDownloads(burnAfterReading, maxDownloads),
+      burnAfterReading: isTruthy(burnAfterReading),
+      createdBy: file.createdBy,
+    };
+
+    if (isTruthy(isPassword)) {
+      linkObj.password = await bcrypt.hash(password, 10);
+      linkObj.isPasswordProtected = true;
+    }
+
+    const link = await new ShareLink(linkObj).save();
+    return res.status(201).json({ message: 'Share link created', link: serializeShareLink(link) });
+  } catch (error) {
+    console.error("Create share link error:", error);
+    return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+// ---------- Update ----------
+// Changes only the fields sent: label, enabled, password (isPassword false removes
+// it) and expiry. The download limit is fixed when the link is created, since
+// its count includes the downloads made before
+const updateShareLink = async (req, res) => {
+  const { label, enabled, isPassword, password, hasExpiry, expiresAt } = req.body;
+  try {
+    const link = await findFileLink(req, res);
+    if (!link) return;
+
+    if (label !== undefined) link.label = cleanLabel(label);
+    if (enabled !== undefined) {
+      // Turning a link back on makes it count towards the plan again
+      if (isTruthy(enabled) && !link.enabled) {
+        const overLimit = await checkActiveLinks(await User.findById(link.createdBy));
+        if (overLimit) return res.status(403).json({ error: overLimit });
+      }
+      link.enabled = isTruthy(enabled);
+    }
+    if (isPassword !== undefined) {
+      if (!isTruthy(isPassword)) {
+        link.isPasswordProtected = false;
+        link.password = null;
+      } else if (password) {
+        link.isPasswordProtected = true;
+        link.password = await bcrypt.hash(password, 10);
+      } else if (!link.isPasswordProtected) {
+        return res.status(400).json({ error: 'Password is required' });
+      }
+    }
+    if (hasExpiry !== undefined) {
+      const expiry = linkExpiry(hasExpiry, expiresAt);
+      if (expiry === undefined) return res.status(400).json({ error: 'Expiry must be a positive number of hours' });
+      link.expiresAt = expiry;
+    }
+
+    await link.save();
+    return res.status(200).json({ message: 'Share link updated', link: serializeShareLink(link) });
+  } catch (error) {
+    console.error("Update share link error:", error);
+    return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+// ---------- Delete ----------
+// Only this link stops working; the file and its other links are untouched
+const deleteShareLink = async (req, res) => {
+  try {
+    const link = await findFileLink(req, res);
+    if (!link) return;
+    await ShareLink.deleteOne({ _id: link._id });
+    return res.status(200).json({ message: 'Share link deleted' });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+export {
+  getShareLinks,
+  createShareLink,
+  updateShareLink,
+  deleteShareLink,
+};
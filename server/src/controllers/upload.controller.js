@@ -0,0 +1,532 @@
+// src/controllers/upload.controller.js
+import { File } from '../models/file.models.js';
+import { GuestFile } from '../models/guestFile.models.js';
+import { UploadSession } from '../models/uploadSession.models.js';
+import { User } from '../models/user.models.js';
+import storage from "../storage/index.js";
+import bcrypt from "bcryptjs";
+import shortid from "shortid";
+import {
+  buildKey,
+  storedObjectPath,
+  buildStoredFileName,
+  isTruthy,
+  resolveExpiresAt,
+  bumpUploadStats,
+  serializeGuestFile,
+  serializeOwnFile,
+} from "../utils/file.utils.js";
+import { adjustStorageUsed, checkUploadLimits, reserveStorage } from "../utils/quota.utils.js";
+import { abortSession } from "../utils/uploadSession.utils.js";
+import { resolveMaxDownloads } from "../utils/downloadLimit.utils.js";
+import { adoptUploadedObject, readObjectHead, releaseObject } from "../utils/storedObject.utils.js";
+import { createDataKey, encryptBuffer } from "../utils/dataKey.utils.js";
+import { SNIFF_BYTES, isSupportedExtension, validateEncryption, storedContentType } from "../utils/fileType.utils.js";
+import { checkFileContent, checkFileName } from "../utils/typePolicy.utils.js";
+import { initialFileStatus } from "../utils/scan.utils.js";
+import { requestMalwareScan } from "../jobs/malwareScan.job.js";
+import { requestThumbnails } from "../jobs/thumbnail.job.js";
+import { initialThumbnail } from "../utils/thumbnail.utils.js";
+import { isCodeTaken, saveWithFreeCode, slugError } from "../utils/shortCode.utils.js";
+
+// S3 rejects parts smaller than 5 MB (except the last one)
+const MIN_CHUNK_SIZE = 5 * 1024 * 1024;
+export const CHUNK_SIZE = Math.max(Number(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024, MIN_CHUNK_SIZE);
+
+// A single S3 PUT is capped at 5 GB; bigger files must use the chunked flow
+const DIRECT_UPLOAD_MAX_SIZE = Number(process.env.DIRECT_UPLOAD_MAX_SIZE) || 5 * 1024 * 1024 * 1024;
+const PRESIGN_EXPIRY_SEC = 15 * 60;
+// Guests get the same cap as uploads through /upload-guest (see upload.middlewares.js)
+const GUEST_MAX_FILE_SIZE = Number(process.env.GUEST_MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// ---------- Helpers ----------
+const expectedChunkLength = (session, partNumber) =>
+  partNumber < session.totalChunks
+    ? session.chunkSize
+    : session.size - session.chunkSize * (session.totalChunks - 1);
+
+// Returns an error message, or null when the request can start an upload
+const validateUploadRequest = ({ fileName, size, isPassword, password, encryption }) => {
+  if (!fileName || !size) return 'fileName and size are required';
+  if (!Number.isSafeInteger(Number(size)) || Number(size) < 1) return 'size must be a positive whole number of bytes';
+  if (!isSupportedExtension(fileName)) return `❌ Unsupported file type: ${fileName}`;
+  if (isTruthy(isPassword) && !password) return 'Password is required';
+  return validateEncryption(encryption);
+};
+
+// Password/expiry/download-limit/encryption/link options stored on the session until the File is created
+const sessionOptions = async ({ isPassword, password, hasExpiry, expiresAt, maxDownloads, burnAfterReading, encryption, slug }) => ({
+  isPasswordProtected: isTruthy(isPassword),
+  password: isTruthy(isPassword) ? await bcrypt.hash(password, 10) : null,
+  hasExpiry: isTruthy(hasExpiry),
+  expiresInHours: isTruthy(hasExpiry) ? Number(expiresAt) : null,
+  maxDownloads: resolveMaxDownloads(burnAfterReading, maxDownloads),
+  burnAfterReading: isTruthy(burnAfterReading),
+  encryption: encryption || null,
+  slug: slug || null,
+});
+
+// A slug taken by someone else since the upload started leaves the file with a
+// random code; the owner can pick another link from the dashboard
+const ownShortUrl = async (session) =>
+  session.slug && !(await isCodeTaken(session.slug)) ? `/f/${session.slug}` : `/f/${shortid.generate()}`;
+
+// Guest sessions are reachable by id alone; user sessions only by their owner
+const ownsSession = (req, session) =>
+  session.isGuest || String(session.createdBy) === String(req.user?.userId);
+
+// Sniffs the assembled object and checks it against the session's file name and
+// the uploader's type policy. A rejected upload's object is deleted and the
+// session closed. Resolves to { format } or { error }
+const identifyUploadedObject = async (session, user) => {
+  const head = await readObjectHead(session.key, SNIFF_BYTES, session.dataKey);
+  const result = await checkFileContent(user, session.originalName, head, {
+    truncated: session.size > head.length,
+    encryption: session.encryption,
+  });
+  if (result.error) {
+    await storage.delete(session.key);
+    await abortSession(session);
+  }
+  return result;
+};
+
+// Plan limits can change while an upload is open (other uploads finish, links are
+// turned on, the plan is downgraded), so they are checked again before the file is
+// created. The storage itself was reserved at init
+const recheckUploadLimits = (user, session) => checkUploadLimits(user, {
+  sizes: [session.size],
+  hasExpiry: session.hasExpiry,
+  expiresInHours: session.expiresInHours,
+  reserved: true,
+});
+
+const findSession = async (req, res, strategy) => {
+  const session = await UploadSession.findOne({ _id: req.params.uploadId, strategy });
+  if (!session) {
+    res.status(404).json({ error: 'Upload session not found' });
+    return null;
+  }
+  if (!ownsSession(req, session)) {
+    res.status(403).json({ error: 'You do not have access to this upload' });
+    return null;
+  }
+  return session;
+};
+
+const findOpenSession = async (req, res, strategy = 'multipart') => {
+  const session = await findSession(req, res, strategy);
+  if (!session) return null;
+  if (session.status !== 'uploading') {
+    res.status(409).json({ error: `Upload session is already ${session.status}` });
+    return null;
+  }
+  return session;
+};
+
+// Moves an open session to 'completing' in one conditional update, so a retried or
+// concurrent complete call can't create the file twice. Resolves to the claimed
+// session, or null (after answering 409) when another call got there first
+const claimSession = async (res, session) => {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { status: 'completing' },
+    { new: true },
+  );
+  if (!claimed) res.status(409).json({ error: 'Upload session is already being completed' });
+  return claimed;
+};
+
+// Reopens a claimed session whose completion failed, so the client can retry
+const releaseSession = (session) =>
+  UploadSession.updateOne({ _id: session._id, status: 'completing' }, { status: 'uploading' });
+
+// Undoes a failed complete/finalize call. While the upload can still be retried
+// (parts not yet assembled, or a direct upload's object not yet adopted) the session
+// is reopened; after that there is nothing to retry from, so the session is closed
+// and the object deleted, unless a file was already created from it.
+// `stored` is the adopted object ({ sha256, storageKey }) while no file holds it
+const failClaimedSession = async (session, { retryable, stored, savedFile }) => {
+  if (retryable) return releaseSession(session);
+  if (savedFile) return UploadSession.updateOne({ _id: session._id }, { status: 'completed', fileId: savedFile._id });
+  if (stored) await releaseObject(stored);
+  else await storage.delete(session.key);
+  return abortSession(session);
+};
+
+// ---------- Init ----------
+const initChunkedUpload = async (req, res) => {
+  const { fileName, size, type } = req.body;
+
+  const invalid = validateUploadRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  let user = null;
+  let reserved = 0;
+  try {
+    user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const overLimit = await checkUploadLimits(user, {
+      sizes: [size],
+      hasExpiry: isTruthy(req.body.hasExpiry),
+      expiresInHours: req.body.expiresAt,
+      reserved: true,
+    });
+    if (overLimit) return res.status(403).json({ error: overLimit });
+    const typeError = await checkFileName(user, fileName);
+    if (typeError) return res.status(415).json({ error: typeError });
+    const slugInvalid = req.body.slug && await slugError(req.body.slug);
+    if (slugInvalid) return res.status(400).json({ error: slugInvalid });
+    const noRoom = await reserveStorage(user, Number(size));
+    if (noRoom) return res.status(403).json({ error: noRoom });
+    reserved = Number(size);
+
+    const name = buildStoredFileName(fileName);
+    const key = buildKey(name);
+    const mimetype = storedContentType(type || 'application/octet-stream', req.body.encryption);
+
+    const uploadId = await storage.createMultipart(key, { contentType: mimetype });
+
+    const session = await new UploadSession({
+      uploadId,
+      key,
+      name,
+      originalName: fileName,
+      type: mimetype,
+      size: Number(size),
+      chunkSize: CHUNK_SIZE,
+      totalChunks: Math.max(Math.ceil(Number(size) / CHUNK_SIZE), 1),
+      ...(await sessionOptions(req.body)),
+      dataKey: createDataKey(),
+      reservedBytes: reserved,
+      createdBy: user._id,
+    }).save();
+
+    return res.status(201).json({
+      uploadId: session._id,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+    });
+  } catch (error) {
+    console.error("Chunked upload init error:", error);
+    if (reserved) await adjustStorageUsed(user._id, -reserved).catch(() => {});
+    return res.status(500).json({ message: "Could not start upload", detail: error.message });
+  }
+};
+
+// ---------- Upload one chunk ----------
+const uploadChunk = async (req, res) => {
+  const partNumber = Number(req.params.partNumber);
+
+  try {
+    const session = await findOpenSession(req, res);
+    if (!session) return;
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalChunks)
+      return res.status(400).json({ error: 'Invalid chunk number' });
+    if (!Buffer.isBuffer(req.body) || req.body.length !== expectedChunkLength(session, partNumber))
+      return res.status(400).json({ error: 'Chunk size does not match the upload session' });
+
+    // Chunks are encrypted as they arrive, at their place in the object
+    const body = session.dataKey
+      ? encryptBuffer(session.dataKey, req.body, (partNumber - 1) * session.chunkSize)
+      : req.body;
+    const etag = await storage.uploadPart(session.key, session.uploadId, partNumber, body);
+
+    return res.status(200).json({ partNumber, etag });
+  } catch (error) {
+    console.error("Chunk upload error:", error);
+    return res.status(500).json({ message: "Chunk upload failed", detail: error.message });
+  }
+};
+
+// ---------- Which chunks arrived ----------
+const getChunkedUploadStatus = async (req, res) => {
+  try {
+    const session = await findSession(req, res, 'multipart');
+    if (!session) return;
+
+    const uploadedParts = session.status === 'uploading'
+      ? (await storage.listParts(session.key, session.uploadId)).map(p => p.partNumber)
+      : [];
+
+    return res.status(200).json({
+      uploadId: session._id,
+      status: session.status,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      uploadedParts,
+      fileId: session.fileId,
+    });
+  } catch (error) {
+    console.error("Chunked upload status error:", error);
+    return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+// ---------- Complete ----------
+const completeChunkedUpload = async (req, res) => {
+  let session = null;
+  let assembled = false;
+  let stored = null;
+  let savedFile = null;
+  try {
+    const open = await findOpenSession(req, res);
+    if (!open) return;
+
+    const parts = await storage.listParts(open.key, open.uploadId);
+    const received = new Set(parts.map(p => p.partNumber));
+    const missing = [];
+    for (let n = 1; n <= open.totalChunks; n++) if (!received.has(n)) missing.push(n);
+    if (missing.length) return res.status(400).json({ error: 'Upload is missing chunks', missing });
+
+    const user = await User.findById(open.createdBy);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const overLimit = await recheckUploadLimits(user, open);
+    if (overLimit) return res.status(403).json({ error: overLimit });
+
+    session = await claimSession(res, open);
+    if (!session) return;
+
+    await storage.completeMultipart(session.key, session.uploadId, parts, { contentType: session.type });
+    assembled = true;
+
+    const { format, error: typeError } = await identifyUploadedObject(session, user);
+    if (typeError) return res.status(415).json({ error: typeError });
+    stored = await adoptUploadedObject(session.key, {
+      size: session.size,
+      contentType: storedContentType(format.mime, session.encryption),
+      dataKey: session.dataKey?.toObject() || null,
+    });
+    const { sha256, storageKey } = stored;
+
+    const shortUrl = await ownShortUrl(session);
+    savedFile = await saveWithFreeCode(new File({
+      path: storedObjectPath(storageKey, shortUrl),
+      name: session.name,
+      type: format.mime,
+      size: session.size,
+      sha256,
+      storageKey,
+      hasExpiry: session.hasExpiry,
+      expiresAt: resolveExpiresAt(session.hasExpiry, session.expiresInHours),
+      maxDownloads: session.maxDownloads,
+      burnAfterReading: session.burnAfterReading,
+      encryption: session.encryption,
+      status: initialFileStatus(session.encryption),
+      thumbnail: initialThumbnail(format.mime, session.encryption),
+      shortUrl,
+      isPasswordProtected: session.isPasswordProtected,
+      password: session.password,
+      createdBy: session.createdBy,
+    }));
+    // Sessions started before storage was reserved add their size now
+    await adjustStorageUsed(session.createdBy, session.size - session.reservedBytes);
+
+    session.status = 'completed';
+    session.fileId = savedFile._id;
+    await session.save();
+    requestMalwareScan();
+    requestThumbnails();
+
+    bumpUploadStats(user, format.mime);
+    await user.save();
+
+    return res.status(201).json({
+      message: "File uploaded successfully",
+      fileIds: [savedFile._id],
+      files: [serializeOwnFile(savedFile)],
+    });
+  } catch (error) {
+    console.error("Chunked upload complete error:", error);
+    if (session) await failClaimedSession(session, { retryable: !assembled, stored, savedFile }).catch(() => {});
+    return res.status(500).json({ message: "File upload failed", detail: error.message });
+  }
+};
+
+// ---------- Abort ----------
+const abortChunkedUpload = async (req, res) => {
+  try {
+    const session = await findOpenSession(req, res);
+    if (!session) return;
+
+    await storage.abortMultipart(session.key, session.uploadId);
+    await abortSession(session);
+
+    return res.status(200).json({ message: 'Upload aborted' });
+  } catch (error) {
+    console.error("Chunked upload abort error:", error);
+    return res.status(500).json({ error: 'Internal Server Error', detail: error.message });
+  }
+};
+
+// ---------- Presigned direct-to-bucket upload ----------
+const initDirectUpload = async (req, res) => {
+  const { fileName, size, type, guest, method } = req.body;
+
+  const invalid = validateUploadRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (isTruthy(guest) && Number(size) > GUEST_MAX_FILE_SIZE)
+    return res.status(413).json({ error: `Guest uploads can be at most ${GUEST_MAX_FILE_SIZE / (1024 * 1024)} MB. Sign in to upload larger files.` });
+  if (Number(size) > DIRECT_UPLOAD_MAX_SIZE) return res.status(413).json({ error: 'File is too large for a direct upload' });
+  if (!storage.supportsPresign)
+    return res.status(501).json({ error: `Direct uploads are not available with the "${storage.name}" storage driver` });
+
+  let user = null;
+  let reserved = 0;
+  try {
+    const isGuest = isTruthy(guest);
+    if (!isGuest) {
+      if (!req.user) return res.status(401).json({ message: "Access denied. No token provided." });
+      user = await User.findById(req.user.userId);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      const overLimit = await checkUploadLimits(user, {
+        sizes: [size],
+        hasExpiry: isTruthy(req.body.hasExpiry),
+        expiresInHours: req.body.expiresAt,
+        reserved: true,
+      });
+      if (overLimit) return res.status(403).json({ error: overLimit });
+      const slugInvalid = req.body.slug && await slugError(req.body.slug);
+      if (slugInvalid) return res.status(400).json({ error: slugInvalid });
+    }
+    const typeError = await checkFileName(user, fileName);
+    if (typeError) return res.status(415).json({ error: typeError });
+    if (user) {
+      const noRoom = await reserveStorage(user, Number(size));
+      if (noRoom) return res.status(403).json({ error: noRoom });
+      reserved = Number(size);
+    }
+
+    const name = buildStoredFileName(fileName);
+    const key = buildKey(name);
+    const mimetype = storedContentType(type || 'application/octet-stream', req.body.encryption);
+
+    const session = await new UploadSession({
+      strategy: 'presigned',
+      key,
+      name,
+      originalName: fileName,
+      type: mimetype,
+      size: Number(size),
+      // Guest links are always random
+      ...(await sessionOptions({ ...req.body, slug: isGuest ? null : req.body.slug })),
+      isGuest,
+      reservedBytes: reserved,
+      createdBy: user?._id,
+    }).save();
+
+    // finalizeDirectUpload re-checks the stored object, since a presigned PUT cannot pin the size
+    const target = await storage.presignUpload(key, {
+      contentType: mimetype,
+      size: session.size,
+      method: method === 'post' ? 'post' : 'put',
+      expiresIn: PRESIGN_EXPIRY_SEC,
+    });
+
+    return res.status(201).json({ uploadId: session._id, ...target });
+  } catch (error) {
+    console.error("Direct upload init error:", error);
+    if (reserved) await adjustStorageUsed(user._id, -reserved).catch(() => {});
+    return res.status(500).json({ message: "Could not start upload", detail: error.message });
+  }
+};
+
+const finalizeDirectUpload = async (req, res) => {
+  let session = null;
+  let stored = null;
+  let savedFile = null;
+  try {
+    const open = await findOpenSession(req, res, 'presigned');
+    if (!open) return;
+
+    const head = await storage.head(open.key);
+    if (!head) return res.status(400).json({ error: 'The file has not been uploaded yet' });
+    // The presigned PUT can't pin the size, so an oversized guest object is dropped here
+    if (open.isGuest && head.size > GUEST_MAX_FILE_SIZE) {
+      await storage.delete(open.key);
+      await abortSession(open);
+      return res.status(413).json({ error: 'Uploaded file is larger than guests may upload' });
+    }
+    if (head.size !== open.size)
+      return res.status(400).json({ error: 'Uploaded file size does not match' });
+
+    const user = open.isGuest ? null : await User.findById(open.createdBy);
+    if (!open.isGuest) {
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      const overLimit = await recheckUploadLimits(user, open);
+      if (overLimit) return res.status(403).json({ error: overLimit });
+    }
+
+    session = await claimSession(res, open);
+    if (!session) return;
+
+    const { format, error: typeError } = await identifyUploadedObject(session, user);
+    if (typeError) return res.status(415).json({ error: typeError });
+    stored = await adoptUploadedObject(session.key, {
+      size: session.size,
+      contentType: storedContentType(format.mime, session.encryption),
+    });
+    const { sha256, storageKey } = stored;
+
+    const shortUrl = session.isGuest ? `/g/${shortid.generate()}` : await ownShortUrl(session);
+    const fileObj = {
+      path: storedObjectPath(storageKey, shortUrl),
+      name: session.name,
+      type: format.mime,
+      size: session.size,
+      sha256,
+      storageKey,
+      hasExpiry: session.hasExpiry,
+      expiresAt: resolveExpiresAt(session.hasExpiry, session.expiresInHours),
+      maxDownloads: session.maxDownloads,
+      burnAfterReading: session.burnAfterReading,
+      encryption: session.encryption,
+      status: initialFileStatus(session.encryption),
+      thumbnail: initialThumbnail(format.mime, session.encryption),
+      isPasswordProtected: session.isPasswordProtected,
+      password: session.password,
+      shortUrl,
+    };
+
+    if (session.isGuest) {
+      savedFile = await new GuestFile({
+        ...fileObj,
+        createdBy: `guest_${shortid.generate()}`,
+      }).save();
+    } else {
+      savedFile = await saveWithFreeCode(new File({
+        ...fileObj,
+        createdBy: session.createdBy,
+      }));
+      await adjustStorageUsed(session.createdBy, session.size - session.reservedBytes);
+
+      bumpUploadStats(user, format.mime);
+      await user.save();
+    }
+
+    session.status = 'completed';
+    session.fileId = savedFile._id;
+    await session.save();
+    requestMalwareScan();
+    requestThumbnails();
+
+    return res.status(201).json(session.isGuest
+      ? { message: "Files uploaded successfully", files: [serializeGuestFile(savedFile)] }
+      : { message: "File uploaded successfully", fileIds: [savedFile._id], files: [serializeOwnFile(savedFile)] });
+  } catch (error) {
+    console.error("Direct upload finalize error:", error);
+    if (session) await failClaimedSession(session, { retryable: !stored, stored, savedFile }).catch(() => {});
+    return res.status(500).json({ message: "File upload failed", detail: error.message });
+  }
+};
+
+export {
+  initChunkedUpload,
+  uploadChunk,
+  getChunkedUploadStatus,
+  completeChunkedUpload,
+  abortChunkedUpload,
+  initDirectUpload,
+  finalizeDirectUpload,
+};
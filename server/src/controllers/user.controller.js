@@ -3,6 +3,17 @@ import bcrypt from "bcryptjs";
 import express, { Router } from "express";
 
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { Session } from "../models/session.models.js";
+import { sendVerificationEmail } from "./account.controller.js";
+import { usageSummary } from "../utils/quota.utils.js";
+import {
+  clearAuthCookies,
+  createSession,
+  readRefreshToken,
+  sessionIdFromRefreshToken,
+  setAuthCookies,
+} from "../utils/session.utils.js";
 import { v4 as uuidv4 } from "uuid";
 
 const generateUniqueId = () => {
@@ -55,21 +66,33 @@ const username = `${cleanedFullname.substring(0, 4).toLowerCase()}${generateUniq
       username,
       email,
         password,
-      profilePic
+      profilePic,
+      isVerified: false,
     });
 
     await newUser.save();
-    return res.status(201).json({ message: "User registered successfully." });
+
+    // The account works straight away, with a reduced quota until the email is confirmed
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error("Verification email failed:", mailError);
+    }
+    return res.status(201).json({ message: "User registered successfully. Check your email to verify your account." });
   } catch (error) {
     console.error("Error during registration:", error);
     return res.status(500).json({ message: "Error during registration" });
   }
 };
 
-// logoutUser
+// logoutUser: revokes this device's session so its tokens stop working
 const logoutUser = async (req, res) => {
   try {
-    res.clearCookie("token");
+    const sessionId = req.user?.sid || sessionIdFromRefreshToken(readRefreshToken(req));
+    if (mongoose.isValidObjectId(sessionId)) {
+      await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+    }
+    clearAuthCookies(res);
     res.status(200).json({ message: "Logout successful" });
   } catch (error) {
     console.error("Error during logout:", error);
@@ -77,12 +100,16 @@ const logoutUser = async (req, res) => {
   }
 };
 
-const getUsers = async (req, res) => {
+// The signed-in user's own profile; there is no endpoint listing other accounts
+const getCurrentUser = async (req, res) => {
   try {
-    const users = await User.find();
-    res.status(200).json(users);
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json({ ...user.toJSON(), usage: await usageSummary(user) });
   } catch (error) {
-    res.status(500).json({ message: "Error fetching users" });
+    res.status(500).json({ message: "Error fetching user" });
   }
 };
 
@@ -93,7 +120,7 @@ const getUserById = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
-    res.status(200).json(user);
+    res.status(200).json({ ...user.toJSON(), usage: await usageSummary(user) });
   } catch (error) {
     res.status(500).json({ message: "Error fetching user" });
   }
@@ -135,6 +162,8 @@ const deleteUser = async (req, res) => {
     if (!deletedUser) {
       return res.status(404).json({ message: "User not found" });
     }
+    await Session.deleteMany({ user: deletedUser._id });
+    clearAuthCookies(res);
 
     res.status(200).json({ message: "User deleted successfully" });
   } catch (error) {
@@ -159,19 +188,13 @@ const loginUser = async (req, res) => {
       return res.status(401).json({ message: "Invalid password" });
     }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "24h",
-    });
     user.lastLogin = new Date();
     await user.save();
 
-    // set token in cookie and send response
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "Strict",
-      maxAge: 24 * 60 * 60 * 1000, // 1 day
-    });
+    // short-lived access token + rotating refresh token, both set as cookies; only
+    // the access token is also returned, the refresh token stays in its httpOnly cookie
+    const { token, refreshToken } = await createSession(user, req);
+    setAuthCookies(res, { token, refreshToken });
 
     res.status(200).json({
       message: "Login successful",
@@ -183,6 +206,7 @@ const loginUser = async (req, res) => {
         email: user.email,
         profilePic: user.profilePic,
         lastLogin: user.lastLogin,
+        isVerified: user.isVerified,
       },
     });
   } catch (error) {
@@ -207,7 +231,7 @@ const verifyToken = (req, res, next) => {
 
 export {
   registerUser,
-  getUsers,
+  getCurrentUser,
   getUserById,
   updateUser,
   deleteUser,
@@ -3,12 +3,21 @@ import dotenv from "dotenv"
 import connectDB from "./db/index.js"
 import fileRoutes from "./routes/file.routes.js"
 import userRoutes from "./routes/user.routes.js"
+import bundleRoutes from "./routes/bundle.routes.js"
+import shareLinkRoutes from "./routes/shareLink.routes.js"
+import analyticsRoutes from "./routes/analytics.routes.js"
+import adminRoutes from "./routes/admin.routes.js"
 import path from 'path';
 const __dirname = path.resolve();
 
 import express from "express"
 import cors from "cors"
-import { File } from "./models/file.models.js";
+import { findFileByCode } from "./utils/shortCode.utils.js";
+import { hasDownloadAccess } from "./utils/token.utils.js";
+import { hasDownloadLimit } from "./utils/file.utils.js";
+import { startExpirySweeper } from "./jobs/expirySweeper.job.js";
+import { startMalwareScanner } from "./jobs/malwareScan.job.js";
+import { startThumbnailer } from "./jobs/thumbnail.job.js";
 
 
 dotenv.config();
@@ -23,6 +32,10 @@ const startServer = async () => {
     // Register routes
     app.use("/api/files", fileRoutes);
     app.use("/api/users", userRoutes); // 👈 Now you can use /api/users endpoints
+    app.use("/api/bundles", bundleRoutes);
+    app.use("/api/shareLinks", shareLinkRoutes);
+    app.use("/api/analytics", analyticsRoutes);
+    app.use("/api/admin", adminRoutes);
 
     app.use(express.static(path.join(__dirname, '/client')));
 
@@ -35,12 +48,15 @@ app.get('/f/:shortCode', async (req, res) => {
       console.log("Short code:", shortCode);
       // Handle the download logic here
       try {
-         const file=await File.findOne({ shortUrl: `${process.env.BASE_URL}/f/${shortCode}` });
+         const file=await findFileByCode(shortCode);
           if (!file) {
             return res.status(404).send('File not found');
           }
-          // just return that all file info
-         res.json(file);
+          // file info without the password hash; protected, download-limited and
+         // not yet scanned (or quarantined) files also hide their path
+         const { password, ...info } = file.toObject();
+         if (!hasDownloadAccess(req, file) || hasDownloadLimit(file) || file.status !== 'active') delete info.path;
+         res.json(info);
       } catch (error) {
         console.error("Error fetching file:", error);
         res.status(500).send('Internal Server Error');
@@ -51,6 +67,13 @@ app.get('/f/:shortCode', async (req, res) => {
     app.listen(PORT, () => {
       console.log(`✅ Server is running at http://localhost:${PORT}`);
     });
+
+    // Marks expired files and removes their stored objects after the grace period
+    startExpirySweeper();
+    // Clears or quarantines new uploads when MALWARE_SCANNER is set
+    startMalwareScanner();
+    // Makes preview thumbnails of new images, PDFs and videos (THUMBNAILS=off to disable)
+    startThumbnailer();
   } catch (error) {
     console.error("❌ Error starting server:", error);
   }
@@ -0,0 +1,85 @@
+import { File } from "../models/file.models.js";
+import { GuestFile } from "../models/guestFile.models.js";
+import { Bundle } from "../models/bundle.models.js";
+import { purgeStoredObject } from "../utils/purge.utils.js";
+import { abortStaleSessions } from "../utils/uploadSession.utils.js";
+import { withJobLock } from "../utils/jobLock.utils.js";
+
+// ---------- Settings ----------
+const HOUR_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = (Number(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000;
+// Expired files stay restorable (by extending the expiry) for this long before their object is deleted
+const PURGE_GRACE_MS = (Number(process.env.EXPIRY_PURGE_GRACE_HOURS) || 24) * HOUR_MS;
+const PURGE_BATCH_SIZE = 100;
+// Chunked and direct uploads not finished within this long are aborted, which also
+// hands back the storage they reserved
+const UPLOAD_SESSION_MAX_AGE_MS = (Number(process.env.UPLOAD_SESSION_MAX_AGE_HOURS) || 7 * 24) * HOUR_MS;
+const LOCK_NAME = 'expiry-sweeper';
+
+// Flip everything past expiresAt to "expired", the same state downloadInfo sets lazily
+const markExpired = async (now) => {
+  const filter = { status: 'active', expiresAt: { $ne: null, $lt: now } };
+  const [files, guestFiles, bundles] = await Promise.all([
+    File.updateMany(filter, { status: 'expired' }),
+    GuestFile.updateMany(filter, { status: 'expired' }),
+    Bundle.updateMany(filter, { status: 'expired' }),
+  ]);
+  return {
+    files: files.modifiedCount,
+    guestFiles: guestFiles.modifiedCount,
+    bundles: bundles.modifiedCount,
+  };
+};
+
+// Deletes stored objects of files that have been expired (or quarantined and past
+// their expiry) for longer than the grace period, plus any exhausted file whose
+// immediate delete failed. A failed delete is logged and retried on the next run
+const purgeModel = async (Model, cutoff) => {
+  const files = await Model.find({
+    purgedAt: null,
+    $or: [
+      { status: { $in: ['expired', 'quarantined'] }, expiresAt: { $lt: cutoff } },
+      { status: 'exhausted' },
+    ],
+  })
+    .sort({ expiresAt: 1 })
+    .limit(PURGE_BATCH_SIZE);
+
+  let purged = 0;
+  for (const file of files) {
+    if (await purgeStoredObject(Model, file, file.status)) purged += 1;
+  }
+  return purged;
+};
+
+// One full pass. Exported so it can be run by hand or from a test
+export const sweepExpiredFiles = async () => {
+  const now = new Date();
+  const expired = await markExpired(now);
+  const cutoff = new Date(now.getTime() - PURGE_GRACE_MS);
+  const purged = {
+    files: await purgeModel(File, cutoff),
+    guestFiles: await purgeModel(GuestFile, cutoff),
+  };
+  const abandonedUploads = await abortStaleSessions(new Date(now.getTime() - UPLOAD_SESSION_MAX_AGE_MS), PURGE_BATCH_SIZE);
+  return { expired, purged, abandonedUploads };
+};
+
+const runOnce = async () => {
+  try {
+    // The lease is as long as the interval, so a crashed run blocks at most one tick
+    const { ran, result } = await withJobLock(LOCK_NAME, SWEEP_INTERVAL_MS, sweepExpiredFiles);
+    if (ran && (result.purged.files || result.purged.guestFiles || result.expired.files || result.expired.guestFiles || result.abandonedUploads)) {
+      console.log("🧹 Expiry sweep:", JSON.stringify(result));
+    }
+  } catch (err) {
+    console.error("Expiry sweeper failed:", err);
+  }
+};
+
+// Called once the database is connected. EXPIRY_SWEEPER_ENABLED=false turns it off
+export const startExpirySweeper = () => {
+  if (process.env.EXPIRY_SWEEPER_ENABLED === 'false') return null;
+  runOnce();
+  return setInterval(runOnce, SWEEP_INTERVAL_MS);
+};
@@ -0,0 +1,77 @@
+import { File } from "../models/file.models.js";
+import { GuestFile } from "../models/guestFile.models.js";
+import { getScanner } from "../scanners/index.js";
+import { scanPendingFile } from "../utils/scan.utils.js";
+import { withJobLock } from "../utils/jobLock.utils.js";
+import { requestThumbnails } from "./thumbnail.job.js";
+
+// ---------- Settings ----------
+const SCAN_INTERVAL_MS = (Number(process.env.MALWARE_SCAN_INTERVAL_SECONDS) || 30) * 1000;
+const SCAN_BATCH_SIZE = 20;
+// Long enough for a batch of large files; a crashed run holds the lock at most this long
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_NAME = 'malware-scanner';
+
+const scanModel = async (Model, now) => {
+  const files = await Model.find({
+    status: 'pending_scan',
+    $or: [{ 'scan.nextAttemptAt': null }, { 'scan.nextAttemptAt': { $lte: now } }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(SCAN_BATCH_SIZE);
+
+  const counts = { active: 0, quarantined: 0, retry: 0 };
+  for (const file of files) {
+    const status = await scanPendingFile(Model, file);
+    counts[status || 'retry'] += 1;
+  }
+  return counts;
+};
+
+// One pass over the files waiting for a scan. Exported so it can be run by hand or from a test
+export const scanPendingFiles = async () => {
+  const now = new Date();
+  return {
+    files: await scanModel(File, now),
+    guestFiles: await scanModel(GuestFile, now),
+  };
+};
+
+let running = false;
+let rerun = false;
+
+const runOnce = async () => {
+  // A request made while a pass is running gets one more pass afterwards
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      const { ran, result } = await withJobLock(LOCK_NAME, LOCK_TTL_MS, scanPendingFiles);
+      if (ran && (result.files.quarantined || result.guestFiles.quarantined)) {
+        console.log("🦠 Malware scan:", JSON.stringify(result));
+      }
+      // Files cleared by the scan can have their thumbnails made now
+      if (ran && (result.files.active || result.guestFiles.active)) requestThumbnails();
+    } while (rerun);
+  } catch (err) {
+    console.error("Malware scanner failed:", err);
+  } finally {
+    running = false;
+  }
+};
+
+// Called after an upload so new files don't wait for the next tick
+export const requestMalwareScan = () => {
+  if (getScanner()) setImmediate(runOnce);
+};
+
+// Called once the database is connected. Does nothing unless MALWARE_SCANNER is set
+export const startMalwareScanner = () => {
+  if (!getScanner()) return null;
+  runOnce();
+  return setInterval(runOnce, SCAN_INTERVAL_MS);
+};
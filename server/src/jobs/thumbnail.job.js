@@ -0,0 +1,73 @@
+import { File } from "../models/file.models.js";
+import { GuestFile } from "../models/guestFile.models.js";
+import { thumbnailsEnabled } from "../thumbnailers/index.js";
+import { generatePendingThumbnail } from "../utils/thumbnail.utils.js";
+import { withJobLock } from "../utils/jobLock.utils.js";
+
+// ---------- Settings ----------
+const THUMBNAIL_INTERVAL_MS = (Number(process.env.THUMBNAIL_INTERVAL_SECONDS) || 30) * 1000;
+const THUMBNAIL_BATCH_SIZE = 20;
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_NAME = 'thumbnailer';
+
+const thumbnailModel = async (Model, now) => {
+  // Files still waiting for the malware scan (or quarantined) are never opened
+  const files = await Model.find({
+    status: 'active',
+    'thumbnail.status': 'pending',
+    $or: [{ 'thumbnail.nextAttemptAt': null }, { 'thumbnail.nextAttemptAt': { $lte: now } }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(THUMBNAIL_BATCH_SIZE);
+
+  const counts = { ready: 0, failed: 0, retry: 0 };
+  for (const file of files) {
+    const status = await generatePendingThumbnail(Model, file);
+    if (status) counts[status] += 1;
+    else counts.retry += 1;
+  }
+  return counts;
+};
+
+// One pass over the files waiting for a thumbnail. Exported so it can be run by hand or from a test
+export const generatePendingThumbnails = async () => {
+  const now = new Date();
+  return {
+    files: await thumbnailModel(File, now),
+    guestFiles: await thumbnailModel(GuestFile, now),
+  };
+};
+
+let running = false;
+let rerun = false;
+
+const runOnce = async () => {
+  // A request made while a pass is running gets one more pass afterwards
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      await withJobLock(LOCK_NAME, LOCK_TTL_MS, generatePendingThumbnails);
+    } while (rerun);
+  } catch (err) {
+    console.error("Thumbnail generation failed:", err);
+  } finally {
+    running = false;
+  }
+};
+
+// Called after an upload, or a clean scan, so thumbnails don't wait for the next tick
+export const requestThumbnails = () => {
+  if (thumbnailsEnabled()) setImmediate(runOnce);
+};
+
+// Called once the database is connected. Does nothing when THUMBNAILS=off
+export const startThumbnailer = () => {
+  if (!thumbnailsEnabled()) return null;
+  runOnce();
+  return setInterval(runOnce, THUMBNAIL_INTERVAL_MS);
+};
@@ -1,20 +1,99 @@
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { File } from "../models/file.models.js";
+import { Session } from "../models/session.models.js";
+import { User } from "../models/user.models.js";
+import { isSessionActive, touchSession } from "../utils/session.utils.js";
 
-const authenticate = (req, res, next) => {
+// Bearer header first, then the httpOnly cookie set by loginUser
+const readToken = (req) => {
   const authHeader = req.header("Authorization");
+  if (authHeader && authHeader.startsWith("Bearer ")) return authHeader.split(" ")[1];
+  return req.cookies?.token || null;
+};
+
+// Resolves an access token to its payload, or null when the token is invalid,
+// expired, or its session has been signed out
+const verifyAccessToken = async (req, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (!decoded.userId || !decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!isSessionActive(session) || String(session.user) !== String(decoded.userId)) return null;
+  touchSession(session, req);
+  return decoded;
+};
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+const authenticate = async (req, res, next) => {
+  const token = readToken(req);
+
+  if (!token) {
     return res.status(401).json({ message: "Access denied. No token provided." });
   }
 
-  const token = authHeader.split(" ")[1];
+  try {
+    const decoded = await verifyAccessToken(req, token);
+    if (!decoded) return res.status(401).json({ message: "Invalid or expired token." });
+    req.user = decoded; // You can access this in your controllers via req.user.userId (and req.user.sid)
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Could not verify session." });
+  }
+};
+
+// For routes guests may also use: sets req.user when a valid token is present
+export const optionalAuthenticate = async (req, res, next) => {
+  const token = readToken(req);
+  try {
+    // treat an invalid token like no token
+    if (token) req.user = (await verifyAccessToken(req, token)) || undefined;
+  } catch (err) {
+    console.error(err);
+  }
+  next();
+};
+
+// Only the account owner may read or change /user/:userId
+export const requireSelf = (req, res, next) => {
+  if (req.params.userId !== String(req.user.userId)) {
+    return res.status(403).json({ message: "You can only access your own account." });
+  }
+  next();
+};
+
+// Site-wide settings may only be changed by accounts with the admin role
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    if (user?.role !== 'admin') return res.status(403).json({ message: "Admins only." });
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// The file named by :fileId (or body.fileId) must belong to the caller
+export const requireFileOwner = async (req, res, next) => {
+  const fileId = req.params.fileId || req.body.fileId;
+  if (!mongoose.isValidObjectId(fileId)) return res.status(404).json({ error: 'File not found' });
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // You can access this in your controllers via req.user.userId
+    const file = await File.findById(fileId).select('createdBy');
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    if (String(file.createdBy) !== String(req.user.userId)) {
+      return res.status(403).json({ error: 'You do not have access to this file' });
+    }
     next();
   } catch (err) {
-    return res.status(400).json({ message: "Invalid or expired token." });
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
   }
 };
 
@@ -0,0 +1,14 @@
+import { pasteAsUpload } from "../utils/paste.utils.js";
+
+// Turns a JSON paste into the single in-memory file the upload controllers
+// expect, so pastes are stored and linked exactly like uploads
+const pasteToUpload = (req, res, next) => {
+  const { file, error } = pasteAsUpload(req.body);
+  if (error) return res.status(400).json({ error });
+  // Pastes are never end-to-end encrypted
+  delete req.body.encryption;
+  req.files = [file];
+  next();
+};
+
+export default pasteToUpload;
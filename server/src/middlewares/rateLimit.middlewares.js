@@ -0,0 +1,74 @@
+// In-memory limiters: failed file-password attempts (per file and per IP) and account emails
+const WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_FILE = 10;
+const MAX_FAILURES_PER_IP = 20;
+
+const failures = new Map(); // key -> { count, resetAt }
+
+const current = (key) => {
+  const entry = failures.get(key);
+  if (entry && entry.resetAt <= Date.now()) {
+    failures.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+const bump = (key) => {
+  const entry = current(key);
+  if (entry) entry.count += 1;
+  else failures.set(key, { count: 1, resetAt: Date.now() + WINDOW_MS });
+};
+
+// Drop stale entries so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of failures) if (entry.resetAt <= now) failures.delete(key);
+}, WINDOW_MS).unref();
+
+const keysFor = (req) => ({
+  fileKey: `file:${req.body.shortCode}`,
+  ipKey: `ip:${req.ip}`,
+});
+
+export const passwordAttemptLimiter = (req, res, next) => {
+  const { fileKey, ipKey } = keysFor(req);
+  const blocked = [[fileKey, MAX_FAILURES_PER_FILE], [ipKey, MAX_FAILURES_PER_IP]]
+    .map(([key, max]) => ({ entry: current(key), max }))
+    .find(({ entry, max }) => entry && entry.count >= max);
+
+  if (blocked) {
+    const retryAfter = Math.ceil((blocked.entry.resetAt - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, error: 'Too many incorrect attempts. Try again later.' });
+  }
+  next();
+};
+
+export const recordFailedPasswordAttempt = (req) => {
+  const { fileKey, ipKey } = keysFor(req);
+  bump(fileKey);
+  bump(ipKey);
+};
+
+// ---------- Account emails ----------
+// Every request counts here, not just failures: each one sends an email
+const MAX_EMAILS_PER_ADDRESS = 5;
+const MAX_EMAILS_PER_IP = 20;
+
+export const accountEmailLimiter = (req, res, next) => {
+  const addressKey = `mail:${String(req.body.email || req.user?.userId || '').toLowerCase()}`;
+  const ipKey = `mail-ip:${req.ip}`;
+  const blocked = [[addressKey, MAX_EMAILS_PER_ADDRESS], [ipKey, MAX_EMAILS_PER_IP]]
+    .map(([key, max]) => ({ entry: current(key), max }))
+    .find(({ entry, max }) => entry && entry.count >= max);
+
+  if (blocked) {
+    const retryAfter = Math.ceil((blocked.entry.resetAt - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message: 'Too many emails requested. Try again later.' });
+  }
+  bump(addressKey);
+  bump(ipKey);
+  next();
+};
@@ -1,21 +1,16 @@
 import multer from 'multer';
-import path from 'path';
+import { extensionOf, isSupportedExtension } from '../utils/fileType.utils.js';
 
 const storage = multer.memoryStorage();
 
-const allowedExtensions = [
-  '.jpg', '.jpeg', '.webp', '.png',
-  '.mp4', '.avi', '.mov', '.mkv', '.mk3d', '.mks', '.mka',
-  '.pdf'
-];
-
+// Only rules out extensions we can't identify at all; the caller's type policy
+// and the content check run in the controller, once the bytes are in memory
 const upload = multer({
   storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
   fileFilter: (_req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (!allowedExtensions.includes(ext)) {
-      return cb(new Error(`❌ Unsupported file type: ${ext}`));
+    if (!isSupportedExtension(file.originalname)) {
+      return cb(new Error(`❌ Unsupported file type: ${extensionOf(file.originalname)}`));
     }
     cb(null, true);
   }
@@ -0,0 +1,40 @@
+import mongoose, { Schema } from "mongoose";
+
+// Single-use emailed tokens (email verification, password reset).
+// Only a hash is stored; the raw token exists only in the email link
+const accountTokenSchema = new Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['verify_email', 'reset_password'],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // ⏳ Expiry, also used by the TTL index below
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  // ✅ Set once the link has been used
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
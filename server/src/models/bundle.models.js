@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+
+// A group of the owner's files shared under one short link
+const bundleSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  files: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "File",
+  }],
+  downloadedContent: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+
+  // ✅ Optional Password Protection
+  isPasswordProtected: {
+    type: Boolean,
+    default: false,
+  },
+  password: {
+    type: String, // store hashed password using bcrypt
+    default: null,
+  },
+
+  // ✅ Optional Expiry
+  hasExpiry: {
+    type: Boolean,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
+  // ✅ Status (active/inactive)
+  status: {
+    type: String,
+    enum: ['active', 'expired'],
+    default: 'active',
+  },
+  shortUrl: {
+    type: String,
+    default: null,
+  },
+  // ✅ User ID
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+}, { timestamps: true });
+
+export const Bundle = mongoose.model("Bundle", bundleSchema);
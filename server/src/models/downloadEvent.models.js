@@ -0,0 +1,60 @@
+import mongoose, { Schema } from "mongoose";
+
+// How long events are kept before MongoDB drops them
+const RETENTION_DAYS = Number(process.env.DOWNLOAD_EVENT_RETENTION_DAYS) || 180;
+
+// One attempt to open or download a shared file. The visitor's IP is only kept as
+// a salted hash, enough to count unique visitors without storing the address
+const downloadEventSchema = new Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  fileModel: {
+    type: String,
+    enum: ['File', 'GuestFile'],
+    required: true,
+  },
+  // 👤 Owner of the file (null for guest uploads), what the analytics are grouped by
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  shortCode: {
+    type: String,
+    required: true,
+  },
+
+  // 🕵️ Visitor
+  ipHash: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  referrer: {
+    type: String,
+    default: '',
+  },
+  country: {
+    type: String,
+    default: 'Unknown',
+  },
+
+  // ✅ What happened
+  outcome: {
+    type: String,
+    enum: ['success', 'wrong_password', 'expired', 'exhausted'],
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+downloadEventSchema.index({ owner: 1, createdAt: -1 });
+downloadEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export const DownloadEvent = mongoose.model('DownloadEvent', downloadEventSchema);
@@ -17,12 +17,35 @@ const fileSchema = new Schema({
     type: Number,
     required: true,
   },
+  // 📝 'paste' for text typed or pasted into the uploader, with its language hint
+  // for highlighting; 'file' for everything uploaded as a file
+  kind: {
+    type: String,
+    enum: ['file', 'paste'],
+    default: 'file',
+  },
+  language: {
+    type: String,
+    default: null,
+  },
   downloadedContent: {
     type: Number,
     required: true,
     default: 0,
   },
 
+  // 🔑 Content hash (hex SHA-256) and the shared object it points at; both are
+  // null for files stored before deduplication
+  sha256: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  storageKey: {
+    type: String,
+    default: null,
+  },
+
   // ✅ Optional Password Protection
   isPasswordProtected: {
     type: Boolean,
@@ -43,12 +66,59 @@ const fileSchema = new Schema({
     default: null,
   },
 
-  // ✅ Status (active/inactive)
+  // 🔐 End-to-end encryption scheme ('aes-gcm-v1'), or null for a plain upload.
+  // Encrypted files are stored as ciphertext; the key only travels in the share link's #fragment
+  encryption: {
+    type: String,
+    default: null,
+  },
+
+  // ✅ Optional Download Limit (burn after reading is a limit of 1)
+  maxDownloads: {
+    type: Number,
+    default: null,
+  },
+  burnAfterReading: {
+    type: Boolean,
+    default: false,
+  },
+
+  // ✅ Status (pending_scan/active/quarantined/expired, or exhausted once the download limit is used up)
   status: {
     type: String,
-    enum: ['active', 'expired'],
+    enum: ['pending_scan', 'active', 'quarantined', 'expired', 'exhausted'],
     default: 'active',
   },
+
+  // 🦠 Malware scan. New files wait in "pending_scan" until the scanner marks them
+  // "active" or "quarantined" (see jobs/malwareScan.job.js)
+  scan: {
+    scannedAt: { type: Date, default: null },
+    scanner: { type: String, default: null },
+    signature: { type: String, default: null }, // what the scanner found, when quarantined
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null },
+    error: { type: String, default: null },
+  },
+
+  // 🖼️ Preview thumbnail, made in the background once the file is active.
+  // Status is null for files that get none (unsupported type, end-to-end encrypted)
+  thumbnail: {
+    status: { type: String, enum: ['pending', 'ready', 'failed'], default: null },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null },
+    error: { type: String, default: null },
+  },
+  thumbnailUrl: {
+    type: String,
+    default: null,
+  },
+
+  // 🧹 Set once the stored object has been deleted (expiry sweep or used-up limit)
+  purgedAt: {
+    type: Date,
+    default: null,
+  },
   shortUrl: {
     type: String,
     default: null,
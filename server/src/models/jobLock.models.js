@@ -0,0 +1,20 @@
+import mongoose, { Schema } from "mongoose";
+
+// One document per background job; whoever holds an unexpired lease runs it
+const jobLockSchema = new Schema({
+  _id: {
+    type: String, // job name
+  },
+  owner: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(0),
+  },
+}, {
+  timestamps: true,
+});
+
+export const JobLock = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,57 @@
+import mongoose, { Schema } from "mongoose";
+
+// Audit trail of stored objects removed by the expiry sweeper or a used-up download limit
+const purgeLogSchema = new Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // 'File' or 'GuestFile'
+  fileModel: {
+    type: String,
+    enum: ['File', 'GuestFile'],
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    default: 0,
+  },
+  // User id, or the "guest_<id>" marker for guest uploads
+  createdBy: {
+    type: String,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  // Why the object went: past its expiry, its download limit was used up, or it
+  // was quarantined as malware and has since expired
+  reason: {
+    type: String,
+    enum: ['expired', 'exhausted', 'quarantined'],
+    default: 'expired',
+  },
+  storageDriver: {
+    type: String,
+    required: true,
+  },
+
+  // ❌ Present when the delete failed; the sweeper retries on its next run
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+export const PurgeLog = mongoose.model('PurgeLog', purgeLogSchema);
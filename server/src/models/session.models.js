@@ -0,0 +1,57 @@
+import mongoose, { Schema } from "mongoose";
+
+// One signed-in device. The refresh token itself is never stored, only its hash,
+// and it is replaced on every refresh
+const sessionSchema = new Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // 🔁 The token the last rotation replaced, still accepted for a few seconds so
+  // tabs that refresh at the same time don't look like token reuse
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // ⏳ Refresh token lifetime, pushed forward on each rotation
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  // 🚫 Set on sign-out, remote revoke, or refresh token reuse
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
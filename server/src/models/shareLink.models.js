@@ -0,0 +1,80 @@
+import mongoose, { Schema } from "mongoose";
+
+// One more link to an owner's file, with its own rules. Visitors of the link get
+// its password, expiry and download limit instead of the file's, so each recipient
+// can have their own link and any one can be turned off without touching the rest.
+// Fields shared with File have the same names, so the download-limit helpers work on both
+const shareLinkSchema = new Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "File",
+    required: true,
+    index: true,
+  },
+  // 🏷️ Who the link is for, as the owner sees it ("Client review", "Alice")
+  label: {
+    type: String,
+    default: '',
+  },
+  shortUrl: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+
+  // ✅ Optional Password Protection
+  isPasswordProtected: {
+    type: Boolean,
+    default: false,
+  },
+  password: {
+    type: String, // store hashed password using bcrypt
+    default: null,
+  },
+
+  // ✅ Optional Expiry (the file's own expiry still applies)
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
+  // ✅ Optional Download Limit (burn after reading is a limit of 1)
+  maxDownloads: {
+    type: Number,
+    default: null,
+  },
+  burnAfterReading: {
+    type: Boolean,
+    default: false,
+  },
+
+  // 📊 Downloads through this link
+  downloadedContent: {
+    type: Number,
+    default: 0,
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // ✅ Status (exhausted once the link's download limit is used up)
+  status: {
+    type: String,
+    enum: ['active', 'exhausted'],
+    default: 'active',
+  },
+  // ✅ User ID
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+}, { timestamps: true });
+
+export const ShareLink = mongoose.model("ShareLink", shareLinkSchema);
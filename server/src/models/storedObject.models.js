@@ -0,0 +1,99 @@
+import mongoose, { Schema } from "mongoose";
+
+// Data key the object is encrypted with at rest (see utils/dataKey.utils.js),
+// wrapped by the master key `keyId`
+export const dataKeySchema = new Schema({
+  algorithm: {
+    type: String,
+    required: true,
+  },
+  iv: {
+    type: String,
+    required: true,
+  },
+  keyId: {
+    type: String,
+    required: true,
+  },
+  wrappedKey: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+// One stored object, shared by every File/GuestFile with the same bytes.
+// The object is deleted when the last file referencing it goes
+const storedObjectSchema = new Schema({
+  // 🔑 SHA-256 of the content (hex)
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Where the bytes live: "file-share-app/sha256/<hash>", or the original upload
+  // key for chunked/direct uploads, which can't be renamed in place
+  key: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  contentType: {
+    type: String,
+    default: null,
+  },
+
+  // 🔗 Number of file records pointing at this object
+  refCount: {
+    type: Number,
+    default: 0,
+  },
+  storageDriver: {
+    type: String,
+    required: true,
+  },
+  // 🔐 Null for objects stored before encryption at rest was turned on
+  dataKey: {
+    type: dataKeySchema,
+    default: null,
+  },
+
+  // 🖼️ Thumbnail stored beside the object, shared like the object itself
+  thumbnail: {
+    type: new Schema({
+      key: { type: String, required: true },
+      size: { type: Number, required: true },
+      dataKey: { type: dataKeySchema, default: null },
+      generatedAt: { type: Date, required: true },
+    }, { _id: false }),
+    default: null,
+  },
+
+  // 📄 Browser-friendly rendition (PDF or HTML) of an Office document, made on the
+  // first preview. A failed conversion keeps only `error`, until it may be retried
+  rendition: {
+    type: new Schema({
+      key: { type: String, default: null },
+      size: { type: Number, default: null },
+      contentType: { type: String, default: null },
+      dataKey: { type: dataKeySchema, default: null },
+      error: { type: String, default: null },
+      generatedAt: { type: Date, required: true },
+    }, { _id: false }),
+    default: null,
+  },
+
+  // 🦠 Last malware scan of these bytes, reused by later uploads of the same content
+  scanResult: {
+    clean: { type: Boolean, default: null },
+    signature: { type: String, default: null },
+    scanner: { type: String, default: null },
+    scannedAt: { type: Date, default: null },
+  },
+}, {
+  timestamps: true,
+});
+
+export const StoredObject = mongoose.model('StoredObject', storedObjectSchema);
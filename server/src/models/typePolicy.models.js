@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+
+// Entries are categories ('image', 'document', ...), extensions ('.zip') or '*'.
+// A file must match the allow list and not the deny list; deny wins
+const typeRulesSchema = new Schema({
+  allow: {
+    type: [String],
+    default: ['*'],
+  },
+  deny: {
+    type: [String],
+    default: [],
+  },
+}, { _id: false });
+
+// Admin-edited file-type policy. There is a single document, with _id 'default'
+const typePolicySchema = new Schema({
+  _id: {
+    type: String,
+    default: 'default',
+  },
+  // 🙋 Signed-in users whose plan has no rules of its own
+  users: {
+    type: typeRulesSchema,
+    default: () => ({}),
+  },
+  // 👤 Guest uploads
+  guests: {
+    type: typeRulesSchema,
+    default: () => ({}),
+  },
+  // 💳 Per plan tier, keyed by plan name
+  plans: {
+    type: Map,
+    of: typeRulesSchema,
+    default: () => new Map(),
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+export const TypePolicy = mongoose.model('TypePolicy', typePolicySchema);
@@ -0,0 +1,122 @@
+import mongoose, { Schema } from "mongoose";
+import { dataKeySchema } from "./storedObject.models.js";
+
+const isMultipart = function () {
+  return this.strategy === 'multipart';
+};
+
+// Tracks an upload that happens outside a single request: either an S3
+// multipart upload the client can resume, or a presigned direct-to-bucket upload
+const uploadSessionSchema = new Schema({
+  strategy: {
+    type: String,
+    enum: ['multipart', 'presigned'],
+    default: 'multipart',
+  },
+  // S3 multipart UploadId (never sent to the client)
+  uploadId: {
+    type: String,
+    required: isMultipart,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  originalName: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  chunkSize: {
+    type: Number,
+    required: isMultipart,
+  },
+  totalChunks: {
+    type: Number,
+    required: isMultipart,
+  },
+
+  // ✅ Options applied to the File once the upload completes
+  isPasswordProtected: {
+    type: Boolean,
+    default: false,
+  },
+  password: {
+    type: String, // already hashed with bcrypt
+    default: null,
+  },
+  hasExpiry: {
+    type: Boolean,
+    default: false,
+  },
+  expiresInHours: {
+    type: Number,
+    default: null,
+  },
+  maxDownloads: {
+    type: Number,
+    default: null,
+  },
+  burnAfterReading: {
+    type: Boolean,
+    default: false,
+  },
+  // 🔐 End-to-end encryption scheme, copied to the File
+  encryption: {
+    type: String,
+    default: null,
+  },
+  // 🔗 Custom link the owner asked for, claimed when the File is created
+  slug: {
+    type: String,
+    default: null,
+  },
+  // 🔐 Data key the chunks are encrypted with at rest, handed to the StoredObject
+  dataKey: {
+    type: dataKeySchema,
+    default: null,
+  },
+
+  // 'completing' while one complete/finalize call creates the file (see claimSession)
+  status: {
+    type: String,
+    enum: ['uploading', 'completing', 'completed', 'aborted'],
+    default: 'uploading',
+  },
+  // File or GuestFile created on completion
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  isGuest: {
+    type: Boolean,
+    default: false,
+  },
+  // 💾 Bytes counted against the owner's storage since init (see reserveStorage)
+  reservedBytes: {
+    type: Number,
+    default: 0,
+  },
+  // ✅ User ID (empty for guest uploads)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: function () {
+      return !this.isGuest;
+    },
+  },
+
+}, { timestamps: true });
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
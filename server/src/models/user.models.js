@@ -11,8 +11,14 @@ const userSchema = new mongoose.Schema({
   videoCount: { type: Number, default: 0 },
   imageCount: { type: Number, default: 0 },
   documentCount: { type: Number, default: 0 },
+  storageUsed: { type: Number, default: null },  // bytes held by the user's files; null until first counted
+  plan: { type: String, default: null },  // plan tier name (see config/plans.js); null means the default tier
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },  // admins can change site-wide settings such as the file-type policy
   profilePic: { type: String, default: 'https://avatar.iran.liara.run/public/1' },  // Optional for user profile picture
   lastLogin: { type: Date, default: Date.now },
+  // New signups start unverified (see registerUser) until the email link is followed.
+  // Accounts from before verification existed have no value and read as verified
+  isVerified: { type: Boolean, default: true },
 });
 
 userSchema.pre('save', async function (next) {
@@ -22,6 +28,14 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
+// Never send the password hash back in an API response
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  },
+});
+
 const User = mongoose.model('User', userSchema);
 
 export {User};
\ No newline at end of file
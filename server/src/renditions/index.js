@@ -0,0 +1,24 @@
+import officeRendition from "./office.rendition.js";
+
+// Renditions are previews in a format browsers can show, made on first request.
+// Every renderer implements the same API:
+//   name
+//   supports(mime) -> boolean
+//   formatFor(mime) -> 'pdf' | 'html'
+//   generate(inputPath, outputDir, { format })   resolves to the path of the file it
+//                                                wrote; rejects when the tool fails or is missing
+const renderers = [officeRendition];
+
+export const RENDITION_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  html: 'text/html; charset=utf-8',
+};
+
+// RENDITIONS=off turns document previews off. Read on use, since this module loads before the .env file
+export const renditionsEnabled = () => (process.env.RENDITIONS || 'on').toLowerCase() !== 'off';
+
+// Larger files aren't converted, so one upload can't tie the converter up for minutes
+export const renditionMaxBytes = () => Number(process.env.RENDITION_MAX_BYTES) || 25 * 1024 * 1024;
+
+export const rendererFor = (mime) =>
+  (renditionsEnabled() && mime && renderers.find((r) => r.supports(mime))) || null;
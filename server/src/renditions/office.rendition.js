@@ -0,0 +1,46 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { runTool } from "../utils/tool.utils.js";
+
+const CONVERT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Spreadsheets read better as HTML tables than as paginated PDF
+const SPREADSHEETS = [
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.oasis.opendocument.spreadsheet',
+];
+const DOCUMENTS = [
+  'application/msword',
+  'application/rtf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.presentation',
+];
+
+// Converts Office and OpenDocument files with LibreOffice in headless mode
+const officeRendition = {
+  name: 'libreoffice',
+
+  supports: (mime) => SPREADSHEETS.includes(mime) || DOCUMENTS.includes(mime),
+
+  formatFor: (mime) => (SPREADSHEETS.includes(mime) ? 'html' : 'pdf'),
+
+  async generate(input, outputDir, { format }) {
+    // Each run gets a profile of its own: LibreOffice won't share one between processes
+    const profile = pathToFileURL(path.join(outputDir, 'profile')).href;
+    await runTool('soffice', [
+      '--headless', '--norestore', '--nolockcheck',
+      `-env:UserInstallation=${profile}`,
+      '--convert-to', format,
+      '--outdir', outputDir,
+      input,
+    ], { timeoutMs: CONVERT_TIMEOUT_MS });
+    // The output keeps the input's name with the new extension
+    return path.join(outputDir, `${path.parse(input).name}.${format}`);
+  },
+};
+
+export default officeRendition;
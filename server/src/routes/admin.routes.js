@@ -0,0 +1,11 @@
+import { Router } from "express"
+import authenticate, { requireAdmin } from "../middlewares/auth.middlewares.js";
+import { getTypePolicy, updateTypePolicy } from "../controllers/admin.controller.js";
+
+const router=Router();
+
+// Site-wide settings; every route needs an account with the admin role
+router.get("/type-policy", authenticate, requireAdmin, getTypePolicy);
+router.put("/type-policy", authenticate, requireAdmin, updateTypePolicy);
+
+export default router;
@@ -0,0 +1,13 @@
+import { Router } from "express"
+import authenticate from "../middlewares/auth.middlewares.js";
+import { getDailyDownloads, getTopFiles, getCountryBreakdown, getReferrerBreakdown } from "../controllers/analytics.controller.js";
+
+const router=Router();
+
+// Download analytics for the signed-in user's own files
+router.get("/downloads/daily", authenticate, getDailyDownloads);
+router.get("/downloads/top-files", authenticate, getTopFiles);
+router.get("/downloads/countries", authenticate, getCountryBreakdown);
+router.get("/downloads/referrers", authenticate, getReferrerBreakdown);
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from "express"
+import { passwordAttemptLimiter } from "../middlewares/rateLimit.middlewares.js";
+import authenticate, { requireSelf } from "../middlewares/auth.middlewares.js";
+import { createBundle, bundleInfo, verifyBundlePassword, downloadBundleZip, getUserBundles, deleteBundle } from "../controllers/bundle.controller.js";
+
+const router=Router();
+
+router.post("/create", authenticate, createBundle);
+router.get("/b/:shortCode", bundleInfo);
+router.get("/b/:shortCode/zip", downloadBundleZip);
+router.post("/verifyBundlePassword", passwordAttemptLimiter, verifyBundlePassword);
+router.get("/user/:userId", authenticate, requireSelf, getUserBundles);
+router.delete("/:bundleId", authenticate, deleteBundle);
+
+export default router;
@@ -1,37 +1,67 @@
 import express, { Router } from "express"
 import upload from "../middlewares/upload.middlewares.js";
-import { deleteFile, downloadInfo, downloadFile, generateQR, generateShareShortenLink, getDownloadCount, getFileDetails, getUserFiles, resolveShareLink, searchFiles, sendLinkEmail, showUserFiles, updateAllFileExpiry, updateFileExpiry, updateFilePassword, updateFileStatus, uploadFiles, verifyFilePassword, uploadFilesGuest, guestDownloadInfo, verifyGuestFilePassword ,  } from "../controllers/file.controller.js";
+import pasteToUpload from "../middlewares/paste.middlewares.js";
+import { passwordAttemptLimiter } from "../middlewares/rateLimit.middlewares.js";
+import authenticate, { optionalAuthenticate, requireFileOwner, requireSelf } from "../middlewares/auth.middlewares.js";
+import { deleteFile, downloadInfo, downloadFile, generateQR, generateShareShortenLink, addFileAlias, removeFileAlias, getDownloadCount, getFileDetails, getUserFiles, resolveShareLink, searchFiles, sendLinkEmail, showUserFiles, updateAllFileExpiry, updateFileExpiry, updateFilePassword, updateFileStatus, uploadFiles, verifyFilePassword, uploadFilesGuest, guestDownloadInfo, verifyGuestFilePassword ,  } from "../controllers/file.controller.js";
+import { streamDownload, guestStreamDownload, rawDownload, guestRawDownload, thumbnailDownload, guestThumbnailDownload, renditionDownload, guestRenditionDownload, createSelectionZipToken, downloadSelectionZip } from "../controllers/download.controller.js";
+import { initChunkedUpload, uploadChunk, getChunkedUploadStatus, completeChunkedUpload, abortChunkedUpload, initDirectUpload, finalizeDirectUpload, CHUNK_SIZE } from "../controllers/upload.controller.js";
 
 
 const router=Router();
 
-router.post("/upload", upload.array('files'), uploadFiles);
+router.post("/upload", authenticate, upload.array('files'), uploadFiles);
 router.post("/upload-guest", upload.array('files'), uploadFilesGuest);
+router.post("/paste", authenticate, pasteToUpload, uploadFiles);
+router.post("/paste-guest", pasteToUpload, uploadFilesGuest);
+
+// Resumable chunked uploads (S3 multipart)
+router.post("/chunked/init", authenticate, initChunkedUpload);
+router.put("/chunked/:uploadId/chunks/:partNumber", authenticate, express.raw({ type: 'application/octet-stream', limit: CHUNK_SIZE }), uploadChunk);
+router.get("/chunked/:uploadId", authenticate, getChunkedUploadStatus);
+router.post("/chunked/:uploadId/complete", authenticate, completeChunkedUpload);
+router.delete("/chunked/:uploadId", authenticate, abortChunkedUpload);
+
+// Direct browser-to-bucket uploads via presigned PUT/POST
+router.post("/direct/init", optionalAuthenticate, initDirectUpload);
+router.post("/direct/:uploadId/finalize", optionalAuthenticate, finalizeDirectUpload);
 
 router.get("/download/:fileId",downloadFile);
-router.delete("/delete/:fileId",deleteFile);
-router.put("/update/:fileId",updateFileStatus);
-router.get("/getFileDetails/:fileId",getFileDetails);
-router.post('/generateShareShortenLink', generateShareShortenLink);
-router.post('/sendLinkEmail', sendLinkEmail);
+router.delete("/delete/:fileId", authenticate, requireFileOwner, deleteFile);
+router.put("/update/:fileId", authenticate, requireFileOwner, updateFileStatus);
+router.get("/getFileDetails/:fileId", authenticate, requireFileOwner, getFileDetails);
+router.post('/generateShareShortenLink', authenticate, requireFileOwner, generateShareShortenLink);
+router.post('/fileAliases', authenticate, requireFileOwner, addFileAlias);
+router.delete('/fileAliases/:fileId/:slug', authenticate, requireFileOwner, removeFileAlias);
+router.post('/sendLinkEmail', authenticate, requireFileOwner, sendLinkEmail);
 
-router.post('/FileExpiry', updateFileExpiry);
-router.post('/updateAllFileExpiry', updateAllFileExpiry);
-router.post('/updateFilePassword', updateFilePassword);
-router.get('/searchFiles', searchFiles);
-router.get('/showUserFiles', showUserFiles);
+router.post('/FileExpiry', authenticate, requireFileOwner, updateFileExpiry);
+router.post('/updateAllFileExpiry', authenticate, updateAllFileExpiry);
+router.post('/updateFilePassword', authenticate, requireFileOwner, updateFilePassword);
+router.get('/searchFiles', authenticate, searchFiles);
+router.get('/showUserFiles', authenticate, showUserFiles);
 
-router.get('/generateQR/:fileId', generateQR);
-router.get('/getDownloadCount/:fileId', getDownloadCount);
+router.get('/generateQR/:fileId', authenticate, requireFileOwner, generateQR);
+router.get('/getDownloadCount/:fileId', authenticate, requireFileOwner, getDownloadCount);
 
 router.get('/f/:shortCode',downloadInfo);
 router.get('/g/:shortCode',guestDownloadInfo);
+router.get('/f/:shortCode/stream', streamDownload);
+router.get('/g/:shortCode/stream', guestStreamDownload);
+router.get('/f/:shortCode/raw', rawDownload);
+router.get('/g/:shortCode/raw', guestRawDownload);
+router.get('/f/:shortCode/thumbnail', thumbnailDownload);
+router.get('/g/:shortCode/thumbnail', guestThumbnailDownload);
+router.get('/f/:shortCode/rendition', renditionDownload);
+router.get('/g/:shortCode/rendition', guestRenditionDownload);
+router.post('/zip', authenticate, createSelectionZipToken);
+router.get('/zip', downloadSelectionZip);
 
 router.get('/resolveShareLink/:code', resolveShareLink);
-router.post('/verifyFilePassword', verifyFilePassword);
-router.post('/verifyGuestFilePassword', verifyGuestFilePassword);
+router.post('/verifyFilePassword', passwordAttemptLimiter, verifyFilePassword);
+router.post('/verifyGuestFilePassword', passwordAttemptLimiter, verifyGuestFilePassword);
 
-router.get('/getUserFiles/:userId', getUserFiles);
+router.get('/getUserFiles/:userId', authenticate, requireSelf, getUserFiles);
 
 
 
@@ -0,0 +1,12 @@
+import { Router } from "express"
+import authenticate, { requireFileOwner } from "../middlewares/auth.middlewares.js";
+import { getShareLinks, createShareLink, updateShareLink, deleteShareLink } from "../controllers/shareLink.controller.js";
+
+const router=Router();
+
+router.get("/file/:fileId", authenticate, requireFileOwner, getShareLinks);
+router.post("/create", authenticate, requireFileOwner, createShareLink);
+router.put("/:fileId/:linkId", authenticate, requireFileOwner, updateShareLink);
+router.delete("/:fileId/:linkId", authenticate, requireFileOwner, deleteShareLink);
+
+export default router;
@@ -2,15 +2,26 @@
 import express , { Router } from "express"
 
 const router=Router();
-import { getUsers, getUserById, registerUser, loginUser, updateUser, deleteUser, logoutUser } from "../controllers/user.controller.js";
-import authenticate from "../middlewares/auth.middlewares.js";
+import { getCurrentUser, getUserById, registerUser, loginUser, updateUser, deleteUser, logoutUser } from "../controllers/user.controller.js";
+import { verifyEmail, resendVerification, forgotPassword, resetPassword } from "../controllers/account.controller.js";
+import { accountEmailLimiter } from "../middlewares/rateLimit.middlewares.js";
+import { refreshSession, getSessions, revokeSession, revokeAllSessions } from "../controllers/session.controller.js";
+import authenticate, { optionalAuthenticate, requireSelf } from "../middlewares/auth.middlewares.js";
 
-router.get("/user", getUsers);
-router.get("/user/:userId", getUserById);
+router.get("/user", authenticate, getCurrentUser);
+router.get("/user/:userId", authenticate, requireSelf, getUserById);
 router.post("/register", registerUser);
 router.post("/login", loginUser);
-router.get('/logout',logoutUser)
-router.put("/user/:userId", updateUser);
-router.delete("/user/:userId", deleteUser);
+router.get('/logout', optionalAuthenticate, logoutUser)
+router.post("/refresh", refreshSession);
+router.post("/verifyEmail", verifyEmail);
+router.post("/resendVerification", authenticate, accountEmailLimiter, resendVerification);
+router.post("/forgotPassword", accountEmailLimiter, forgotPassword);
+router.post("/resetPassword", resetPassword);
+router.get("/sessions", authenticate, getSessions);
+router.delete("/sessions", authenticate, revokeAllSessions);
+router.delete("/sessions/:sessionId", authenticate, revokeSession);
+router.put("/user/:userId", authenticate, requireSelf, updateUser);
+router.delete("/user/:userId", authenticate, requireSelf, deleteUser);
 
 export default router;
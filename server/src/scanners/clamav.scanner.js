@@ -0,0 +1,84 @@
+import net from "net";
+import { once } from "events";
+
+// ClamAV daemon over its local socket (CLAMAV_SOCKET), or TCP when CLAMAV_HOST is set.
+// Content is sent with INSTREAM, so clamd never needs access to the storage backend
+const CHUNK_BYTES = 64 * 1024;
+
+const connect = () =>
+  process.env.CLAMAV_HOST
+    ? net.createConnection({ host: process.env.CLAMAV_HOST, port: Number(process.env.CLAMAV_PORT) || 3310 })
+    : net.createConnection({ path: process.env.CLAMAV_SOCKET || '/var/run/clamav/clamd.ctl' });
+
+// "stream: OK", "stream: <signature> FOUND", or an error such as
+// "INSTREAM size limit exceeded. ERROR"
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+  if (text === 'stream: OK') return { clean: true, signature: null };
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) return { clean: false, signature: found[1] };
+  throw new Error(`clamd: ${text || 'no reply'}`);
+};
+
+const sizePrefix = (length) => {
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32BE(length);
+  return prefix;
+};
+
+const clamavScanner = {
+  name: 'clamav',
+
+  scan(stream) {
+    const timeoutMs = Number(process.env.CLAMAV_TIMEOUT_MS) || 60 * 1000;
+
+    return new Promise((resolve, reject) => {
+      const socket = connect();
+      let reply = '';
+      let settled = false;
+
+      const finish = (err, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        stream.destroy?.();
+        if (err) reject(err);
+        else resolve(result);
+      };
+      const finishWithReply = () => {
+        try {
+          finish(null, parseReply(reply));
+        } catch (err) {
+          finish(err);
+        }
+      };
+
+      socket.setTimeout(timeoutMs, () => finish(new Error('clamd did not answer in time')));
+      socket.on('error', (err) => finish(err));
+      // clamd can answer early (e.g. size limit exceeded); its reply ends with a NUL
+      socket.on('data', (data) => {
+        reply += data.toString();
+        if (reply.includes('\0')) finishWithReply();
+      });
+      socket.on('end', finishWithReply);
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          for await (const chunk of stream) {
+            for (let offset = 0; offset < chunk.length; offset += CHUNK_BYTES) {
+              const piece = chunk.subarray(offset, offset + CHUNK_BYTES);
+              if (settled) return;
+              if (!socket.write(Buffer.concat([sizePrefix(piece.length), piece]))) await once(socket, 'drain');
+            }
+          }
+          socket.end(sizePrefix(0));
+        } catch (err) {
+          finish(err);
+        }
+      });
+    });
+  },
+};
+
+export default clamavScanner;
@@ -0,0 +1,23 @@
+import clamavScanner from "./clamav.scanner.js";
+import stubScanner from "./stub.scanner.js";
+
+// Every scanner implements the same API:
+//   name
+//   scan(stream) -> { clean, signature }   signature names what was found; rejects when
+//                                          the content could not be scanned
+const scanners = {
+  clamav: clamavScanner,
+  stub: stubScanner,
+};
+
+// MALWARE_SCANNER picks one; unset or "none" turns scanning off and new files are
+// active straight away. Read on use, since this module loads before the .env file
+export const getScanner = () => {
+  const name = (process.env.MALWARE_SCANNER || 'none').toLowerCase();
+  if (name === 'none') return null;
+  const scanner = scanners[name];
+  if (!scanner) {
+    throw new Error(`Unknown MALWARE_SCANNER "${name}", expected one of: none, ${Object.keys(scanners).join(', ')}`);
+  }
+  return scanner;
+};
@@ -0,0 +1,23 @@
+// For tests and local development: reports the EICAR test signature (the
+// standard harmless "virus" every scanner detects) and passes everything else
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const stubScanner = {
+  name: 'stub',
+
+  async scan(stream) {
+    let tail = '';
+    for await (const chunk of stream) {
+      // Keep the end of the previous chunk so a signature split across chunks is still found
+      const text = tail + Buffer.from(chunk).toString('latin1');
+      if (text.includes(EICAR)) {
+        stream.destroy?.();
+        return { clean: false, signature: 'Eicar-Test-Signature' };
+      }
+      tail = text.slice(-(EICAR.length - 1));
+    }
+    return { clean: true, signature: null };
+  },
+};
+
+export default stubScanner;
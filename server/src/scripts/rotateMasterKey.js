@@ -0,0 +1,74 @@
+// Re-wraps every data key that is not under the current master key (the first
+// entry of MASTER_KEYS) without touching the stored content. To rotate:
+//   1. put the new key first in MASTER_KEYS, keeping the old ones after it
+//   2. restart the server, so new uploads use the new key
+//   3. npm run rotate-keys
+//   4. once it reports nothing left on old keys, remove them from MASTER_KEYS
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { StoredObject } from "../models/storedObject.models.js";
+import { UploadSession } from "../models/uploadSession.models.js";
+import { currentMasterKey } from "../config/masterKeys.js";
+import { rewrapDataKey } from "../utils/dataKey.utils.js";
+
+// Every place a data key is kept: the object's own, its thumbnail's and rendition's,
+// and that of a chunked upload still in progress
+const DATA_KEYS = [
+  { Model: StoredObject, field: 'dataKey' },
+  { Model: StoredObject, field: 'thumbnail.dataKey' },
+  { Model: StoredObject, field: 'rendition.dataKey' },
+  { Model: UploadSession, field: 'dataKey' },
+];
+
+const onOldKey = (field, currentId) => ({ [`${field}.keyId`]: { $exists: true, $ne: currentId } });
+
+const readField = (doc, field) => field.split('.').reduce((value, part) => value?.[part], doc);
+
+// Resolves to { rotated, failed } for one field of one collection
+const rotateField = async ({ Model, field }, currentId) => {
+  let rotated = 0;
+  let failed = 0;
+  for await (const doc of Model.find(onOldKey(field, currentId)).lean().cursor()) {
+    const dataKey = readField(doc, field);
+    try {
+      // Only replaces the key that was read, in case another run got there first
+      const { modifiedCount } = await Model.updateOne(
+        { _id: doc._id, [`${field}.wrappedKey`]: dataKey.wrappedKey },
+        { [field]: rewrapDataKey(dataKey) }
+      );
+      rotated += modifiedCount;
+    } catch (err) {
+      failed++;
+      console.error(`Could not re-wrap ${field} of ${Model.modelName} ${doc._id}:`, err.message);
+    }
+  }
+  return { rotated, failed };
+};
+
+const main = async () => {
+  const current = currentMasterKey();
+  if (!current) {
+    console.error('MASTER_KEYS is not set, so there is no key to rotate to.');
+    process.exit(1);
+  }
+
+  await connectDB();
+  let failed = 0;
+  for (const target of DATA_KEYS) {
+    const result = await rotateField(target, current.id);
+    failed += result.failed;
+    console.log(`${target.Model.modelName} ${target.field}: re-wrapped ${result.rotated} data keys with master key "${current.id}"`);
+  }
+
+  const left = (await Promise.all(DATA_KEYS.map(({ Model, field }) => Model.countDocuments(onOldKey(field, current.id)))))
+    .reduce((acc, count) => acc + count, 0);
+  console.log(left ? `${left} data keys are still on older master keys.` : 'No data keys are left on older master keys.');
+
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+};
+
+main().catch((err) => {
+  console.error('Key rotation failed:', err);
+  process.exit(1);
+});
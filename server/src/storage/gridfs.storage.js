@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+// MongoDB GridFS driver: keeps file contents in the same database as the records.
+// Multipart parts are stored as their own GridFS files until they are stitched together
+const bucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: process.env.GRIDFS_BUCKET || 'uploads' });
+
+const partName = (uploadId, partNumber) => `multipart/${uploadId}/${partNumber}`;
+
+const notFound = (key) => Object.assign(new Error(`Object not found: ${key}`), { code: 'ENOENT' });
+
+// Newest revision wins if a key was ever written twice
+const findLatest = async (filename) => {
+  const [file] = await bucket().find({ filename }).sort({ uploadDate: -1 }).limit(1).toArray();
+  return file || null;
+};
+
+const deleteAll = async (filter) => {
+  const b = bucket();
+  const files = await b.find(filter).toArray();
+  await Promise.all(files.map(f => b.delete(f._id)));
+};
+
+const toStream = (body) => (Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body);
+
+// Uploads a stream under filename and removes any older revisions afterwards
+const write = async (filename, source, metadata) => {
+  const b = bucket();
+  const upload = b.openUploadStream(filename, { metadata });
+  await pipeline(source, upload);
+  const older = await b.find({ filename, _id: { $ne: upload.id } }).toArray();
+  await Promise.all(older.map(f => b.delete(f._id)));
+};
+
+const gridfsStorage = {
+  name: 'gridfs',
+  supportsPresign: false,
+
+  async put(key, body, { contentType } = {}) {
+    await write(key, toStream(body), { contentType });
+  },
+
+  async head(key) {
+    const file = await findLatest(key);
+    if (!file) return null;
+    return {
+      size: file.length,
+      etag: `"${file._id}"`,
+      lastModified: file.uploadDate,
+      contentType: file.metadata?.contentType || null,
+    };
+  },
+
+  async exists(key) {
+    return !!(await findLatest(key));
+  },
+
+  async get(key) {
+    const chunks = [];
+    for await (const chunk of await this.stream(key)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  },
+
+  // GridFS takes an exclusive end; callers pass an inclusive one like HTTP Range
+  async stream(key, { start, end } = {}) {
+    const file = await findLatest(key);
+    if (!file) throw notFound(key);
+    const options = {};
+    if (start !== undefined) options.start = start;
+    if (end !== undefined) options.end = end + 1;
+    return bucket().openDownloadStream(file._id, options);
+  },
+
+  async delete(key) {
+    await deleteAll({ filename: key });
+  },
+
+  // Files are only reachable through the API's stream routes
+  publicUrl() {
+    return null;
+  },
+
+  async presignDownload() {
+    return null;
+  },
+
+  async presignUpload() {
+    return null;
+  },
+
+  // ---------- Multipart ----------
+  async createMultipart() {
+    return crypto.randomUUID();
+  },
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    await write(partName(uploadId, partNumber), toStream(body), { uploadId, partNumber });
+    return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+  },
+
+  async listParts(key, uploadId) {
+    const files = await bucket().find({ 'metadata.uploadId': uploadId }).toArray();
+    return files
+      .map(f => ({ partNumber: f.metadata.partNumber, size: f.length }))
+      .sort((a, b) => a.partNumber - b.partNumber);
+  },
+
+  async completeMultipart(key, uploadId, parts, { contentType } = {}) {
+    const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+    const self = this;
+    async function* concatenated() {
+      for (const part of ordered) yield* await self.stream(partName(uploadId, part.partNumber));
+    }
+    await write(key, Readable.from(concatenated()), { contentType });
+    await deleteAll({ 'metadata.uploadId': uploadId });
+  },
+
+  async abortMultipart(key, uploadId) {
+    await deleteAll({ 'metadata.uploadId': uploadId });
+  },
+};
+
+export default gridfsStorage;
@@ -0,0 +1,25 @@
+import s3Storage from "./s3.storage.js";
+import localDiskStorage from "./local.storage.js";
+import gridfsStorage from "./gridfs.storage.js";
+
+// Every driver implements the same object API, keyed by buildKey(file.name):
+//   put(key, body, { contentType, contentLength })   body is a Buffer or Readable
+//   head(key) -> { size, etag, lastModified, contentType } | null
+//   exists(key), get(key) -> Buffer, stream(key, { start, end }) -> Readable (inclusive end)
+//   delete(key)
+//   publicUrl(key), presignDownload(key, { fileName, expiresIn }),
+//   presignUpload(key, { contentType, size, method, expiresIn })   null when unsupported
+//   createMultipart, uploadPart, listParts, completeMultipart, abortMultipart
+const drivers = {
+  s3: s3Storage,
+  local: localDiskStorage,
+  gridfs: gridfsStorage,
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+const storage = drivers[driverName];
+if (!storage) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}", expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+export default storage;
@@ -0,0 +1,140 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+// Local filesystem driver for self-hosted and test setups. Objects live under
+// LOCAL_STORAGE_DIR; multipart parts are kept in a hidden folder until completed
+const root = () => path.resolve(process.env.LOCAL_STORAGE_DIR || 'storage');
+
+// Keys are "file-share-app/<name>"; refuse anything that would escape the root
+const pathFor = (key) => {
+  const base = root();
+  const full = path.resolve(base, key);
+  if (!full.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return full;
+};
+
+const partsDir = (uploadId) => {
+  if (!/^[\w-]+$/.test(uploadId)) throw new Error(`Invalid upload id: ${uploadId}`);
+  return path.join(root(), '.multipart', uploadId);
+};
+
+const isNotFound = (err) => err?.code === 'ENOENT';
+
+// Write to a temp file and rename, so readers never see a half-written object
+const writeAtomically = async (target, source) => {
+  await fsp.mkdir(path.dirname(target), { recursive: true });
+  const temp = `${target}.${crypto.randomUUID()}.tmp`;
+  try {
+    await pipeline(source, fs.createWriteStream(temp));
+    await fsp.rename(temp, target);
+  } catch (err) {
+    await fsp.rm(temp, { force: true });
+    throw err;
+  }
+};
+
+const toStream = (body) => (Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body);
+
+const localDiskStorage = {
+  name: 'local',
+  supportsPresign: false,
+
+  async put(key, body) {
+    await writeAtomically(pathFor(key), toStream(body));
+  },
+
+  async head(key) {
+    try {
+      const stat = await fsp.stat(pathFor(key));
+      return {
+        size: stat.size,
+        etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+        lastModified: stat.mtime,
+        contentType: null,
+      };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  },
+
+  async exists(key) {
+    return !!(await this.head(key));
+  },
+
+  async get(key) {
+    return fsp.readFile(pathFor(key));
+  },
+
+  async stream(key, { start, end } = {}) {
+    const file = pathFor(key);
+    await fsp.access(file);
+    return fs.createReadStream(file, { start, end });
+  },
+
+  async delete(key) {
+    await fsp.rm(pathFor(key), { force: true });
+  },
+
+  // Files are only reachable through the API's stream routes
+  publicUrl() {
+    return null;
+  },
+
+  async presignDownload() {
+    return null;
+  },
+
+  async presignUpload() {
+    return null;
+  },
+
+  // ---------- Multipart ----------
+  async createMultipart() {
+    const uploadId = crypto.randomUUID();
+    await fsp.mkdir(partsDir(uploadId), { recursive: true });
+    return uploadId;
+  },
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    await writeAtomically(path.join(partsDir(uploadId), String(partNumber)), toStream(body));
+    return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+  },
+
+  async listParts(key, uploadId) {
+    let names;
+    try {
+      names = await fsp.readdir(partsDir(uploadId));
+    } catch (err) {
+      if (isNotFound(err)) return [];
+      throw err;
+    }
+    const parts = [];
+    for (const name of names) {
+      if (!/^\d+$/.test(name)) continue; // skip temp files of parts still being written
+      const stat = await fsp.stat(path.join(partsDir(uploadId), name));
+      parts.push({ partNumber: Number(name), size: stat.size });
+    }
+    return parts.sort((a, b) => a.partNumber - b.partNumber);
+  },
+
+  async completeMultipart(key, uploadId, parts) {
+    const dir = partsDir(uploadId);
+    const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+    async function* concatenated() {
+      for (const part of ordered) yield* fs.createReadStream(path.join(dir, String(part.partNumber)));
+    }
+    await writeAtomically(pathFor(key), Readable.from(concatenated()));
+    await fsp.rm(dir, { recursive: true, force: true });
+  },
+
+  async abortMultipart(key, uploadId) {
+    await fsp.rm(partsDir(uploadId), { recursive: true, force: true });
+  },
+};
+
+export default localDiskStorage;
@@ -0,0 +1,167 @@
+import {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import minioClient from "../config/s3.js";
+
+// S3 / MinIO driver: the only one that can hand out presigned URLs
+const Bucket = () => process.env.AWS_BUCKET_NAME;
+
+const isNotFound = (err) =>
+  err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404;
+
+const s3Storage = {
+  name: 's3',
+  supportsPresign: true,
+
+  async put(key, body, { contentType, contentLength } = {}) {
+    await minioClient.send(new PutObjectCommand({
+      Bucket: Bucket(),
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ContentLength: contentLength,
+    }));
+  },
+
+  async head(key) {
+    try {
+      const head = await minioClient.send(new HeadObjectCommand({ Bucket: Bucket(), Key: key }));
+      return {
+        size: head.ContentLength,
+        etag: head.ETag,
+        lastModified: head.LastModified,
+        contentType: head.ContentType,
+      };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  },
+
+  async exists(key) {
+    return !!(await this.head(key));
+  },
+
+  async get(key) {
+    const { Body } = await minioClient.send(new GetObjectCommand({ Bucket: Bucket(), Key: key }));
+    return Buffer.from(await Body.transformToByteArray());
+  },
+
+  // Inclusive byte range, like the HTTP Range header
+  async stream(key, { start, end } = {}) {
+    const Range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+    const { Body } = await minioClient.send(new GetObjectCommand({ Bucket: Bucket(), Key: key, Range }));
+    return Body;
+  },
+
+  async delete(key) {
+    await minioClient.send(new DeleteObjectCommand({ Bucket: Bucket(), Key: key }));
+  },
+
+  publicUrl(key) {
+    // For MinIO setup where S3 endpoint is like http://localhost:9000
+    const endpoint = (process.env.S3_ENDPOINT || "").replace(/\/$/, "");
+    return `${endpoint}/${Bucket()}/${key}`;
+  },
+
+  async presignDownload(key, { fileName, expiresIn }) {
+    const command = new GetObjectCommand({
+      Bucket: Bucket(),
+      Key: key,
+      ResponseContentDisposition: `attachment; filename="${fileName}"`,
+    });
+    return getSignedUrl(minioClient, command, { expiresIn });
+  },
+
+  // POST policies can pin the exact size; a presigned PUT cannot, so the
+  // caller must re-check the stored object either way
+  async presignUpload(key, { contentType, size, method, expiresIn }) {
+    if (method === 'post') {
+      const { url, fields } = await createPresignedPost(minioClient, {
+        Bucket: Bucket(),
+        Key: key,
+        Conditions: [
+          ['content-length-range', size, size],
+          ['eq', '$Content-Type', contentType],
+        ],
+        Fields: { 'Content-Type': contentType },
+        Expires: expiresIn,
+      });
+      return { method: 'post', url, fields };
+    }
+
+    const url = await getSignedUrl(minioClient, new PutObjectCommand({
+      Bucket: Bucket(),
+      Key: key,
+      ContentType: contentType,
+    }), { expiresIn });
+    return { method: 'put', url, headers: { 'Content-Type': contentType } };
+  },
+
+  // ---------- Multipart ----------
+  async createMultipart(key, { contentType } = {}) {
+    const { UploadId } = await minioClient.send(new CreateMultipartUploadCommand({
+      Bucket: Bucket(),
+      Key: key,
+      ContentType: contentType,
+    }));
+    return UploadId;
+  },
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    const { ETag } = await minioClient.send(new UploadPartCommand({
+      Bucket: Bucket(),
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+    }));
+    return ETag;
+  },
+
+  // ListParts returns at most 1000 parts per call
+  async listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+    do {
+      const result = await minioClient.send(new ListPartsCommand({
+        Bucket: Bucket(),
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: marker,
+      }));
+      parts.push(...(result.Parts || []).map(p => ({ partNumber: p.PartNumber, etag: p.ETag, size: p.Size })));
+      marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+    } while (marker);
+    return parts;
+  },
+
+  async completeMultipart(key, uploadId, parts) {
+    await minioClient.send(new CompleteMultipartUploadCommand({
+      Bucket: Bucket(),
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: [...parts]
+          .sort((a, b) => a.partNumber - b.partNumber)
+          .map(p => ({ PartNumber: p.partNumber, ETag: p.etag })),
+      },
+    }));
+  },
+
+  async abortMultipart(key, uploadId) {
+    await minioClient.send(new AbortMultipartUploadCommand({ Bucket: Bucket(), Key: key, UploadId: uploadId }));
+  },
+};
+
+export default s3Storage;
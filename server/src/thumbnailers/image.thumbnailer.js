@@ -0,0 +1,46 @@
+import { runTool } from "../utils/tool.utils.js";
+
+// ImageMagick coders for the image types upload detection recognises. Naming the
+// coder keeps ImageMagick from picking one by itself from the file's content
+const CODERS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tiff',
+};
+
+// ImageMagick 7 installs `magick`; older versions only have `convert`
+const COMMANDS = ['magick', 'convert'];
+
+const imageThumbnailer = {
+  name: 'imagemagick',
+
+  supports: (mime) => Boolean(CODERS[mime]),
+
+  async generate(input, output, { size, mime }) {
+    const args = [
+      '-limit', 'memory', '256MiB',
+      '-limit', 'disk', '1GiB',
+      // First frame only, for animated GIFs and multi-page TIFFs
+      `${CODERS[mime]}:${input}[0]`,
+      '-auto-orient',
+      '-thumbnail', `${size}x${size}>`,
+      '-background', 'white', '-flatten',
+      '-strip',
+      '-quality', '80',
+      `jpeg:${output}`,
+    ];
+    for (const command of COMMANDS) {
+      try {
+        await runTool(command, args);
+        return;
+      } catch (err) {
+        if (err.code !== 'ENOENT' || command === COMMANDS[COMMANDS.length - 1]) throw err;
+      }
+    }
+  },
+};
+
+export default imageThumbnailer;
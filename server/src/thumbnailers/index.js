@@ -0,0 +1,19 @@
+import imageThumbnailer from "./image.thumbnailer.js";
+import pdfThumbnailer from "./pdf.thumbnailer.js";
+import videoThumbnailer from "./video.thumbnailer.js";
+
+// Every thumbnailer implements the same API:
+//   name
+//   supports(mime) -> boolean
+//   generate(inputPath, outputPath, { size, mime })   writes a JPEG that fits in size×size;
+//                                                     rejects when the tool fails or is missing
+const thumbnailers = [imageThumbnailer, pdfThumbnailer, videoThumbnailer];
+
+// THUMBNAILS=off turns generation off. Read on use, since this module loads before the .env file
+export const thumbnailsEnabled = () => (process.env.THUMBNAILS || 'on').toLowerCase() !== 'off';
+
+// Longest side of a thumbnail, in pixels
+export const thumbnailSize = () => Number(process.env.THUMBNAIL_SIZE) || 320;
+
+export const thumbnailerFor = (mime) =>
+  (thumbnailsEnabled() && mime && thumbnailers.find((t) => t.supports(mime))) || null;
@@ -0,0 +1,22 @@
+import { runTool } from "../utils/tool.utils.js";
+
+// Renders the first page with pdftoppm (poppler-utils)
+const pdfThumbnailer = {
+  name: 'pdftoppm',
+
+  supports: (mime) => mime === 'application/pdf',
+
+  async generate(input, output, { size }) {
+    // pdftoppm adds the extension itself
+    const outputRoot = output.replace(/\.jpg$/, '');
+    await runTool('pdftoppm', [
+      '-f', '1', '-l', '1', '-singlefile',
+      '-scale-to', String(size),
+      '-jpeg', '-jpegopt', 'quality=80',
+      input,
+      outputRoot,
+    ]);
+  },
+};
+
+export default pdfThumbnailer;
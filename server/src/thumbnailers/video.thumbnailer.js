@@ -0,0 +1,22 @@
+import { runTool } from "../utils/tool.utils.js";
+
+// Takes a poster frame with ffmpeg. Its `thumbnail` filter picks a representative
+// frame from the start of the video, which skips black lead-in frames
+const videoThumbnailer = {
+  name: 'ffmpeg',
+
+  supports: (mime) => mime.startsWith('video/'),
+
+  async generate(input, output, { size }) {
+    await runTool('ffmpeg', [
+      '-nostdin', '-hide_banner', '-loglevel', 'error',
+      '-i', input,
+      '-vf', `thumbnail,scale=${size}:${size}:force_original_aspect_ratio=decrease`,
+      '-frames:v', '1',
+      '-f', 'image2', '-c:v', 'mjpeg', '-q:v', '4',
+      '-y', output,
+    ]);
+  },
+};
+
+export default videoThumbnailer;
@@ -0,0 +1,38 @@
+import crypto from "crypto";
+import { AccountToken } from "../models/accountToken.models.js";
+
+export const VERIFY_EMAIL_TTL_MS = 24 * 60 * 60 * 1000;
+export const RESET_PASSWORD_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Issues a fresh token and invalidates any earlier unused one for the same purpose,
+// so only the newest email link works
+export const issueAccountToken = async (userId, purpose, ttlMs) => {
+  await AccountToken.updateMany({ user: userId, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await new AccountToken({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  }).save();
+  return token;
+};
+
+// Marks the token used in the same atomic update that checks it, so a link can
+// only ever be redeemed once. Returns the user id, or null
+export const consumeAccountToken = async (token, purpose) => {
+  if (!token) return null;
+  const record = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  return record ? record.user : null;
+};
+
+// Links point at the client, which posts the token back to the API
+export const clientLink = (path, token) =>
+  `${process.env.CLIENT_URL}${path}?token=${encodeURIComponent(token)}`;
@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import { DownloadEvent } from "../models/downloadEvent.models.js";
+
+// Country headers set by common CDNs/proxies; without one the country is unknown
+const COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'cloudfront-viewer-country', 'x-country-code'];
+
+const hashIp = (ip) =>
+  crypto.createHmac('sha256', process.env.IP_HASH_SALT || process.env.JWT_SECRET || '').update(ip || '').digest('hex');
+
+const countryFrom = (req) => {
+  for (const header of COUNTRY_HEADERS) {
+    const value = req.get(header);
+    if (value && /^[A-Za-z]{2}$/.test(value) && value.toUpperCase() !== 'XX') return value.toUpperCase();
+  }
+  return 'Unknown';
+};
+
+// Only the referring site is kept, not the full URL (which may carry tokens)
+const referrerHost = (req) => {
+  const referrer = req.get('referer');
+  if (!referrer) return '';
+  try {
+    return new URL(referrer).host;
+  } catch {
+    return '';
+  }
+};
+
+// Records one download attempt. Best effort: analytics must never fail a download.
+// Attempts through a share link or a bundle are recorded under its code
+export const recordDownloadEvent = (req, file, outcome, link = null) => {
+  if (!file) return;
+  const isGuest = file.shortUrl?.startsWith('/g/');
+  DownloadEvent.create({
+    file: file._id,
+    fileModel: isGuest ? 'GuestFile' : 'File',
+    owner: isGuest ? null : file.createdBy,
+    shortCode: ((link || file).shortUrl || '').split('/').pop(),
+    ipHash: hashIp(req.ip),
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    referrer: referrerHost(req),
+    country: countryFrom(req),
+    outcome,
+  }).catch(err => console.error("Download event error:", err));
+};
@@ -0,0 +1,50 @@
+import { purgeStoredObject } from "./purge.utils.js";
+import { hasDownloadLimit, isTruthy } from "./file.utils.js";
+
+export const EXHAUSTED_MESSAGE = 'This file has reached its download limit';
+
+// Burn after reading is simply a limit of one. Anything that isn't a positive
+// whole number means "no limit"
+export const resolveMaxDownloads = (burnAfterReading, maxDownloads) => {
+  if (isTruthy(burnAfterReading)) return 1;
+  const limit = Number(maxDownloads);
+  return Number.isInteger(limit) && limit > 0 ? limit : null;
+};
+
+export const downloadsRemaining = (file) =>
+  hasDownloadLimit(file) ? Math.max(file.maxDownloads - (file.downloadedContent || 0), 0) : null;
+
+// Fields shown to whoever opens the link
+export const downloadLimitInfo = (file) => ({
+  maxDownloads: file.maxDownloads ?? null,
+  downloadsRemaining: downloadsRemaining(file),
+  burnAfterReading: !!file.burnAfterReading,
+});
+
+// Claims one download in a single conditional update, so two requests racing for
+// the last download can't both win. Returns the updated record, or null when the
+// limit was already used up. Files without a limit are just counted
+export const consumeDownload = async (Model, file) => {
+  if (!hasDownloadLimit(file)) {
+    return Model.findOneAndUpdate({ _id: file._id }, { $inc: { downloadedContent: 1 } }, { new: true });
+  }
+
+  const claimed = await Model.findOneAndUpdate(
+    { _id: file._id, status: 'active', $expr: { $lt: ['$downloadedContent', '$maxDownloads'] } },
+    { $inc: { downloadedContent: 1 } },
+    { new: true }
+  );
+  if (claimed && claimed.downloadedContent >= claimed.maxDownloads) {
+    // Closed straight away so nobody else can start; the object goes once this download is done
+    await Model.updateOne({ _id: claimed._id, status: 'active' }, { status: 'exhausted' });
+    claimed.status = 'exhausted';
+  }
+  return claimed;
+};
+
+// Deletes the object of a file whose last download has been handed out. Failures
+// are picked up again by the expiry sweeper
+export const purgeIfExhausted = (Model, file) => {
+  if (file?.status !== 'exhausted' || file.purgedAt) return;
+  purgeStoredObject(Model, file, 'exhausted').catch(err => console.error("Exhausted file purge error:", err));
+};
@@ -0,0 +1,116 @@
+import path from "path";
+import shortid from "shortid";
+import storage from "../storage/index.js";
+import { isEncryptionAtRestEnabled } from "./dataKey.utils.js";
+import { rendererFor } from "../renditions/index.js";
+
+// ---------- Storage keys & URLs ----------
+export const buildKey = (fileName) => `file-share-app/${fileName}`;
+
+// Key of a file record's object: deduplicated files point at their shared
+// content key, older records still use the per-upload key built from their name
+export const objectKeyFor = (file) => file.storageKey || buildKey(file.name);
+
+// Stored on the File as `path`: the bucket URL on S3, otherwise the API stream route.
+// Objects encrypted at rest can only be read through the API, which decrypts them
+export const storedObjectPath = (key, shortUrl) =>
+  (!isEncryptionAtRestEnabled() && storage.publicUrl(key)) || shareUrlFor(shortUrl, 'stream');
+
+// Download link for a file record: the API stream route as an explicit download
+// (with the download token for protected files), which is where every download is
+// counted. Through a share `link`, the link's code is used
+export const fileDownloadUrl = async (file, { token = null, link = null } = {}) => {
+  const url = shareUrlFor((link || file).shortUrl, 'stream', token);
+  return `${url}${url.includes('?') ? '&' : '?'}download=1`;
+};
+
+// Short-lived bucket URL the stream route hands an unlimited download off to once
+// it has been counted. Null when the driver can't presign, and while encryption at
+// rest is on (only the API can decrypt)
+export const presignedDownloadUrl = async (file, expiresInSec = 5 * 60) =>
+  isEncryptionAtRestEnabled()
+    ? null
+    : storage.presignDownload(objectKeyFor(file), { fileName: file.name, expiresIn: expiresInSec });
+
+// Plain ASCII fallback plus RFC 5987 encoded name for everything else
+export const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// ---------- File records ----------
+// "my file.png" => "my_file.png_<shortid>.png"
+export const buildStoredFileName = (originalName) => {
+  const originalClean = originalName.replace(/\s+/g, '_');
+  const uniqueSuffix = shortid.generate();
+  const ext = path.extname(originalClean) || '';
+  return `${originalClean}_${uniqueSuffix}${ext}`;
+};
+
+// Active and not past its expiry (without persisting the "expired" status)
+export const isFileAvailable = (file) =>
+  file.status === 'active' && !(file.expiresAt && new Date(file.expiresAt) < new Date());
+
+// maxDownloads is null when the file can be downloaded any number of times
+export const hasDownloadLimit = (file) => file.maxDownloads != null;
+
+// Office documents get a rendition link (see utils/rendition.utils.js) unless the
+// server only has their ciphertext, or they (or the share `link` used) have a
+// download limit and so no previews
+export const hasRendition = (file, link = null) =>
+  Boolean(!file.encryption && !hasDownloadLimit(link || file) && rendererFor(file.type));
+
+// Form fields arrive as strings, JSON bodies as booleans
+export const isTruthy = (value) => value === true || value === 'true';
+
+// expiresAt is a number of hours from now; files without expiry still get 10 days
+export const resolveExpiresAt = (hasExpiry, expiresAt) =>
+  isTruthy(hasExpiry)
+    ? new Date(Date.now() + Number(expiresAt) * 3600000)
+    : new Date(Date.now() + 10 * 24 * 3600000);
+
+export const bumpUploadStats = (user, mimetype) => {
+  user.totalUploads = (user.totalUploads || 0) + 1;
+  if (mimetype.startsWith('image/')) user.imageCount = (user.imageCount || 0) + 1;
+  else if (mimetype.startsWith('video/')) user.videoCount = (user.videoCount || 0) + 1;
+  else if (mimetype.startsWith('application/')) user.documentCount = (user.documentCount || 0) + 1;
+};
+
+// The owner's own view of a new upload (the record as listed on the dashboard, minus the password hash)
+export const serializeOwnFile = (f) => {
+  const { password, ...file } = f.toObject();
+  return { ...file, renditionUrl: hasRendition(f) ? shareUrlFor(f.shortUrl, 'rendition') : null };
+};
+
+// Shape returned to guests, who keep their uploads in localStorage
+export const serializeGuestFile = (f) => ({
+  id: f._id,
+  name: f.name,
+  size: f.size,
+  type: f.type,
+  path: f.path,
+  isPasswordProtected: f.isPasswordProtected,
+  expiresAt: f.expiresAt,
+  downloadedContent: f.downloadedContent,
+  sha256: f.sha256,
+  encryption: f.encryption,
+  kind: f.kind,
+  language: f.language,
+  maxDownloads: f.maxDownloads,
+  burnAfterReading: f.burnAfterReading,
+  status: f.status,
+  // Guests keep this record in their browser without refreshing it, so a pending
+  // thumbnail gets its URL now and shows up once it has been made
+  thumbnailUrl: f.thumbnailUrl || (f.thumbnail?.status === 'pending' ? shareUrlFor(f.shortUrl, 'thumbnail') : null),
+  renditionUrl: hasRendition(f) ? shareUrlFor(f.shortUrl, 'rendition') : null,
+  shortUrl: f.shortUrl,
+  createdAt: f.createdAt,
+  updatedAt: f.updatedAt
+});
+
+// Routes served by download.controller next to a file's short link: "stream",
+// "thumbnail", "rendition" (browser-friendly Office previews) and "raw" (text files
+// as plain text), e.g. "/f/abc" => ".../api/files/f/abc/stream". Protected files
+// carry their download token, since media elements cannot send headers
+export const shareUrlFor = (shortUrl, route, token = null) =>
+  `${(process.env.SERVER_URL || "").replace(/\/$/, "")}${shortUrl}/${route}${token ? `?token=${encodeURIComponent(token)}` : ""}`;
@@ -0,0 +1,246 @@
+import path from "path";
+
+// How many leading bytes detection looks at. Office files need the most: the
+// part names that tell a .docx from a .xlsx sit a few KB into the ZIP
+export const SNIFF_BYTES = 64 * 1024;
+
+export const TYPE_CATEGORIES = ['image', 'video', 'audio', 'document', 'archive', 'text'];
+
+const ZIP_FAMILY = ['zip', 'ooxml', 'ooxml-word', 'ooxml-excel', 'ooxml-powerpoint', 'odf-text', 'odf-spreadsheet', 'odf-presentation', 'epub'];
+
+// Every extension we accept, with the stored MIME type, its category and the
+// containers (as named by detectContainer) its content may have
+const FORMATS = [
+  // Images
+  { exts: ['.jpg', '.jpeg'], mime: 'image/jpeg', category: 'image', containers: ['jpeg'] },
+  { exts: ['.png'], mime: 'image/png', category: 'image', containers: ['png'] },
+  { exts: ['.gif'], mime: 'image/gif', category: 'image', containers: ['gif'] },
+  { exts: ['.webp'], mime: 'image/webp', category: 'image', containers: ['webp'] },
+  { exts: ['.bmp'], mime: 'image/bmp', category: 'image', containers: ['bmp'] },
+  { exts: ['.tif', '.tiff'], mime: 'image/tiff', category: 'image', containers: ['tiff'] },
+
+  // Video
+  { exts: ['.mp4', '.m4v'], mime: 'video/mp4', category: 'video', containers: ['mp4', 'mov'] },
+  { exts: ['.mov'], mime: 'video/quicktime', category: 'video', containers: ['mov', 'mp4'] },
+  { exts: ['.3gp'], mime: 'video/3gpp', category: 'video', containers: ['mp4'] },
+  { exts: ['.mkv', '.mk3d', '.mks'], mime: 'video/x-matroska', category: 'video', containers: ['matroska'] },
+  { exts: ['.webm'], mime: 'video/webm', category: 'video', containers: ['matroska'] },
+  { exts: ['.avi'], mime: 'video/x-msvideo', category: 'video', containers: ['avi'] },
+
+  // Audio
+  { exts: ['.mp3'], mime: 'audio/mpeg', category: 'audio', containers: ['mp3'] },
+  { exts: ['.m4a'], mime: 'audio/mp4', category: 'audio', containers: ['m4a', 'mp4'] },
+  { exts: ['.aac'], mime: 'audio/aac', category: 'audio', containers: ['aac'] },
+  { exts: ['.mka'], mime: 'audio/x-matroska', category: 'audio', containers: ['matroska'] },
+  { exts: ['.wav'], mime: 'audio/wav', category: 'audio', containers: ['wav'] },
+  { exts: ['.ogg', '.oga', '.opus'], mime: 'audio/ogg', category: 'audio', containers: ['ogg'] },
+  { exts: ['.flac'], mime: 'audio/flac', category: 'audio', containers: ['flac'] },
+
+  // Documents
+  { exts: ['.pdf'], mime: 'application/pdf', category: 'document', containers: ['pdf'] },
+  { exts: ['.rtf'], mime: 'application/rtf', category: 'document', containers: ['rtf'] },
+  { exts: ['.doc'], mime: 'application/msword', category: 'document', containers: ['cfb'] },
+  { exts: ['.xls'], mime: 'application/vnd.ms-excel', category: 'document', containers: ['cfb'] },
+  { exts: ['.ppt'], mime: 'application/vnd.ms-powerpoint', category: 'document', containers: ['cfb'] },
+  {
+    exts: ['.docx'],
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    category: 'document',
+    containers: ['ooxml-word', 'ooxml'],
+  },
+  {
+    exts: ['.xlsx'],
+    mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    category: 'document',
+    containers: ['ooxml-excel', 'ooxml'],
+  },
+  {
+    exts: ['.pptx'],
+    mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    category: 'document',
+    containers: ['ooxml-powerpoint', 'ooxml'],
+  },
+  { exts: ['.odt'], mime: 'application/vnd.oasis.opendocument.text', category: 'document', containers: ['odf-text'] },
+  { exts: ['.ods'], mime: 'application/vnd.oasis.opendocument.spreadsheet', category: 'document', containers: ['odf-spreadsheet'] },
+  { exts: ['.odp'], mime: 'application/vnd.oasis.opendocument.presentation', category: 'document', containers: ['odf-presentation'] },
+  { exts: ['.epub'], mime: 'application/epub+zip', category: 'document', containers: ['epub'] },
+
+  // Archives (any ZIP-based file is still a valid .zip)
+  { exts: ['.zip'], mime: 'application/zip', category: 'archive', containers: ZIP_FAMILY },
+  { exts: ['.gz', '.tgz'], mime: 'application/gzip', category: 'archive', containers: ['gzip'] },
+  { exts: ['.7z'], mime: 'application/x-7z-compressed', category: 'archive', containers: ['7z'] },
+  { exts: ['.rar'], mime: 'application/vnd.rar', category: 'archive', containers: ['rar'] },
+  { exts: ['.tar'], mime: 'application/x-tar', category: 'archive', containers: ['tar'] },
+
+  // Text and code. Stored as text/plain (bar a few data formats) so markup is
+  // never rendered by the browser when streamed inline
+  { exts: ['.csv'], mime: 'text/csv', category: 'text', containers: ['text'] },
+  { exts: ['.tsv'], mime: 'text/tab-separated-values', category: 'text', containers: ['text'] },
+  { exts: ['.md', '.markdown'], mime: 'text/markdown', category: 'text', containers: ['text'] },
+  { exts: ['.json'], mime: 'application/json', category: 'text', containers: ['text'] },
+  {
+    exts: [
+      '.txt', '.log', '.xml', '.yaml', '.yml', '.toml', '.ini', '.env', '.html', '.htm', '.css', '.scss',
+      '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift',
+      '.c', '.h', '.cpp', '.hpp', '.cs', '.php', '.sh', '.bash', '.ps1', '.sql', '.r', '.lua', '.dart',
+    ],
+    mime: 'text/plain',
+    category: 'text',
+    containers: ['text'],
+  },
+];
+
+const FORMAT_BY_EXT = new Map(
+  FORMATS.flatMap(({ exts, ...format }) => exts.map((ext) => [ext, { ext, ...format }]))
+);
+
+export const SUPPORTED_EXTENSIONS = [...FORMAT_BY_EXT.keys()];
+
+export const extensionOf = (fileName) => path.extname(String(fileName || '')).toLowerCase();
+
+// The format a file name claims to be, or null for extensions we don't accept
+export const formatForName = (fileName) => FORMAT_BY_EXT.get(extensionOf(fileName)) || null;
+
+// Stored MIME types of text and code, which can be served raw as text/plain
+const TEXT_MIMES = new Set(FORMATS.filter((f) => f.category === 'text').map((f) => f.mime));
+export const isTextMime = (mime) => TEXT_MIMES.has(mime);
+
+export const isSupportedExtension = (fileName) => !!formatForName(fileName);
+
+const startsWith = (head, bytes, offset = 0) =>
+  head.length >= offset + bytes.length && bytes.every((b, i) => head[offset + i] === b);
+
+const ascii = (head, start, end) => head.subarray(start, end).toString('latin1');
+
+const detectZip = (head) => {
+  // ODF and EPUB store an uncompressed "mimetype" entry first, so its value sits at byte 38
+  if (ascii(head, 30, 38) === 'mimetype') {
+    const mimetype = ascii(head, 38, 38 + 60);
+    if (mimetype.startsWith('application/vnd.oasis.opendocument.text')) return 'odf-text';
+    if (mimetype.startsWith('application/vnd.oasis.opendocument.spreadsheet')) return 'odf-spreadsheet';
+    if (mimetype.startsWith('application/vnd.oasis.opendocument.presentation')) return 'odf-presentation';
+    if (mimetype.startsWith('application/epub+zip')) return 'epub';
+  }
+
+  // Office Open XML: a [Content_Types].xml part plus a folder named after the application
+  const text = head.toString('latin1');
+  if (!text.includes('[Content_Types].xml')) return 'zip';
+  const folders = [['word/', 'ooxml-word'], ['xl/', 'ooxml-excel'], ['ppt/', 'ooxml-powerpoint']]
+    .map(([folder, container]) => ({ index: text.indexOf(folder), container }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index);
+  return folders.length ? folders[0].container : 'ooxml';
+};
+
+const detectFtyp = (head) => {
+  const brand = ascii(head, 8, 12);
+  if (['M4A ', 'M4B ', 'M4P '].includes(brand)) return 'm4a';
+  if (brand === 'qt  ') return 'mov';
+  if (['heic', 'heix', 'mif1', 'msf1', 'avif'].includes(brand)) return null;
+  return 'mp4';
+};
+
+// Valid UTF-8 without NUL bytes. A head cut short may end mid-character, so up
+// to three trailing bytes are allowed to be incomplete
+const looksLikeText = (head, truncated) => {
+  if (head.includes(0)) return false;
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  for (let trim = 0; trim <= (truncated ? 3 : 0); trim++) {
+    try {
+      decoder.decode(head.subarray(0, head.length - trim));
+      return true;
+    } catch (err) {
+      // try again without the last byte
+    }
+  }
+  return false;
+};
+
+// Names the container format of a file from its first bytes, or null when it
+// is none we know. `truncated` says whether `head` is only the start of the file
+export const detectContainer = (head, truncated = false) => {
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (ascii(head, 0, 6) === 'GIF87a' || ascii(head, 0, 6) === 'GIF89a') return 'gif';
+  if (ascii(head, 0, 4) === 'RIFF') {
+    const form = ascii(head, 8, 12);
+    if (form === 'WEBP') return 'webp';
+    if (form === 'AVI ') return 'avi';
+    if (form === 'WAVE') return 'wav';
+    return null;
+  }
+  if (ascii(head, 0, 2) === 'BM' && head.length >= 14) return 'bmp';
+  if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+  if (ascii(head, 4, 8) === 'ftyp') return detectFtyp(head);
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) return 'matroska';
+  if (ascii(head, 0, 4) === 'OggS') return 'ogg';
+  if (ascii(head, 0, 4) === 'fLaC') return 'flac';
+  if (ascii(head, 0, 3) === 'ID3') return 'mp3';
+  // MPEG audio frame sync; layer bits of 00 mean an AAC (ADTS) stream instead
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return (head[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  if (ascii(head, 0, 1024).includes('%PDF-')) return 'pdf';
+  if (ascii(head, 0, 5) === '{\\rtf') return 'rtf';
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'cfb';
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06])) return detectZip(head);
+  if (startsWith(head, [0x1f, 0x8b])) return 'gzip';
+  if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return '7z';
+  if (ascii(head, 0, 6) === 'Rar!\x1a\x07') return 'rar';
+  if (ascii(head, 257, 262) === 'ustar') return 'tar';
+  if (looksLikeText(head, truncated)) return 'text';
+  return null;
+};
+
+const CONTAINER_LABELS = {
+  text: 'plain text',
+  cfb: 'a legacy Office document',
+  ooxml: 'an Office document',
+  'ooxml-word': 'a Word document',
+  'ooxml-excel': 'an Excel workbook',
+  'ooxml-powerpoint': 'a PowerPoint presentation',
+  'odf-text': 'an OpenDocument text',
+  'odf-spreadsheet': 'an OpenDocument spreadsheet',
+  'odf-presentation': 'an OpenDocument presentation',
+  matroska: 'a Matroska/WebM file',
+};
+
+const describeContainer = (container) => CONTAINER_LABELS[container] || `a ${container.toUpperCase()} file`;
+
+// Checks a file's content against its name. Returns { format } (the
+// format, with the MIME type to store) or { error } when they don't agree
+export const identifyFile = (fileName, head, truncated = false) => {
+  const format = formatForName(fileName);
+  if (!format) return { error: `❌ Unsupported file type: ${extensionOf(fileName) || fileName}` };
+
+  const container = detectContainer(head, truncated);
+  if (!format.containers.includes(container)) {
+    return {
+      error: container
+        ? `❌ ${fileName} is not a ${format.ext} file (its content looks like ${describeContainer(container)})`
+        : `❌ ${fileName} is not a ${format.ext} file`,
+    };
+  }
+  return { format };
+};
+
+// ---------- End-to-end encrypted uploads ----------
+// Encrypted in the browser (client/src/utils/e2eCrypto.js) with a key the server
+// never sees. The ciphertext starts with a 16-byte header instead of the file's
+// own magic bytes, so only the name and that header can be checked
+export const E2E_SCHEMES = ['aes-gcm-v1'];
+const E2E_MAGIC = 'PBE1';
+const E2E_HEADER_BYTES = 16;
+
+// Returns an error message for an unknown scheme; a missing one means a plain upload
+export const validateEncryption = (encryption) =>
+  !encryption || E2E_SCHEMES.includes(encryption) ? null : `Unsupported encryption scheme: ${encryption}`;
+
+// What the stored object is served as: ciphertext is opaque bytes whatever the file's type
+export const storedContentType = (mime, encryption) => (encryption ? 'application/octet-stream' : mime);
+
+export const identifyEncryptedFile = (fileName, head) => {
+  const format = formatForName(fileName);
+  if (!format) return { error: `❌ Unsupported file type: ${extensionOf(fileName) || fileName}` };
+  if (head.length < E2E_HEADER_BYTES || ascii(head, 0, 4) !== E2E_MAGIC)
+    return { error: `❌ ${fileName} is not an end-to-end encrypted upload` };
+  return { format };
+};
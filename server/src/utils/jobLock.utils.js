@@ -0,0 +1,37 @@
+import os from "os";
+import crypto from "crypto";
+import { JobLock } from "../models/jobLock.models.js";
+
+// Identifies this process in JobLock.owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Takes the lease if it is free or has lapsed. Two instances racing for a missing
+// document both try to insert it; the loser gets a duplicate key error
+const acquire = async (name, ttlMs) => {
+  const now = new Date();
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return lock?.owner === INSTANCE_ID;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+const release = (name) =>
+  JobLock.updateOne({ _id: name, owner: INSTANCE_ID }, { lockedUntil: new Date(0) });
+
+// Runs fn only if this instance wins the lock. The lease outlives a crashed run by
+// at most ttlMs. Resolves with { ran: false } when another instance holds it
+export const withJobLock = async (name, ttlMs, fn) => {
+  if (!(await acquire(name, ttlMs))) return { ran: false };
+  try {
+    return { ran: true, result: await fn() };
+  } finally {
+    await release(name).catch(err => console.error(`Could not release ${name} lock:`, err));
+  }
+};
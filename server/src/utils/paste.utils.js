@@ -0,0 +1,69 @@
+// Pastes are text entered in the uploader instead of a file. They are turned into
+// an ordinary text file named after their language, so they go through the same
+// type policy, quotas, storage and links as any upload
+export const PASTE_MAX_BYTES = 512 * 1024;
+
+// Language hint => extension of the stored file. Mirrored in client/src/utils/paste.js
+export const PASTE_LANGUAGES = {
+  text: '.txt',
+  markdown: '.md',
+  javascript: '.js',
+  typescript: '.ts',
+  python: '.py',
+  ruby: '.rb',
+  go: '.go',
+  rust: '.rs',
+  java: '.java',
+  kotlin: '.kt',
+  swift: '.swift',
+  c: '.c',
+  cpp: '.cpp',
+  csharp: '.cs',
+  php: '.php',
+  dart: '.dart',
+  lua: '.lua',
+  r: '.r',
+  shell: '.sh',
+  powershell: '.ps1',
+  sql: '.sql',
+  html: '.html',
+  css: '.css',
+  scss: '.scss',
+  json: '.json',
+  yaml: '.yaml',
+  toml: '.toml',
+  xml: '.xml',
+  ini: '.ini',
+  csv: '.csv',
+  log: '.log',
+};
+
+// Titles become file names, so only a safe subset of characters is kept
+const fileNameFor = (title, language) => {
+  const base = String(title || '')
+    .trim()
+    .replace(/\.[A-Za-z0-9]+$/, '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^[._]+|_+$/g, '')
+    .slice(0, 80);
+  return `${base || 'paste'}${PASTE_LANGUAGES[language]}`;
+};
+
+// Checks a paste from a request body. Returns { file } shaped like a multer
+// in-memory upload, or { error }
+export const pasteAsUpload = ({ content, language, title } = {}) => {
+  const lang = language || 'text';
+  if (typeof content !== 'string' || !content.trim()) return { error: 'The paste is empty' };
+  if (!PASTE_LANGUAGES[lang]) return { error: `Unsupported paste language: ${lang}` };
+  const buffer = Buffer.from(content, 'utf8');
+  if (buffer.length > PASTE_MAX_BYTES)
+    return { error: `Pastes can be at most ${PASTE_MAX_BYTES / 1024} KB; upload larger text as a file` };
+  return {
+    file: {
+      originalname: fileNameFor(title, lang),
+      buffer,
+      size: buffer.length,
+      paste: { language: lang },
+    },
+  };
+};
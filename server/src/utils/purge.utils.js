@@ -0,0 +1,46 @@
+import { File } from "../models/file.models.js";
+import { PurgeLog } from "../models/purgeLog.models.js";
+import storage from "../storage/index.js";
+import { objectKeyFor } from "./file.utils.js";
+import { releaseObject } from "./storedObject.utils.js";
+import { adjustStorageUsed } from "./quota.utils.js";
+
+// For changes that would make a purged file downloadable again
+export const PURGED_MESSAGE = 'This file has been removed from storage and can no longer be shared';
+
+// Drops a file's reference to its stored object (deleting the object once no other
+// file shares it), stamps purgedAt and logs it. The record itself is kept so
+// dashboards and links can still explain what happened. Resolves to false (after
+// logging the error) when nothing was purged, so callers can retry
+export const purgeStoredObject = async (Model, file, reason) => {
+  const key = objectKeyFor(file);
+  const entry = {
+    fileId: file._id,
+    fileModel: Model.modelName,
+    name: file.name,
+    key,
+    size: file.size,
+    createdBy: String(file.createdBy),
+    expiresAt: file.expiresAt,
+    reason,
+    storageDriver: storage.name,
+  };
+
+  // Claim the purge first so a file is never released twice (the sweeper and a
+  // used-up download limit can both get here)
+  const claimed = await Model.updateOne({ _id: file._id, purgedAt: null }, { purgedAt: new Date() });
+  if (!claimed.modifiedCount) return false;
+
+  try {
+    await releaseObject(file);
+    // Guest files don't count towards any account's storage
+    if (Model === File) await adjustStorageUsed(file.createdBy, -file.size);
+    await PurgeLog.create(entry);
+    return true;
+  } catch (err) {
+    console.error(`Could not purge ${key}:`, err);
+    await Model.updateOne({ _id: file._id }, { purgedAt: null }).catch(() => {});
+    await PurgeLog.create({ ...entry, error: err.message }).catch(() => {});
+    return false;
+  }
+};
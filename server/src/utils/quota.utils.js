@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import { File } from "../models/file.models.js";
+import { ShareLink } from "../models/shareLink.models.js";
+import { User } from "../models/user.models.js";
+import { planFor } from "../config/plans.js";
+
+// Until the email address is confirmed an account may only store this much
+const unverifiedStorageQuota = () => Number(process.env.UNVERIFIED_STORAGE_QUOTA) || 50 * 1024 * 1024;
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 * 1024
+    ? `${+(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+    : `${Math.round(bytes / (1024 * 1024))} MB`;
+
+// The most bytes the account may hold, or null when its plan has no quota
+const storageLimit = (user) => {
+  const quota = planFor(user).storageQuota;
+  if (user.isVerified) return quota;
+  return Math.min(quota ?? Infinity, unverifiedStorageQuota());
+};
+
+const formatHours = (hours) => (hours % 24 === 0 ? `${hours / 24} days` : `${hours} hours`);
+
+const countStorageUsed = async (userId) => {
+  const [row] = await File.aggregate([
+    // Purged files no longer take up space
+    { $match: { createdBy: new mongoose.Types.ObjectId(String(userId)), purgedAt: null } },
+    { $group: { _id: null, total: { $sum: '$size' } } },
+  ]);
+  return row ? row.total : 0;
+};
+
+// Bytes held by the user's files. Accounts created before byte accounting are
+// counted once from their files and kept up to date by adjustStorageUsed after that
+export const storageUsed = async (user) => {
+  if (user.storageUsed !== null && user.storageUsed !== undefined) return user.storageUsed;
+  const total = await countStorageUsed(user._id);
+  // Stored with an update rather than on `user`, so a later user.save() can't write back a stale total
+  await User.updateOne({ _id: user._id, storageUsed: null }, { storageUsed: total });
+  return total;
+};
+
+// Adds (or with a negative value, frees) bytes on the account. Accounts that have
+// not been counted yet are left alone; their first count includes the change
+export const adjustStorageUsed = async (userId, bytes) => {
+  if (!userId || !bytes) return;
+  await User.updateOne({ _id: userId, storageUsed: { $ne: null } }, { $inc: { storageUsed: bytes } });
+};
+
+// Counts `bytes` against the account when an upload that finishes in a later request
+// (chunked or direct) starts, so sessions open side by side can't each fit into the
+// same free space: the quota check and the increment are one conditional update.
+// Resolves to an error message, or null once reserved. Completing the upload keeps
+// the bytes; an aborted session hands them back with adjustStorageUsed
+export const reserveStorage = async (user, bytes) => {
+  await storageUsed(user); // accounts are counted before their first reservation
+  const limit = storageLimit(user);
+  const filter = { _id: user._id, storageUsed: limit === null ? { $ne: null } : { $lte: limit - bytes } };
+  const { modifiedCount } = await User.updateOne(filter, { $inc: { storageUsed: bytes } });
+  if (modifiedCount) return null;
+  const current = await User.findById(user._id);
+  return (current && (await checkUploadQuota(current, bytes))) || 'There is not enough storage left for this upload.';
+};
+
+// Active files plus the share links that can still be used (each one is a link
+// the owner hands out, so it counts towards the plan the same way)
+export const countActiveLinks = async (userId) => {
+  const [files, shareLinks] = await Promise.all([
+    File.countDocuments({ createdBy: userId, status: 'active', purgedAt: null }),
+    ShareLink.countDocuments({
+      createdBy: userId,
+      enabled: true,
+      status: 'active',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    }),
+  ]);
+  return files + shareLinks;
+};
+
+// Returns an error message when the upload would go over the account's quota
+export const checkUploadQuota = async (user, incomingBytes) => {
+  const plan = planFor(user);
+  const used = await storageUsed(user);
+  const total = used + Number(incomingBytes);
+
+  if (!user.isVerified && total > unverifiedStorageQuota())
+    return `Unverified accounts can store up to ${formatSize(unverifiedStorageQuota())}. Verify your email address to upload more.`;
+  if (plan.storageQuota !== null && total > plan.storageQuota)
+    return `This upload needs ${formatSize(Number(incomingBytes))} but only ${formatSize(Math.max(plan.storageQuota - used, 0))} of your ${plan.label} plan's ${formatSize(plan.storageQuota)} storage is left. Delete some files or upgrade your plan.`;
+  return null;
+};
+
+// Returns an error message when the plan does not allow a file this large
+export const checkFileSize = (user, size) => {
+  const plan = planFor(user);
+  if (plan.maxFileSize === null || Number(size) <= plan.maxFileSize) return null;
+  return `Files on the ${plan.label} plan can be at most ${formatSize(plan.maxFileSize)}.`;
+};
+
+// Returns an error message when the requested expiry (in hours) is longer than the plan keeps files
+export const checkRetention = (user, hasExpiry, expiresInHours) => {
+  const plan = planFor(user);
+  if (plan.maxRetentionHours === null || !hasExpiry) return null;
+  if (Number(expiresInHours) <= plan.maxRetentionHours) return null;
+  return `The ${plan.label} plan keeps files for at most ${formatHours(plan.maxRetentionHours)}.`;
+};
+
+// Returns an error message when `incoming` more active share links would go over the plan's limit
+export const checkActiveLinks = async (user, incoming = 1) => {
+  const plan = planFor(user);
+  if (plan.maxActiveLinks === null) return null;
+  const active = await countActiveLinks(user._id);
+  if (active + incoming <= plan.maxActiveLinks) return null;
+  return `The ${plan.label} plan allows ${plan.maxActiveLinks} active links and you have ${active}. Deactivate or delete some files or share links first.`;
+};
+
+// Runs every plan check for a new upload; resolves to the first error message or null.
+// `reserved` skips the storage check for bytes already held with reserveStorage
+export const checkUploadLimits = async (user, { sizes, hasExpiry, expiresInHours, reserved = false }) => {
+  for (const size of sizes) {
+    const tooLarge = checkFileSize(user, size);
+    if (tooLarge) return tooLarge;
+  }
+  return (
+    checkRetention(user, hasExpiry, expiresInHours) ||
+    (await checkActiveLinks(user, sizes.length)) ||
+    (!reserved && (await checkUploadQuota(user, sizes.reduce((acc, size) => acc + Number(size), 0)))) ||
+    null
+  );
+};
+
+// What the dashboard's usage meter shows
+export const usageSummary = async (user) => {
+  const plan = planFor(user);
+  const [used, activeLinks] = await Promise.all([storageUsed(user), countActiveLinks(user._id)]);
+  return {
+    plan: plan.name,
+    planLabel: plan.label,
+    used,
+    quota: storageLimit(user),
+    maxFileSize: plan.maxFileSize,
+    maxRetentionHours: plan.maxRetentionHours,
+    activeLinks,
+    maxActiveLinks: plan.maxActiveLinks,
+  };
+};
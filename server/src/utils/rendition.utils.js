@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { createWriteStream } from "fs";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import storage from "../storage/index.js";
+import { StoredObject } from "../models/storedObject.models.js";
+import { rendererFor, renditionMaxBytes, RENDITION_CONTENT_TYPES } from "../renditions/index.js";
+import { extensionOf } from "./fileType.utils.js";
+import { objectKeyFor } from "./file.utils.js";
+import { openFileStream, streamObject } from "./storedObject.utils.js";
+import { createDataKey, encryptBuffer } from "./dataKey.utils.js";
+
+// A failed conversion isn't tried again on every view, only after this long
+const RETRY_FAILED_AFTER_MS = 60 * 60 * 1000;
+
+// Conversions running in this process, by content hash, so viewers arriving
+// together wait for the same one
+const inFlight = new Map();
+
+const cachedRendition = async (hash) => {
+  const object = await StoredObject.findOne({ hash }).select('rendition').lean();
+  return object?.rendition || null;
+};
+
+const isRetryable = (rendition) =>
+  !rendition || (!rendition.key && Date.now() - new Date(rendition.generatedAt).getTime() > RETRY_FAILED_AFTER_MS);
+
+// The tools read from disk, so they get a temporary plaintext copy under the
+// file's own extension, which LibreOffice picks its import filter by
+const renderDocument = async (renderer, file, format) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pastebox-rendition-'));
+  try {
+    const input = path.join(dir, `original${extensionOf(file.name)}`);
+    await pipeline(await openFileStream(file), createWriteStream(input));
+    const output = await renderer.generate(input, dir, { format });
+    return await fs.readFile(output);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Only a record still without a rendition is updated, so of two servers converting
+// the same bytes one wins and the other removes its copy. Every copy gets a key of
+// its own, since each is encrypted under a different data key
+const storeRendition = async (file, format, body) => {
+  const key = `${objectKeyFor(file)}.rendition-${crypto.randomUUID()}.${format}`;
+  const dataKey = createDataKey();
+  const contentType = RENDITION_CONTENT_TYPES[format];
+  await storage.put(key, dataKey ? encryptBuffer(dataKey, body) : body, { contentType, contentLength: body.length });
+  const { modifiedCount } = await StoredObject.updateOne(
+    { hash: file.sha256, 'rendition.key': null },
+    { rendition: { key, size: body.length, contentType, dataKey, generatedAt: new Date() } }
+  );
+  if (!modifiedCount) await storage.delete(key);
+};
+
+const convert = async (renderer, file) => {
+  const format = renderer.formatFor(file.type);
+  try {
+    await storeRendition(file, format, await renderDocument(renderer, file, format));
+  } catch (err) {
+    // A missing tool is the server's problem, not the document's, so it isn't remembered
+    if (err.code === 'ENOENT') throw err;
+    console.error(`Rendition of ${file._id} failed:`, err.message);
+    await StoredObject.updateOne(
+      { hash: file.sha256, 'rendition.key': null },
+      { rendition: { error: err.message, generatedAt: new Date() } }
+    );
+  }
+  return cachedRendition(file.sha256);
+};
+
+// The rendition for the preview route: { body, size, contentType }, made now if
+// there is none yet, or { code, error } when there is nothing to send
+export const openRendition = async (file) => {
+  const renderer = rendererFor(file.type);
+  if (!renderer || file.encryption || !file.sha256)
+    return { code: 404, error: 'This file has no document preview' };
+  if (file.size > renditionMaxBytes())
+    return { code: 413, error: 'This file is too large for a document preview' };
+
+  let rendition = await cachedRendition(file.sha256);
+  if (isRetryable(rendition)) {
+    if (!inFlight.has(file.sha256)) {
+      inFlight.set(file.sha256, convert(renderer, file).finally(() => inFlight.delete(file.sha256)));
+    }
+    try {
+      rendition = await inFlight.get(file.sha256);
+    } catch (err) {
+      if (err.code === 'ENOENT') return { code: 501, error: 'Document previews are not available on this server' };
+      throw err;
+    }
+  }
+  if (!rendition?.key) return { code: 422, error: 'This document could not be converted for preview' };
+
+  return {
+    body: await streamObject(rendition.key, rendition.dataKey),
+    size: rendition.size,
+    contentType: rendition.contentType,
+  };
+};
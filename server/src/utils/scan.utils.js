@@ -0,0 +1,82 @@
+import { getScanner } from "../scanners/index.js";
+import { StoredObject } from "../models/storedObject.models.js";
+import { openFileStream } from "./storedObject.utils.js";
+
+export const MAX_SCAN_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+
+export const SCAN_PENDING_MESSAGE = 'This file is still being checked for malware. Try again in a moment.';
+export const QUARANTINED_MESSAGE = 'This file has been quarantined because it may contain malware.';
+
+// Status a new upload starts in: it waits for the scanner when one is configured.
+// End-to-end encrypted uploads skip the scan, as the scanner would only see ciphertext
+export const initialFileStatus = (encryption = null) => (getScanner() && !encryption ? 'pending_scan' : 'active');
+
+export const isAwaitingScan = (file) => file.status === 'pending_scan';
+export const isQuarantined = (file) => file.status === 'quarantined';
+
+// Error body for a file that can't be downloaded because of its scan, or null
+export const scanBlock = (file) => {
+  if (isAwaitingScan(file)) return { code: 409, body: { error: SCAN_PENDING_MESSAGE, status: file.status } };
+  if (isQuarantined(file)) return { code: 403, body: { error: QUARANTINED_MESSAGE, status: file.status } };
+  return null;
+};
+
+// A verdict already reached for the same bytes, so duplicate uploads aren't rescanned
+const cachedVerdict = async (file) => {
+  if (!file.sha256) return null;
+  const object = await StoredObject.findOne({ hash: file.sha256 }).select('scanResult');
+  return object?.scanResult?.scannedAt ? object.scanResult : null;
+};
+
+const runScanner = async (scanner, file) => {
+  const result = await scanner.scan(await openFileStream(file));
+  const verdict = { clean: result.clean, signature: result.signature || null, scanner: scanner.name, scannedAt: new Date() };
+  if (file.sha256) await StoredObject.updateOne({ hash: file.sha256 }, { scanResult: verdict });
+  return verdict;
+};
+
+// Scans one pending file and moves it to "active" or "quarantined". Failed scans
+// are retried with backoff; after MAX_SCAN_ATTEMPTS the file is quarantined, so
+// content that can't be checked is never served. Resolves to the new status, or
+// null when the file is left pending for a retry
+export const scanPendingFile = async (Model, file) => {
+  const scanner = getScanner();
+  // Scanning was switched off while files were waiting
+  if (!scanner) {
+    await Model.updateOne({ _id: file._id, status: 'pending_scan' }, { status: 'active' });
+    return 'active';
+  }
+
+  try {
+    const verdict = (await cachedVerdict(file)) || (await runScanner(scanner, file));
+    const status = verdict.clean ? 'active' : 'quarantined';
+    await Model.updateOne(
+      { _id: file._id, status: 'pending_scan' },
+      {
+        status,
+        'scan.scannedAt': verdict.scannedAt,
+        'scan.scanner': verdict.scanner,
+        'scan.signature': verdict.signature,
+        'scan.error': null,
+        'scan.nextAttemptAt': null,
+      }
+    );
+    return status;
+  } catch (err) {
+    const attempts = (file.scan?.attempts || 0) + 1;
+    const givenUp = attempts >= MAX_SCAN_ATTEMPTS;
+    console.error(`Malware scan of ${file._id} failed (attempt ${attempts}):`, err.message);
+    await Model.updateOne(
+      { _id: file._id, status: 'pending_scan' },
+      {
+        ...(givenUp ? { status: 'quarantined' } : {}),
+        'scan.scanner': scanner.name,
+        'scan.attempts': attempts,
+        'scan.error': err.message,
+        'scan.nextAttemptAt': givenUp ? null : new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+      }
+    );
+    return givenUp ? 'quarantined' : null;
+  }
+};
@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { Session } from "../models/session.models.js";
+
+// ---------- Lifetimes ----------
+const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_MAX_AGE_MS = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+// How long the refresh token a rotation replaced is still accepted
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// ---------- Tokens ----------
+export const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sid: String(sessionId) }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// even when the secret is stale, which is how reuse is detected
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+};
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || '',
+});
+
+export const isSessionActive = (session) =>
+  !!session && !session.revokedAt && session.expiresAt > new Date();
+
+// ---------- Lifecycle ----------
+export const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...clientInfo(req),
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  const { refreshToken, refreshTokenHash } = newRefreshToken(session._id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return { session, token: signAccessToken(user._id, session._id), refreshToken };
+};
+
+const isInGraceWindow = (session, presentedHash) =>
+  session.previousTokenHash === presentedHash &&
+  !!session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+// Swaps a refresh token for a new pair. Presenting an already-rotated token means
+// it leaked, so the whole session is revoked. Returns null when refresh is refused.
+// Tabs refreshing together all send the same cookie: the first rotates it, and the
+// others, presenting the token it just replaced, get an access token only
+// (refreshToken null) and keep the cookie the first one was given
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed || !mongoose.isValidObjectId(parsed.sessionId)) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!isSessionActive(session)) return null;
+
+  const presentedHash = hashToken(parsed.secret);
+  if (session.refreshTokenHash !== presentedHash) {
+    if (isInGraceWindow(session, presentedHash)) {
+      return { session, token: signAccessToken(session.user, session._id), refreshToken: null };
+    }
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  // Conditional on the token still being current, so only one of two racing
+  // requests rotates it; the other is retried against the grace window
+  const next = newRefreshToken(session._id);
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash },
+    {
+      ...clientInfo(req),
+      refreshTokenHash: next.refreshTokenHash,
+      previousTokenHash: presentedHash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    },
+    { new: true }
+  );
+  if (!rotated) return rotateSession(refreshToken, req);
+
+  return { session: rotated, token: signAccessToken(rotated.user, rotated._id), refreshToken: next.refreshToken };
+};
+
+// Only from the httpOnly cookie, so page scripts never see a refresh token
+export const readRefreshToken = (req) => req.cookies?.refreshToken || null;
+
+export const sessionIdFromRefreshToken = (refreshToken) => parseRefreshToken(refreshToken)?.sessionId || null;
+
+// Best effort: a failed write must not fail the request that triggered it
+export const touchSession = (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) return;
+  Session.updateOne({ _id: session._id }, { ...clientInfo(req), lastSeenAt: new Date() })
+    .catch(err => console.error("Session touch error:", err));
+};
+
+// ---------- Cookies ----------
+// The refresh cookie is only sent to the /api/users routes that need it
+const cookieBase = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "Strict",
+});
+
+// Without a refreshToken (a refresh inside the grace window) the refresh cookie is left as it is
+export const setAuthCookies = (res, { token, refreshToken }) => {
+  res.cookie("token", token, { ...cookieBase(), maxAge: ACCESS_TOKEN_MAX_AGE_MS });
+  if (refreshToken) {
+    res.cookie("refreshToken", refreshToken, { ...cookieBase(), path: "/api/users", maxAge: REFRESH_TOKEN_TTL_MS });
+  }
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieBase());
+  res.clearCookie("refreshToken", { ...cookieBase(), path: "/api/users" });
+};
@@ -0,0 +1,46 @@
+// src/utils/shareLink.utils.js
+// Extra links to an owner's file (models/shareLink.models.js). Whoever opens one
+// gets the link's password, expiry and download limit in place of the file's;
+// the file itself must still be available
+import { downloadLimitInfo } from "./downloadLimit.utils.js";
+
+// Links per file, besides its own code and aliases
+export const MAX_SHARE_LINKS = 20;
+
+export const LINK_EXHAUSTED_MESSAGE = 'This link has reached its download limit';
+
+// Error body for a link that can't be used, or null (same shape as scanBlock, plus
+// the download event outcome to record, if any)
+export const linkBlock = (link) => {
+  if (!link) return null;
+  if (!link.enabled) return { code: 410, body: { error: 'This link has been turned off by its owner' } };
+  if (link.status === 'exhausted') return { code: 410, body: { error: LINK_EXHAUSTED_MESSAGE }, outcome: 'exhausted' };
+  if (link.expiresAt && new Date(link.expiresAt) < new Date())
+    return { code: 410, body: { error: 'This link has expired' }, outcome: 'expired' };
+  return null;
+};
+
+// The link stops working at its own expiry or the file's, whichever comes first
+export const linkExpiresAt = (file, link) => {
+  const dates = [file.expiresAt, link.expiresAt].filter(Boolean).map(date => new Date(date));
+  return dates.length ? new Date(Math.min(...dates)) : null;
+};
+
+// The owner's view of a link. `events` counts its recorded download attempts by
+// outcome (see utils/downloadEvent.utils.js)
+export const serializeShareLink = (link, events = {}) => ({
+  id: link._id,
+  fileId: link.file,
+  label: link.label,
+  shortUrl: link.shortUrl,
+  enabled: link.enabled,
+  status: link.status,
+  isPasswordProtected: link.isPasswordProtected,
+  expiresAt: link.expiresAt,
+  ...downloadLimitInfo(link),
+  downloadedContent: link.downloadedContent,
+  lastAccessedAt: link.lastAccessedAt,
+  events,
+  createdAt: link.createdAt,
+  updatedAt: link.updatedAt,
+});
@@ -0,0 +1,123 @@
+// src/utils/shortCode.utils.js
+// Codes that open an owned file at /f/<code>. Each file has one current code
+// (`shortUrl`, random unless the owner picked a slug) and any number of aliases:
+// extra codes the owner added, plus the old codes kept as redirects whenever the
+// link is regenerated, so links already shared keep working. Share links
+// (models/shareLink.models.js) use the same namespace with codes of their own
+import shortid from "shortid";
+import { File } from "../models/file.models.js";
+import { ShareLink } from "../models/shareLink.models.js";
+import { shareUrlFor } from "./file.utils.js";
+
+// Letters, digits, "-" and "_" (the characters of generated codes), 3-64 long
+const SLUG_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{2,63}$/;
+
+// Owner-added aliases per file; redirects left by regenerating don't count
+export const MAX_ALIASES = 10;
+
+// App pages and words that would make a link look like it came from PasteBox itself
+const RESERVED_SLUGS = new Set([
+  'admin', 'api', 'app', 'assets', 'auth', 'bundle', 'bundles', 'dashboard', 'download',
+  'downloads', 'file', 'files', 'forgot-password', 'guest', 'help', 'home', 'login', 'logout',
+  'official', 'paste', 'pastebox', 'raw', 'register', 'rendition', 'reset-password', 'root',
+  'security', 'settings', 'share', 'signup', 'static', 'status', 'stream', 'support', 'system',
+  'thumbnail', 'upload', 'uploads', 'verify', 'verify-email', 'www',
+]);
+
+export const shortUrlForCode = (code) => `/f/${code}`;
+
+export const codeTakenMessage = (slug) => `"${slug}" is already taken`;
+
+// The duplicate-key error of a save that lost a race for a code. Codes are unique
+// per field by index (File.shortUrl, File.aliases.shortUrl, ShareLink.shortUrl);
+// slugError checks across all of them beforehand
+export const isCodeConflict = (error) =>
+  error?.code === 11000 && Object.keys(error.keyPattern || {}).some(field => field.endsWith('shortUrl'));
+
+// Links made by generateShareShortenLink before it stopped prefixing BASE_URL
+const legacyShortUrl = (code) =>
+  process.env.BASE_URL ? `${process.env.BASE_URL.replace(/\/$/, '')}/f/${code}` : null;
+
+const codeQuery = (code) => {
+  const shortUrl = shortUrlForCode(code);
+  const legacy = legacyShortUrl(code);
+  return {
+    $or: [
+      { shortUrl },
+      { 'aliases.shortUrl': shortUrl },
+      ...(legacy ? [{ shortUrl: legacy }] : []),
+    ],
+  };
+};
+
+// The file a code opens, whether it is the current code, an alias or an old code.
+// Legacy BASE_URL-prefixed records are moved to the plain form on first use
+export const findFileByCode = async (code) => {
+  const file = await File.findOne(codeQuery(code));
+  if (file && file.shortUrl === legacyShortUrl(code)) {
+    file.shortUrl = shortUrlForCode(code);
+    // Left as it is if a newer file already holds the plain code
+    await File.updateOne({ _id: file._id }, { shortUrl: file.shortUrl }).catch(error => {
+      if (!isCodeConflict(error)) throw error;
+    });
+  }
+  return file;
+};
+
+export const isCodeTaken = async (code) =>
+  Boolean((await File.exists(codeQuery(code))) || (await ShareLink.exists({ shortUrl: shortUrlForCode(code) })));
+
+// What a visitor's code opens: { file, link }, where `link` is the ShareLink when
+// the code is one, and null for the file's own codes. Both are null for unknown codes
+export const findShareTarget = async (code) => {
+  const file = await findFileByCode(code);
+  if (file) return { file, link: null };
+  const link = await ShareLink.findOne({ shortUrl: shortUrlForCode(code) });
+  if (!link) return { file: null, link: null };
+  return { file: await File.findById(link.file), link };
+};
+
+// The current link when `code` is an old one kept as a redirect, otherwise null
+export const redirectFor = (file, code) => {
+  const alias = (file.aliases || []).find(a => a.shortUrl === shortUrlForCode(code));
+  return alias?.redirect ? file.shortUrl : null;
+};
+
+// Returns an error message, or null when `slug` is free to use
+export const slugError = async (slug) => {
+  if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug))
+    return 'Custom links are 3-64 letters, digits, "-" or "_", starting with a letter or digit';
+  if (RESERVED_SLUGS.has(slug.toLowerCase())) return `"${slug}" is reserved`;
+  if (await isCodeTaken(slug)) return codeTakenMessage(slug);
+  return null;
+};
+
+// Gives the file `shortUrl`; stored links built from the old code move with it
+const moveCode = (file, shortUrl) => {
+  const previous = file.shortUrl;
+  if (previous) {
+    if (file.path === shareUrlFor(previous, 'stream')) file.path = shareUrlFor(shortUrl, 'stream');
+    if (file.thumbnailUrl === shareUrlFor(previous, 'thumbnail')) file.thumbnailUrl = shareUrlFor(shortUrl, 'thumbnail');
+  }
+  file.shortUrl = shortUrl;
+};
+
+// Moves the file to `shortUrl`, keeping the old code as a redirect (not saved; the
+// caller saves the file)
+export const changeShortUrl = (file, shortUrl) => {
+  file.aliases = (file.aliases || []).filter(a => a.shortUrl !== shortUrl);
+  if (file.shortUrl) file.aliases.push({ shortUrl: file.shortUrl, redirect: true });
+  moveCode(file, shortUrl);
+};
+
+// Saves a new file. If its custom code was claimed by another file since it was
+// checked, it gets a random code instead, as when a slug is taken mid-upload
+export const saveWithFreeCode = async (file) => {
+  try {
+    return await file.save();
+  } catch (error) {
+    if (!isCodeConflict(error)) throw error;
+    moveCode(file, shortUrlForCode(shortid.generate()));
+    return file.save();
+  }
+};
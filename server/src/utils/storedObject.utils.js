@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import { pipeline } from "stream";
+import { StoredObject } from "../models/storedObject.models.js";
+import storage from "../storage/index.js";
+import { objectKeyFor } from "./file.utils.js";
+import { createDataKey, decryptStream, encryptBuffer, encryptStream, isEncryptionAtRestEnabled } from "./dataKey.utils.js";
+
+// Content-addressed key for bytes uploaded through the API
+export const contentKey = (hash) => `file-share-app/sha256/${hash}`;
+
+// Each encrypted copy has its own data key, so two uploads of the same bytes
+// racing to store them must not write to the same key
+const encryptedContentKey = (hash) => `${contentKey(hash)}-${crypto.randomUUID()}`;
+
+const isDuplicateKeyError = (err) => err?.code === 11000;
+
+export const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// ---------- Read ----------
+// An object's plaintext, decrypted on the way out when it has a data key.
+// `range` is { start, end } (inclusive), as for storage.stream
+export const streamObject = async (key, dataKey, range = {}) => {
+  const body = await storage.stream(key, range);
+  if (!dataKey) return body;
+  // pipeline() passes a storage error on to the returned stream
+  return pipeline(body, decryptStream(dataKey, range.start || 0), () => {});
+};
+
+// The data key of a file record's object; files stored before deduplication have none
+export const dataKeyFor = async (file) => {
+  if (!file.sha256) return null;
+  const record = await StoredObject.findOne({ hash: file.sha256 }, { dataKey: 1 }).lean();
+  return record?.dataKey || null;
+};
+
+// A file record's content, for downloads, zips and scans
+export const openFileStream = async (file, range = {}) =>
+  streamObject(objectKeyFor(file), await dataKeyFor(file), range);
+
+const hashStoredObject = async (key, dataKey) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of await streamObject(key, dataKey)) hash.update(chunk);
+  return hash.digest('hex');
+};
+
+// The first `bytes` bytes of an object, for content sniffing
+export const readObjectHead = async (key, bytes, dataKey = null) => {
+  const chunks = [];
+  for await (const chunk of await streamObject(key, dataKey, { start: 0, end: bytes - 1 })) chunks.push(chunk);
+  return Buffer.concat(chunks).subarray(0, bytes);
+};
+
+// Adds a reference to an existing object. Resolves to the record, or null when
+// these bytes have not been stored yet
+const addReference = (hash) =>
+  StoredObject.findOneAndUpdate({ hash }, { $inc: { refCount: 1 } }, { new: true });
+
+// Registers `key` as the object for `hash` with one reference. If another upload
+// registered the same bytes first, that record gets the reference instead
+const registerObject = async (hash, key, { size, contentType, dataKey = null }) => {
+  const update = {
+    $inc: { refCount: 1 },
+    $setOnInsert: { key, size, contentType: contentType || null, storageDriver: storage.name, dataKey },
+  };
+  try {
+    return await StoredObject.findOneAndUpdate({ hash }, update, { upsert: true, new: true });
+  } catch (err) {
+    // Two upserts raced on the unique hash; the loser just references the winner
+    if (isDuplicateKeyError(err)) return addReference(hash);
+    throw err;
+  }
+};
+
+// ---------- Acquire ----------
+// Stores an in-memory upload under its content key, or reuses the object that
+// already holds the same bytes. Resolves to { sha256, storageKey } for the file record
+export const storeBuffer = async (buffer, { contentType } = {}) => {
+  const hash = hashBuffer(buffer);
+  const existing = await addReference(hash);
+  if (existing) return { sha256: hash, storageKey: existing.key };
+
+  const dataKey = createDataKey();
+  const key = dataKey ? encryptedContentKey(hash) : contentKey(hash);
+  const body = dataKey ? encryptBuffer(dataKey, buffer) : buffer;
+  await storage.put(key, body, { contentType, contentLength: buffer.length });
+  const record = await registerObject(hash, key, { size: buffer.length, contentType, dataKey });
+  if (record.key !== key) await storage.delete(key);
+  return { sha256: hash, storageKey: record.key };
+};
+
+// Presigned uploads reach the bucket as plaintext; this copies one into a new,
+// encrypted object and deletes the original
+const encryptUploadedObject = async (key, hash, { size, contentType }) => {
+  const dataKey = createDataKey();
+  const encryptedKey = encryptedContentKey(hash);
+  const body = pipeline(await storage.stream(key), encryptStream(dataKey), () => {});
+  await storage.put(encryptedKey, body, { contentType, contentLength: size });
+  await storage.delete(key);
+  return { key: encryptedKey, dataKey };
+};
+
+// For objects that were uploaded straight to storage (chunked or presigned):
+// hashes them in place and, when the bytes are already stored, drops the new copy.
+// `dataKey` is the one chunked uploads were encrypted with as they arrived
+export const adoptUploadedObject = async (key, { size, contentType, dataKey = null } = {}) => {
+  const hash = await hashStoredObject(key, dataKey);
+  const existing = await addReference(hash);
+  if (existing) {
+    await storage.delete(key);
+    return { sha256: hash, storageKey: existing.key };
+  }
+
+  const stored = !dataKey && isEncryptionAtRestEnabled()
+    ? await encryptUploadedObject(key, hash, { size, contentType })
+    : { key, dataKey };
+  const record = await registerObject(hash, stored.key, { size, contentType, dataKey: stored.dataKey });
+  if (record.key !== stored.key) await storage.delete(stored.key);
+  return { sha256: hash, storageKey: record.key };
+};
+
+// ---------- Release ----------
+// Drops a file record's reference and deletes the object once nothing uses it.
+// Files stored before deduplication own their object outright
+export const releaseObject = async (file) => {
+  if (!file.sha256) {
+    await storage.delete(objectKeyFor(file));
+    return;
+  }
+
+  const record = await StoredObject.findOneAndUpdate(
+    { hash: file.sha256 },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+  if (!record) {
+    await storage.delete(objectKeyFor(file));
+    return;
+  }
+  if (record.refCount > 0) return;
+
+  // Only one caller can win the delete, and a new upload of the same bytes that
+  // re-referenced the record in the meantime keeps it alive
+  const orphan = await StoredObject.findOneAndDelete({ _id: record._id, refCount: { $lte: 0 } });
+  if (!orphan) return;
+  await storage.delete(orphan.key);
+  if (orphan.thumbnail) await storage.delete(orphan.thumbnail.key);
+  if (orphan.rendition?.key) await storage.delete(orphan.rendition.key);
+};
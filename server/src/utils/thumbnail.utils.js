@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import { createWriteStream } from "fs";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import storage from "../storage/index.js";
+import { StoredObject } from "../models/storedObject.models.js";
+import { thumbnailerFor, thumbnailSize } from "../thumbnailers/index.js";
+import { objectKeyFor, shareUrlFor } from "./file.utils.js";
+import { openFileStream, streamObject } from "./storedObject.utils.js";
+import { createDataKey, encryptBuffer } from "./dataKey.utils.js";
+
+export const MAX_THUMBNAIL_ATTEMPTS = 3;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+export const THUMBNAIL_CONTENT_TYPE = 'image/jpeg';
+
+// Derived objects are stored beside their original
+export const thumbnailKeyFor = (objectKey) => `${objectKey}.thumb.jpg`;
+
+// Thumbnail state of a new upload: pending when a thumbnailer handles its type.
+// End-to-end encrypted files get none, as the server only has their ciphertext
+export const initialThumbnail = (mime, encryption = null) => ({
+  status: !encryption && thumbnailerFor(mime) ? 'pending' : null,
+});
+
+// A thumbnail already made for the same bytes
+const cachedThumbnail = async (file) => {
+  const object = await StoredObject.findOne({ hash: file.sha256 }).select('thumbnail').lean();
+  return object?.thumbnail || null;
+};
+
+// The tools read from disk, so they get a temporary plaintext copy of the file
+const renderThumbnail = async (thumbnailer, file) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pastebox-thumb-'));
+  try {
+    const input = path.join(dir, 'original');
+    const output = path.join(dir, 'thumbnail.jpg');
+    await pipeline(await openFileStream(file), createWriteStream(input));
+    await thumbnailer.generate(input, output, { size: thumbnailSize(), mime: file.type });
+    return await fs.readFile(output);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Stored like any object: encrypted at rest with its own data key when that is on
+const storeThumbnail = async (file, image) => {
+  const key = thumbnailKeyFor(objectKeyFor(file));
+  const dataKey = createDataKey();
+  const body = dataKey ? encryptBuffer(dataKey, image) : image;
+  await storage.put(key, body, { contentType: THUMBNAIL_CONTENT_TYPE, contentLength: image.length });
+  await StoredObject.updateOne(
+    { hash: file.sha256 },
+    { thumbnail: { key, size: image.length, dataKey, generatedAt: new Date() } }
+  );
+};
+
+// Makes the thumbnail of one pending file, or reuses the one made for the same
+// bytes. Failures are retried with backoff and given up after MAX_THUMBNAIL_ATTEMPTS,
+// or straight away when the tool is not installed. Resolves to the new status, or
+// null when the file is left pending for a retry
+export const generatePendingThumbnail = async (Model, file) => {
+  const thumbnailer = thumbnailerFor(file.type);
+  // Thumbnails were switched off while files were waiting
+  if (!thumbnailer || !file.sha256) {
+    await Model.updateOne({ _id: file._id, 'thumbnail.status': 'pending' }, { 'thumbnail.status': null });
+    return null;
+  }
+
+  try {
+    if (!(await cachedThumbnail(file))) await storeThumbnail(file, await renderThumbnail(thumbnailer, file));
+    await Model.updateOne(
+      { _id: file._id, 'thumbnail.status': 'pending' },
+      {
+        'thumbnail.status': 'ready',
+        'thumbnail.error': null,
+        'thumbnail.nextAttemptAt': null,
+        thumbnailUrl: shareUrlFor(file.shortUrl, 'thumbnail'),
+      }
+    );
+    return 'ready';
+  } catch (err) {
+    const attempts = (file.thumbnail?.attempts || 0) + 1;
+    const givenUp = attempts >= MAX_THUMBNAIL_ATTEMPTS || err.code === 'ENOENT';
+    console.error(`Thumbnail of ${file._id} failed (attempt ${attempts}):`, err.message);
+    await Model.updateOne(
+      { _id: file._id, 'thumbnail.status': 'pending' },
+      {
+        ...(givenUp ? { 'thumbnail.status': 'failed' } : {}),
+        'thumbnail.attempts': attempts,
+        'thumbnail.error': err.message,
+        'thumbnail.nextAttemptAt': givenUp ? null : new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+      }
+    );
+    return givenUp ? 'failed' : null;
+  }
+};
+
+// The thumbnail's bytes for the thumbnail route: { body, size }, or null when there is none
+export const openThumbnail = async (file) => {
+  if (file.thumbnail?.status !== 'ready' || !file.sha256) return null;
+  const thumbnail = await cachedThumbnail(file);
+  if (!thumbnail) return null;
+  return { body: await streamObject(thumbnail.key, thumbnail.dataKey), size: thumbnail.size };
+};
@@ -0,0 +1,45 @@
+import jwt from "jsonwebtoken";
+
+// ---------- Download tokens ----------
+// Issued after a correct file password, bound to the file's short URL
+const DOWNLOAD_TOKEN_TTL = '15m';
+
+export const signDownloadToken = (shortUrl) =>
+  jwt.sign({ sub: shortUrl, purpose: 'download' }, process.env.JWT_SECRET, { expiresIn: DOWNLOAD_TOKEN_TTL });
+
+// Header for XHR callers, query string for <video>/<img> sources and plain links
+export const readDownloadToken = (req) => req.get('X-Download-Token') || req.query.token || null;
+
+export const isValidDownloadToken = (token, shortUrl) => {
+  if (!token) return false;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'download' && decoded.sub === shortUrl;
+  } catch {
+    return false;
+  }
+};
+
+// Unprotected files are always accessible; protected ones need a valid token
+export const hasDownloadAccess = (req, file) =>
+  !file.isPasswordProtected || isValidDownloadToken(readDownloadToken(req), file.shortUrl);
+
+// ---------- Selection ZIP tokens ----------
+// The dashboard ZIP is fetched by plain navigation, which carries no Authorization
+// header, so the owner first trades their session for a token naming the exact files
+const ZIP_TOKEN_TTL = '5m';
+
+export const signZipToken = (userId, fileIds) =>
+  jwt.sign({ sub: String(userId), files: fileIds, purpose: 'zip' }, process.env.JWT_SECRET, { expiresIn: ZIP_TOKEN_TTL });
+
+// Returns { userId, fileIds } or null
+export const readZipToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'zip' || !Array.isArray(decoded.files)) return null;
+    return { userId: decoded.sub, fileIds: decoded.files };
+  } catch {
+    return null;
+  }
+};
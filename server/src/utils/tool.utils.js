@@ -0,0 +1,41 @@
+import { spawn } from "child_process";
+
+const TOOL_TIMEOUT_MS = 60 * 1000;
+const MAX_STDERR_CHARS = 2000;
+
+// Runs a command-line tool directly (no shell, so file names are never parsed).
+// Rejects when it exits non-zero, runs past `timeoutMs` or is not installed;
+// a missing tool rejects with err.code 'ENOENT'
+export const runTool = (command, args, { timeoutMs = TOOL_TIMEOUT_MS } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    let timedOut = false;
+    let settled = false;
+
+    const settle = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve();
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stderr.on('data', (chunk) => {
+      if (stderr.length < MAX_STDERR_CHARS) stderr += chunk;
+    });
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') settle(Object.assign(new Error(`${command} is not installed`), { code: 'ENOENT' }));
+      else settle(err);
+    });
+    child.on('close', (code) => {
+      if (timedOut) settle(new Error(`${command} took longer than ${timeoutMs / 1000}s`));
+      else if (code !== 0) settle(new Error(`${command} failed (exit code ${code}): ${stderr.trim().slice(0, 500)}`));
+      else settle(null);
+    });
+  });
@@ -0,0 +1,53 @@
+import { TypePolicy } from "../models/typePolicy.models.js";
+import { planFor } from "../config/plans.js";
+import {
+  SUPPORTED_EXTENSIONS,
+  TYPE_CATEGORIES,
+  formatForName,
+  extensionOf,
+  identifyFile,
+  identifyEncryptedFile,
+} from "./fileType.utils.js";
+
+const ALLOW_ALL = { allow: ['*'], deny: [] };
+
+// The stored policy, or allow-everything until an admin saves one
+export const loadTypePolicy = async () => {
+  const policy = await TypePolicy.findById('default');
+  return policy || new TypePolicy({ _id: 'default' });
+};
+
+// Guests (user null) get the guest rules; users their plan's rules, else the general user rules
+const rulesFor = (policy, user) => {
+  if (!user) return policy.guests || ALLOW_ALL;
+  return policy.plans?.get(planFor(user).name) || policy.users || ALLOW_ALL;
+};
+
+const matches = (entries, format) =>
+  entries.includes('*') || entries.includes(format.category) || entries.includes(format.ext);
+
+const isAllowed = (rules, format) => matches(rules.allow, format) && !matches(rules.deny, format);
+
+// Returns the entries of a rules list that are not a category, a supported extension or '*'
+export const unknownRuleEntries = (entries = []) =>
+  entries.filter((entry) => entry !== '*' && !TYPE_CATEGORIES.includes(entry) && !SUPPORTED_EXTENSIONS.includes(entry));
+
+// Checks a file name against the caller's rules before any bytes arrive.
+// Resolves to an error message or null
+export const checkFileName = async (user, fileName) => {
+  const format = formatForName(fileName);
+  if (!format) return `❌ Unsupported file type: ${extensionOf(fileName) || fileName}`;
+  const rules = rulesFor(await loadTypePolicy(), user);
+  if (!isAllowed(rules, format)) return `❌ ${format.ext} files are not allowed${user ? ' on your plan' : ' for guest uploads'}`;
+  return null;
+};
+
+// Checks an uploaded file's first bytes against its name and the caller's rules.
+// `truncated` says whether `head` is only the start of the file. Encrypted uploads
+// are checked by name and encryption header, since their content can't be read.
+// Resolves to { format } (with the MIME type to store) or { error }
+export const checkFileContent = async (user, fileName, head, { truncated = false, encryption = null } = {}) => {
+  const nameError = await checkFileName(user, fileName);
+  if (nameError) return { error: nameError };
+  return encryption ? identifyEncryptedFile(fileName, head) : identifyFile(fileName, head, truncated);
+};
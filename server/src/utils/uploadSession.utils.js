@@ -0,0 +1,31 @@
+import { UploadSession } from "../models/uploadSession.models.js";
+import storage from "../storage/index.js";
+import { adjustStorageUsed } from "./quota.utils.js";
+
+// Closes an open or completing session for good and hands back the storage it
+// reserved. Only the call that actually closes it releases the bytes
+export const abortSession = async (session) => {
+  const closed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: { $in: ['uploading', 'completing'] } },
+    { status: 'aborted' },
+  );
+  if (closed) await adjustStorageUsed(closed.createdBy, -closed.reservedBytes);
+};
+
+// Aborts up to `limit` sessions started before `cutoff` and never finished, deleting
+// their parts (or uploaded object). Resolves to how many were closed
+export const abortStaleSessions = async (cutoff, limit) => {
+  const sessions = await UploadSession.find({ status: 'uploading', createdAt: { $lt: cutoff } })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  for (const session of sessions) {
+    // The parts may already be gone; the session is closed either way
+    const cleanup = session.strategy === 'multipart'
+      ? storage.abortMultipart(session.key, session.uploadId)
+      : storage.delete(session.key);
+    await cleanup.catch(err => console.error("Stale upload cleanup error:", err));
+    await abortSession(session);
+  }
+  return sessions.length;
+};
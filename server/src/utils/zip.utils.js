@@ -0,0 +1,88 @@
+import archiver from "archiver";
+import { contentDisposition, hasDownloadLimit, isFileAvailable } from "./file.utils.js";
+import { openFileStream } from "./storedObject.utils.js";
+
+// "a.png", "a.png" => "a.png", "a (1).png"
+const uniqueEntryName = (name, used) => {
+  let candidate = name;
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : '';
+  for (let i = 1; used.has(candidate); i++) candidate = `${base} (${i})${ext}`;
+  used.add(candidate);
+  return candidate;
+};
+
+// Resolves once archiver has consumed the entry, so only one S3 body is open at a time
+const appendAndWait = (archive, stream, name) =>
+  new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (err) => {
+      archive.off('entry', onEntry);
+      reject(err);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(stream, { name });
+  });
+
+// Applies the per-file download rules: only active, unexpired, unprotected and
+// unlimited files go in (a ZIP would hand out a limited file without counting it)
+export const splitZippable = (files) => {
+  const included = [];
+  const skipped = [];
+  for (const file of files) {
+    if (!isFileAvailable(file)) skipped.push({ name: file.name, reason: 'expired or not available' });
+    else if (file.isPasswordProtected) skipped.push({ name: file.name, reason: 'password protected, download it from its own link' });
+    else if (hasDownloadLimit(file)) skipped.push({ name: file.name, reason: 'has a download limit, download it from its own link' });
+    else included.push(file);
+  }
+  return { included, skipped };
+};
+
+// Streams `files` from storage into a ZIP response without touching disk.
+// `skipped` ({ name, reason }[]) is listed in a text entry so the recipient knows what is missing.
+export const streamFilesAsZip = async (req, res, files, zipName, skipped = []) => {
+  // Most shared files (video, images, PDFs) are already compressed: store them as-is
+  const archive = archiver('zip', { store: true });
+  let aborted = false;
+
+  req.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      archive.abort();
+    }
+  });
+  archive.on('warning', (err) => console.warn("Zip warning:", err));
+
+  res.status(200).set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': contentDisposition('attachment', zipName),
+    'Cache-Control': 'private, no-store',
+  });
+  archive.pipe(res);
+
+  try {
+    const used = new Set();
+    for (const file of files) {
+      if (aborted) return;
+      const body = await openFileStream(file);
+      await appendAndWait(archive, body, uniqueEntryName(file.name, used));
+    }
+
+    if (skipped.length) {
+      const note = skipped.map(s => `${s.name}: ${s.reason}`).join('\n');
+      archive.append(`These files were not included:\n\n${note}\n`, { name: uniqueEntryName('SKIPPED_FILES.txt', used) });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    // Headers are already sent; cutting the connection is the only way to signal failure
+    console.error("Zip stream error:", error);
+    archive.abort();
+    res.destroy(error);
+  }
+};